@@ -0,0 +1,43 @@
+// AI: Copies the game data and the pure terrain, placement and loot modules
+// the functions share with the client (src/) into functions/shared/. Only
+// functions/ is deployed, so index.js loads them from there; runs as the
+// functions predeploy step (firebase.json) and before the emulator
+// (`npm run serve`).
+
+const fs = require("fs");
+const path = require("path");
+
+const SRC = path.join(__dirname, "..", "src");
+const OUT = path.join(__dirname, "shared");
+
+// ES modules needed for terrain sampling, node placement and loot rolls, with
+// everything they import
+const MODULES = [
+  "game/terrainSampler.js",
+  "data/areaData.js",
+  "utils/noise.js",
+  "utils/worldConstants.js",
+  "game/nodePlacement.js",
+  "data/resourceConfigs.js",
+  "utils/constants.js",
+  "game/loot.js",
+  "data/content.js",
+  "data/affixConfig.js",
+];
+
+// Vite imports JSON as a default export; Node needs the import attribute
+const JSON_IMPORT = /(import\s+\w+\s+from\s+(['"])[^'"]+\.json\2)\s*;/g;
+
+fs.rmSync(OUT, { recursive: true, force: true });
+fs.mkdirSync(path.join(OUT, "data"), { recursive: true });
+
+for (const file of fs.readdirSync(path.join(SRC, "data"))) {
+  if (file.endsWith(".json")) fs.copyFileSync(path.join(SRC, "data", file), path.join(OUT, "data", file));
+}
+for (const file of MODULES) {
+  fs.mkdirSync(path.dirname(path.join(OUT, file)), { recursive: true });
+  const source = fs.readFileSync(path.join(SRC, file), "utf8");
+  fs.writeFileSync(path.join(OUT, file), source.replace(JSON_IMPORT, "$1 with { type: 'json' };"));
+}
+// The copied modules are ES modules, like in the client package
+fs.writeFileSync(path.join(OUT, "package.json"), JSON.stringify({ type: "module" }, null, 2) + "\n");
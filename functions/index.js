@@ -4,17 +4,23 @@ const logger = require("firebase-functions/logger");
 const { cleanupChat } = require("./cleanup");
 exports.cleanupChat = cleanupChat;
 // The spawner functions have been deprecated and moved to the dedicated server.
-const { onValueWritten } = require("firebase-functions/v2/database");
+const { onValueWritten, onValueDeleted } = require("firebase-functions/v2/database");
 const admin = require("firebase-admin");
 
+// Game data shared with the client (src/data), copied into ./shared before
+// deploy by copyShared.js so the server grants exactly what the client shows.
+// A missing file throws here: the functions fail at cold start rather than
+// quietly granting nothing from empty tables.
+const enemyData = require('./shared/data/enemies.json');
 // Load enemy templates from repository data so server-authoritative spawns use same visuals
-let enemyTemplateList = [];
-try {
-  const enemyData = require('../src/data/enemies.json');
-  enemyTemplateList = enemyData.templates || [];
-} catch (e) {
-  logger.warn('Could not load enemy templates from ../src/data/enemies.json', e?.message || e);
-}
+const enemyTemplateList = enemyData.templates || [];
+const resourceConfigData = require('./shared/data/resourceConfigs.json');
+const fishingConfig = require('./shared/data/fishing.json');
+const forageConfig = require('./shared/data/forage.json');
+const locationList = require('./shared/data/locations.json');
+const itemDefsById = Object.fromEntries(require('./shared/data/items.json').map(item => [item.id, item]));
+const equipmentDefsById = Object.fromEntries(require('./shared/data/equipment.json').map(def => [def.id, def]));
+const playerStatsData = require('./shared/data/playerStats.json');
 
 function chooseWeightedTemplate(templatesArr) {
   if (!templatesArr || templatesArr.length === 0) return null;
@@ -129,10 +135,13 @@ exports.handleDamageRequest = onValueWritten({ ref: "/actions/damageRequests/{ar
         ? updatedEnemy.loot.items[0]
         : { type: 'galactic_token', count: 1 };
 
+      // Dropped equipment is rolled now so everyone sees the same piece
+      const lootType = loot.type || 'galactic_token';
       const giRef = db.ref(`areas/${areaId}/groundItems`).push();
       await giRef.set({
-        type: loot.type || 'galactic_token',
-        count: loot.count || 1,
+        type: lootType,
+        count: equipmentDefsById[lootType] ? 1 : (loot.count || 1),
+        instance: rollItemInstance(lootType),
         x: updatedEnemy.x || 0,
         y: updatedEnemy.y || 0,
         ownerId: null,
@@ -269,8 +278,22 @@ exports.handlePickupRequest = onValueWritten({ ref: "/actions/pickupRequests/{ar
 
     const db = getAdminApp().database();
     const itemRef = db.ref(`areas/${areaId}/groundItems/${itemId}`);
+    const resultRef = db.ref(`/actions/pickupResults/${areaId}/${reqId}`);
 
+    // Range check against the player's presence in this area, like harvesting
+    const presence = (await db.ref(`areas/${areaId}/players/${uid}`).once('value')).val();
+    if (!presence) {
+      await resultRef.set({ success: false, error: 'not_in_area' });
+      return;
+    }
+    const maxDistance = (resourceConfigData.harvest && resourceConfigData.harvest.maxDistance) || 130;
+
+    // The committed snapshot of a removal is empty, so keep the claimed item
+    let taken = null;
+    let outOfRange = false;
     const tranRes = await itemRef.transaction((item) => {
+      taken = null;
+      outOfRange = false;
       if (!item) return item; // already gone
 
       const now = Date.now();
@@ -281,38 +304,853 @@ exports.handlePickupRequest = onValueWritten({ ref: "/actions/pickupRequests/{ar
         // not allowed to pick up
         return; // abort transaction
       }
+      if (Math.hypot((Number(presence.ax) || 0) - (Number(item.x) || 0), (Number(presence.ay) || 0) - (Number(item.y) || 0)) > maxDistance) {
+        outOfRange = true;
+        return;
+      }
 
       // Remove item by returning null
+      taken = item;
       return null;
     }, undefined, false);
 
-    if (!tranRes.committed) {
-      await db.ref(`/actions/pickupResults/${areaId}/${reqId}`).set({ success: false, error: 'not_allowed_or_already_taken' });
+    if (!tranRes.committed || !taken) {
+      await resultRef.set({ success: false, error: outOfRange ? 'out_of_range' : 'not_allowed_or_already_taken' });
       return;
     }
 
-    // Grant item to player inventory (simple increment under /players/{uid}/inventory/{type})
-    const itemSnapshot = tranRes.snapshot; // snapshot is the pre-transaction value
-    const itemValue = itemSnapshot.val();
-    if (!itemValue) {
-      // item removed by transaction but we still need its metadata (we can try to use 'after' payload)
+    const itemType = taken.type || 'unknown';
+    const count = taken.count || 1;
+    const itemDef = itemDefsById[itemType];
+
+    // Legacy types the server doesn't know are still granted by the client
+    if (!itemDef) {
+      await resultRef.set({ success: true, item: { type: itemType, count } });
+      return;
     }
 
-    const itemType = (itemValue && itemValue.type) || after.type || 'unknown';
-    const count = (itemValue && itemValue.count) || after.count || 1;
+    // Currency goes to the player's token balance (players/{uid}/galacticTokens)
+    if (itemDef.currency) {
+      await db.ref(`players/${uid}/galacticTokens`).transaction((tokens) => (Number(tokens) || 0) + count);
+      await resultRef.set({ success: true, item: { type: itemType, count }, items: [{ type: itemType, count }], inventoryFull: false, xp: null });
+      return;
+    }
 
-    const invRef = db.ref(`players/${uid}/inventory/${itemType}`);
-    await invRef.transaction((v) => {
-      return (Number(v) || 0) + count;
-    });
+    // Grant into the slot inventory; whatever doesn't fit stays on the ground
+    const granted = await grantLoot(db, uid, [{ itemId: itemType, quantity: count, bonus: false, instances: taken.instance ? [taken.instance] : null }]);
+    const added = granted.length > 0 ? granted[0].count : 0;
+    if (added < count) {
+      await itemRef.set({ ...taken, count: count - added });
+    }
+
+    // Foraged items train gathering
+    const xp = taken.forage && added > 0 ? (Number(forageConfig.xp[itemType]) || 0) : 0;
+    await grantExperience(db, uid, forageConfig.skill, xp);
 
-    await db.ref(`/actions/pickupResults/${areaId}/${reqId}`).set({ success: true, item: { type: itemType, count } });
+    await resultRef.set({
+      success: added > 0,
+      error: added > 0 ? null : 'inventory_full',
+      item: { type: itemType, count: added },
+      items: granted,
+      inventoryFull: added < count,
+      xp: xp > 0 ? { skill: forageConfig.skill, amount: xp } : null,
+    });
   } catch (e) {
     logger.error('handlePickupRequest error', e?.message || e);
     try { await getAdminApp().database().ref(`/actions/pickupResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
   }
 });
 
+// How long an item a player drops stays theirs before anyone can see and
+// pick it up
+const DROP_OWNER_MS = 60000;
+
+// Drop request handler: takes items out of one of the player's inventory
+// slots and puts them on the ground at their drone, owned by them for a while
+exports.handleDropRequest = onValueWritten({ ref: "/actions/dropRequests/{areaId}/{reqId}" }, async (event) => {
+  try {
+    if (event.data?.before && event.data.before.exists()) return;
+    const after = event.data?.after?.val();
+    if (!after) return;
+
+    const areaId = event.params.areaId;
+    const reqId = event.params.reqId;
+    const uid = after.uid;
+    const slotIndex = Number(after.slotIndex);
+    const db = getAdminApp().database();
+    const resultRef = db.ref(`/actions/dropResults/${areaId}/${reqId}`);
+
+    // Database triggers carry no auth, so the uid is only trusted because the
+    // rules accept a request solely in the writer's own uid; the drop must
+    // still come from that player's drone in this area
+    if (typeof uid !== 'string' || !uid || typeof after.itemId !== 'string' || !(Number.isInteger(slotIndex) && slotIndex >= 0 && slotIndex < INVENTORY_SLOTS)) {
+      await resultRef.set({ success: false, error: 'invalid_request' });
+      return;
+    }
+
+    const presence = (await db.ref(`areas/${areaId}/players/${uid}`).once('value')).val();
+    if (!presence || !Number.isFinite(Number(presence.ax)) || !Number.isFinite(Number(presence.ay))) {
+      await resultRef.set({ success: false, error: 'not_in_area' });
+      return;
+    }
+
+    // The slot must still hold what the client saw (the same instance for
+    // equipment); drop up to `quantity` of it, the whole stack by default
+    let dropped = null;
+    const tranRes = await db.ref(`players/${uid}/inventory`).transaction((inventory) => {
+      dropped = null;
+      // The first call sees the local cache (null); let the server supply the
+      // real inventory instead of aborting on it
+      if (!inventory) return inventory;
+      const slot = inventory[slotIndex];
+      if (!slot || slot.itemId !== after.itemId || (after.instanceId && slot.instanceId !== after.instanceId)) return;
+      const have = Number(slot.quantity) || 0;
+      const quantity = Number(after.quantity) > 0 ? Math.min(Math.floor(Number(after.quantity)), have) : have;
+      if (!(quantity > 0)) return;
+
+      dropped = { slot, quantity };
+      inventory[slotIndex] = quantity < have ? { ...slot, quantity: have - quantity } : null;
+      return inventory;
+    }, undefined, false);
+
+    if (!tranRes.committed || !dropped) {
+      await resultRef.set({ success: false, error: 'slot_changed' });
+      return;
+    }
+
+    const { slot, quantity } = dropped;
+    const now = Date.now();
+    const groundRef = db.ref(`areas/${areaId}/groundItems`).push();
+    await groundRef.set({
+      type: slot.itemId,
+      count: quantity,
+      instance: slot.instanceId ? { instanceId: slot.instanceId, rarity: slot.rarity || null, affixes: slot.affixes || [] } : null,
+      x: Number(presence.ax) || 0,
+      y: Number(presence.ay) || 0,
+      ownerId: uid,
+      visibleTo: [uid],
+      createdAt: now,
+      releaseAt: now + DROP_OWNER_MS,
+    });
+
+    await resultRef.set({ success: true, groundItemId: groundRef.key, item: { type: slot.itemId, count: quantity } });
+  } catch (e) {
+    logger.error('handleDropRequest error', e?.message || e);
+    try { await getAdminApp().database().ref(`/actions/dropResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
+  }
+});
+
+// Inventory layout written by the client (src/game/inventoryManager.js)
+const INVENTORY_SLOTS = 48;
+
+function getNodeConfig(type) {
+  const nodes = resourceConfigData.nodes || {};
+  return nodes[type] || nodes.default || { cyclesNeeded: 1, cycleMs: 1700, yieldMin: 1, yieldMax: 1, respawnMs: 60000 };
+}
+
+function rollYield(cfg) {
+  const min = cfg.yieldMin || 1;
+  const max = Math.max(min, cfg.yieldMax || min);
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+// Level curve shared with src/utils/math.js (getLevelFromExperience)
+function levelFromExperience(experience) {
+  if (!(experience > 0)) return 1;
+  return Math.floor(Math.pow(experience / 100, 1 / 1.5)) + 1;
+}
+
+// Best tier of a tool kind anywhere in a slot-array inventory
+function bestToolTier(inventory, tool) {
+  let tier = 0;
+  for (const slot of Object.values(inventory || {})) {
+    const def = slot ? itemDefsById[slot.itemId] : null;
+    if (def && def.tool === tool) tier = Math.max(tier, def.toolTier || 0);
+  }
+  return tier;
+}
+
+// One stat from a player's stat sheet: the base value plus every equipped
+// item's bonus and rolled affixes (same as equipmentManager.getStats in
+// src/game). Slots hold instances ({ itemId, instanceId, rarity, affixes });
+// older saves hold a bare itemId.
+function equippedStat(equipment, stat) {
+  let value = Number(playerStatsData.base && playerStatsData.base[stat]) || 0;
+  for (const [slot, equipped] of Object.entries(equipment || {})) {
+    const itemId = equipped && typeof equipped === 'object' ? equipped.itemId : equipped;
+    const def = equipmentDefsById[itemId];
+    if (!def || def.slot !== (playerStatsData.slots || {})[slot]) continue;
+    value += Number(def.stats && def.stats[stat]) || 0;
+    for (const affix of Object.values((equipped && equipped.affixes) || {})) {
+      if (affix && affix.stat === stat) value += Number(affix.value) || 0;
+    }
+  }
+  return value;
+}
+
+// Cycle length and cycles per drop for a player on a node, scaled by tool
+// tier, skill level above the node's requirements and equipped miningSpeed
+// (same as getHarvestTiming in src/game/resources.js)
+function getHarvestTiming(cfg, level, toolTier, miningSpeed = 0) {
+  const rules = resourceConfigData.harvest || {};
+  const extraTiers = Math.max(0, toolTier - (cfg.toolTier || 0));
+  const extraLevels = Math.max(0, level - (cfg.minLevel || 1));
+  const factor = Math.max(
+    rules.minCycleFactor || 0,
+    1 - extraTiers * (rules.toolCycleSpeedup || 0) - extraLevels * (rules.levelCycleSpeedup || 0) - miningSpeed
+  );
+  return {
+    cycleMs: Math.round((cfg.cycleMs || 1700) * factor),
+    cyclesNeeded: Math.max(1, (cfg.cyclesNeeded || 1) - Math.floor(extraTiers / (rules.toolTiersPerCycleSaved || Infinity))),
+  };
+}
+
+// Seeded loot rolls come from the client's own src/game/loot.js (copied into
+// ./shared), so a seed gives the same items on client and server. Node can
+// require these ES modules directly, which keeps the rolls synchronous.
+const { mulberry32, hashString, rollLootTable, rollLoot, rollItemInstance } = require('./shared/game/loot.js');
+const { pickWeighted } = require('./shared/data/content.js');
+
+// Split rolled loot between the players who contributed harvest cycles. Each
+// unit goes to a contributor picked with weight = their cycles, from a
+// generator seeded by the drop (so a split can be reproduced). Returns
+// uid -> loot entries; every contributor is present, possibly with none.
+function splitLootByContribution(loot, contributors, seed) {
+  const random = mulberry32(hashString(`${seed}/split`));
+  const shares = Object.fromEntries(Object.keys(contributors).map(id => [id, []]));
+  for (const drop of loot) {
+    for (let unit = 0; unit < drop.quantity; unit++) {
+      const id = pickWeighted(contributors, random);
+      if (!id) continue;
+      const entry = shares[id].find(e => e.itemId === drop.itemId && e.bonus === drop.bonus);
+      if (entry) entry.quantity += 1;
+      else shares[id].push({ itemId: drop.itemId, quantity: 1, bonus: drop.bonus });
+    }
+  }
+  return shares;
+}
+
+// Stack `quantity` of itemId into a slot-array inventory (same rules as
+// inventoryManager.addItem). Equipment goes one instance per empty slot,
+// taken from `instances` or rolled. Returns the new slots, how many fit and
+// the instances placed.
+function stackIntoInventory(current, itemId, quantity, instances = null) {
+  const slots = [];
+  for (let i = 0; i < INVENTORY_SLOTS; i++) {
+    const slot = current ? current[i] : null;
+    slots.push(slot && slot.itemId ? { ...slot, quantity: Number(slot.quantity) || 0 } : null);
+  }
+  if (equipmentDefsById[itemId]) {
+    const placed = [];
+    for (let i = 0; i < slots.length && placed.length < quantity; i++) {
+      if (slots[i]) continue;
+      const instance = (instances && instances[placed.length]) || rollItemInstance(itemId);
+      slots[i] = { itemId, quantity: 1, ...instance };
+      placed.push(instance);
+    }
+    return { slots, added: placed.length, instances: placed };
+  }
+  const maxStack = (itemDefsById[itemId] && itemDefsById[itemId].maxStack) || 99;
+  let remaining = quantity;
+  for (const slot of slots) {
+    if (remaining <= 0) break;
+    if (!slot || slot.itemId !== itemId) continue;
+    const canAdd = Math.min(remaining, maxStack - slot.quantity);
+    if (canAdd > 0) {
+      slot.quantity += canAdd;
+      remaining -= canAdd;
+    }
+  }
+  for (let i = 0; i < slots.length && remaining > 0; i++) {
+    if (slots[i]) continue;
+    const amount = Math.min(remaining, maxStack);
+    slots[i] = { itemId, quantity: amount };
+    remaining -= amount;
+  }
+  return { slots, added: quantity - remaining };
+}
+
+// Grant rolled loot into the player's slot inventory in one transaction.
+// Returns what was actually added per drop (less than rolled when full).
+async function grantLoot(db, uid, loot) {
+  let granted = [];
+  if (loot.length === 0) return granted;
+  await db.ref(`players/${uid}/inventory`).transaction((inventory) => {
+    let slots = inventory;
+    granted = loot.map((drop) => {
+      const res = stackIntoInventory(slots, drop.itemId, drop.quantity, drop.instances || null);
+      slots = res.slots;
+      const grant = { type: drop.itemId, count: res.added, bonus: drop.bonus };
+      if (res.instances) grant.instances = res.instances;
+      return grant;
+    });
+    return granted.some(g => g.count > 0) ? slots : undefined;
+  }, undefined, false);
+  return granted;
+}
+
+// Grant experience to a skill and the player's global total
+async function grantExperience(db, uid, skill, xp) {
+  if (!(xp > 0) || !skill) return;
+  await db.ref(`players/${uid}/skills/${skill}/experience`).transaction((v) => (Number(v) || 0) + xp, undefined, false);
+  await db.ref(`players/${uid}/totalExperience`).transaction((v) => (Number(v) || 0) + xp, undefined, false);
+}
+
+// Harvest request handler: validates range and cycle pacing, adds the
+// player's cycle to the node's shared harvest progress and, when a drop is
+// due, splits it and the experience between the contributing players
+exports.handleHarvestRequest = onValueWritten({ ref: "/actions/harvestRequests/{areaId}/{reqId}" }, async (event) => {
+  try {
+    if (event.data?.before && event.data.before.exists()) return;
+    const after = event.data?.after?.val();
+    if (!after) return;
+
+    const areaId = event.params.areaId;
+    const reqId = event.params.reqId;
+    const nodeId = after.nodeId;
+    const uid = after.uid;
+    const db = getAdminApp().database();
+    const resultRef = db.ref(`/actions/harvestResults/${areaId}/${reqId}`);
+
+    if (!nodeId || !uid) {
+      await resultRef.set({ success: false, error: 'invalid_request' });
+      return;
+    }
+
+    // Range check against the player's presence in this area (not the
+    // coordinates in the request) and the node's stored position
+    const [presenceSnap, nodeSnap] = await Promise.all([
+      db.ref(`areas/${areaId}/players/${uid}`).once('value'),
+      db.ref(`areas/${areaId}/resources/${nodeId}`).once('value'),
+    ]);
+    const presence = presenceSnap.val();
+    const nodeAtStart = nodeSnap.val();
+    if (!presence) {
+      await resultRef.set({ success: false, error: 'not_in_area' });
+      return;
+    }
+    if (!nodeAtStart) {
+      await resultRef.set({ success: false, error: 'node_missing' });
+      return;
+    }
+    const maxDistance = (resourceConfigData.harvest && resourceConfigData.harvest.maxDistance) || 130;
+    const distance = Math.hypot((Number(presence.ax) || 0) - nodeAtStart.x, (Number(presence.ay) || 0) - nodeAtStart.y);
+    if (distance > maxDistance) {
+      await resultRef.set({ success: false, error: 'out_of_range' });
+      return;
+    }
+
+    // Level and tool requirements, checked against the saved skills and inventory
+    const nodeCfg = getNodeConfig(nodeAtStart.type);
+    const [skillXpSnap, inventorySnap, equipmentSnap] = await Promise.all([
+      db.ref(`players/${uid}/skills/${nodeCfg.skill}/experience`).once('value'),
+      db.ref(`players/${uid}/inventory`).once('value'),
+      db.ref(`players/${uid}/equipment`).once('value'),
+    ]);
+    const level = levelFromExperience(Number(skillXpSnap.val()) || 0);
+    const toolTier = bestToolTier(inventorySnap.val(), nodeCfg.tool);
+    if (level < (nodeCfg.minLevel || 1)) {
+      await resultRef.set({ success: false, error: 'level_too_low' });
+      return;
+    }
+    if (toolTier < (nodeCfg.toolTier || 0)) {
+      await resultRef.set({ success: false, error: 'tool_required' });
+      return;
+    }
+    const timing = getHarvestTiming(nodeCfg, level, toolTier, equippedStat(equipmentSnap.val(), 'miningSpeed'));
+
+    const cyclePacing = (resourceConfigData.harvest && resourceConfigData.harvest.cyclePacing) || 1;
+
+    // Outcome of the last transaction run ('none' | 'cooldown' | 'progress' | 'drop' | 'deplete')
+    let outcome = 'none';
+    let harvested = null;
+    const now = Date.now();
+    const tranRes = await db.ref(`areas/${areaId}/resources/${nodeId}`).transaction((node) => {
+      outcome = 'none';
+      harvested = null;
+      if (!node) return node; // depleted by someone else
+
+      // Each player may add at most one cycle per cycle length; entries for
+      // players who stopped mining are pruned as they go stale
+      const lastCycleAt = {};
+      for (const [id, at] of Object.entries(node.lastCycleAt || {})) {
+        if (now - at < timing.cycleMs * 4) lastCycleAt[id] = at;
+      }
+      if (lastCycleAt[uid] && now - lastCycleAt[uid] < timing.cycleMs * cyclePacing) {
+        outcome = 'cooldown';
+        return; // abort
+      }
+      lastCycleAt[uid] = now;
+      node.lastCycleAt = lastCycleAt;
+
+      // Cycles from every drone on the node add up; contributions decide how
+      // the drop is shared (like damageContributors for enemies). While the
+      // node cools down after a drop, cycles are banked toward the next one
+      const contributors = node.harvestContributors || {};
+      contributors[uid] = (contributors[uid] || 0) + 1;
+      node.harvestContributors = contributors;
+      const cfg = getNodeConfig(node.type);
+      const progress = Math.min(timing.cyclesNeeded, (node.harvestProgress || 0) + 1);
+      const cooling = node.cooldownUntil && now < node.cooldownUntil;
+      if (progress < timing.cyclesNeeded || cooling) {
+        node.harvestProgress = progress;
+        outcome = 'progress';
+        return node;
+      }
+
+      harvested = { type: node.type, x: node.x, y: node.y, contributors: { ...contributors } };
+      // Nodes seeded before yield budgets existed roll one now
+      const remaining = (typeof node.remaining === 'number' ? node.remaining : rollYield(cfg)) - 1;
+      if (remaining <= 0) {
+        outcome = 'deplete';
+        return null;
+      }
+
+      node.remaining = remaining;
+      node.harvestProgress = 0;
+      node.harvestContributors = null;
+      node.lastHarvested = now;
+      node.lastHarvestedBy = uid;
+      node.cooldownUntil = now + timing.cycleMs;
+      outcome = 'drop';
+      return node;
+    }, undefined, false);
+
+    if (!tranRes.committed || outcome === 'none' || outcome === 'cooldown') {
+      await resultRef.set({ success: false, error: outcome === 'cooldown' ? 'cooldown' : 'node_missing' });
+      return;
+    }
+
+    if (outcome === 'progress') {
+      await resultRef.set({ success: true, dropped: false, depleted: false, progress: tranRes.snapshot.val()?.harvestProgress || 0 });
+      return;
+    }
+
+    const cfg = getNodeConfig(harvested.type);
+    const depleted = outcome === 'deplete';
+    if (depleted) {
+      // Queue the replacement; processResourceRespawns places and spawns it
+      await db.ref(`areas/${areaId}/respawns`).push().set({
+        type: harvested.type,
+        fromX: harvested.x,
+        fromY: harvested.y,
+        dueAt: now + (cfg.respawnMs || 0),
+      });
+    }
+
+    // Roll the node's loot table (seeded by the request, so the roll can be
+    // reproduced with rollLoot in src/game/loot.js), split it between the
+    // drones that contributed cycles and grant each share into that player's
+    // slot inventory in one transaction
+    const seed = `${areaId}/${nodeId}/${reqId}`;
+    const loot = rollLoot(harvested.type, seed).filter(drop => itemDefsById[drop.itemId]);
+    const contributors = harvested.contributors;
+    const totalCycles = Object.values(contributors).reduce((sum, cycles) => sum + cycles, 0);
+    const shares = splitLootByContribution(loot, contributors, seed);
+    const baseXp = Number(cfg.xp) || 0;
+
+    // Each contributor's grant stands alone: one failing transaction must not
+    // cost the others their share
+    const entries = Object.entries(shares);
+    const outcomes = await Promise.allSettled(entries.map(async ([contributorId, share]) => {
+      const granted = await grantLoot(db, contributorId, share);
+      // Everyone who helped earns at least a point of experience
+      const xp = Math.ceil(baseXp * contributors[contributorId] / totalCycles);
+      await grantExperience(db, contributorId, cfg.skill, xp);
+      const result = {
+        items: granted,
+        inventoryFull: granted.some((g, i) => g.count < share[i].quantity),
+        xp: xp > 0 && cfg.skill ? { skill: cfg.skill, amount: xp } : null,
+      };
+      if (contributorId !== uid) {
+        // Other contributors learn about their share through their inbox
+        // (see subscribeHarvestShares in src/game/resources.js)
+        await db.ref(`/actions/harvestShares/${areaId}/${contributorId}/${reqId}`).set({
+          ...result, nodeType: harvested.type, x: harvested.x, y: harvested.y, ts: now,
+        });
+      }
+      return result;
+    }));
+
+    let ownResult = null;
+    for (let i = 0; i < entries.length; i++) {
+      const [contributorId, share] = entries[i];
+      const outcome = outcomes[i];
+      if (outcome.status === 'fulfilled') {
+        if (contributorId === uid) ownResult = outcome.value;
+        continue;
+      }
+      // Keep the lost share where it can be looked at and granted by hand
+      const error = String(outcome.reason?.message || outcome.reason);
+      logger.error('handleHarvestRequest grant failed', { areaId, reqId, contributorId, share, error });
+      try {
+        await db.ref(`/actions/harvestGrantFailures/${areaId}/${reqId}/${contributorId}`).set({ share: JSON.parse(JSON.stringify(share)), error, ts: now });
+      } catch (_) {}
+    }
+
+    await resultRef.set({
+      success: true,
+      dropped: true,
+      depleted,
+      seed,
+      contributors: Object.keys(contributors).length,
+      items: ownResult ? ownResult.items : [],
+      inventoryFull: ownResult ? ownResult.inventoryFull : false,
+      xp: ownResult ? ownResult.xp : null,
+    });
+  } catch (e) {
+    logger.error('handleHarvestRequest error', e?.message || e);
+    try { await getAdminApp().database().ref(`/actions/harvestResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
+  }
+});
+
+// Terrain is sampled with the client's own pure modules (ES modules copied
+// into ./shared, so they are loaded with a dynamic import) to check where a fishing cast landed
+// and to find shoreline for forage spawns
+let terrainModules = null;
+function loadTerrainModules() {
+  if (!terrainModules) {
+    terrainModules = Promise.all([
+      import('./shared/game/terrainSampler.js'),
+      import('./shared/data/areaData.js'),
+    ]).then(([sampler, areas]) => ({
+      classifyWorldPosition: sampler.classifyWorldPosition,
+      getArea: areas.getArea,
+      getAreaTerrainSeed: areas.getAreaTerrainSeed,
+    }));
+  }
+  return terrainModules;
+}
+
+// Resource node placement with the client's own pure modules (ES modules
+// copied into ./shared, so they are loaded with a dynamic import): area
+// layouts and where depleted nodes respawn
+let placementModules = null;
+function loadPlacementModules() {
+  if (!placementModules) {
+    placementModules = Promise.all([
+      import('./shared/game/nodePlacement.js'),
+      import('./shared/data/areaData.js'),
+    ]).then(([placement, areas]) => ({
+      getAreaResourceLayout: placement.getAreaResourceLayout,
+      findRespawnPosition: placement.findRespawnPosition,
+      hashLayout: placement.hashLayout,
+      areaIds: Object.keys(areas.areaData),
+    }));
+  }
+  return placementModules;
+}
+
+// Write an area's resource layout (its pinned resourceNodes, or the one
+// generated from its resourceRules) unless areas/{areaId}/layoutHash shows it
+// is already there, so depleted and respawned nodes survive reloads. A changed
+// layout replaces every node and drops respawns queued for the old one.
+async function syncAreaResources(db, areaId) {
+  const { getAreaResourceLayout, hashLayout } = await loadPlacementModules();
+  const layout = getAreaResourceLayout(areaId);
+  const layoutHash = hashLayout(layout);
+  const current = await db.ref(`areas/${areaId}/layoutHash`).once('value');
+  if (current.val() === layoutHash) return false;
+
+  const resources = {};
+  for (const node of layout) {
+    resources[node.id] = { type: node.type, x: node.x, y: node.y, cooldownUntil: 0, remaining: rollYield(getNodeConfig(node.type)) };
+  }
+  await db.ref(`areas/${areaId}`).update({ resources, respawns: null, layoutHash });
+  return true;
+}
+
+// Seed request handler: a client entering an area asks for the area's layout
+// to be in place before it subscribes to the nodes (ensureAreaSeeded in
+// src/game/resources.js)
+exports.handleSeedRequest = onValueWritten({ ref: "/actions/seedRequests/{areaId}/{reqId}" }, async (event) => {
+  try {
+    if (event.data?.before && event.data.before.exists()) return;
+    const after = event.data?.after?.val();
+    if (!after) return;
+
+    const areaId = event.params.areaId;
+    const reqId = event.params.reqId;
+    const db = getAdminApp().database();
+    const resultRef = db.ref(`/actions/seedResults/${areaId}/${reqId}`);
+
+    const { areaIds } = await loadPlacementModules();
+    if (!after.uid || !areaIds.includes(areaId)) {
+      await resultRef.set({ success: false, error: 'invalid_request' });
+      return;
+    }
+
+    const seeded = await syncAreaResources(db, areaId);
+    await resultRef.set({ success: true, seeded });
+  } catch (e) {
+    logger.error('handleSeedRequest error', e?.message || e);
+    try { await getAdminApp().database().ref(`/actions/seedResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
+  }
+});
+
+// Respawn job: spawns the replacement of every depleted node whose queued
+// respawn (areas/{areaId}/respawns, written by handleHarvestRequest) is due.
+// Entries without a valid spot yet stay queued for the next run.
+exports.processResourceRespawns = onSchedule('every 1 minutes', async (event) => {
+  const db = getAdminApp().database();
+  const { findRespawnPosition, areaIds } = await loadPlacementModules();
+  const now = Date.now();
+  for (const areaId of areaIds) {
+    try {
+      const [respawnsSnap, resourcesSnap] = await Promise.all([
+        db.ref(`areas/${areaId}/respawns`).once('value'),
+        db.ref(`areas/${areaId}/resources`).once('value'),
+      ]);
+      const due = Object.entries(respawnsSnap.val() || {}).filter(([, entry]) => entry && (entry.dueAt || 0) <= now);
+      const nodes = Object.values(resourcesSnap.val() || {});
+
+      for (const [respawnId, entry] of due) {
+        const position = findRespawnPosition(areaId, entry, nodes);
+        if (!position) continue;
+
+        // Claim the entry so an overlapping run can't spawn it twice; the
+        // committed snapshot of a removal is empty, so keep the claimed entry
+        let claimed = null;
+        const claim = await db.ref(`areas/${areaId}/respawns/${respawnId}`).transaction((current) => {
+          claimed = current;
+          return null;
+        }, undefined, false);
+        if (!claim.committed || !claimed) continue;
+
+        const nodeId = `${entry.type}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const node = { type: entry.type, x: position.x, y: position.y, cooldownUntil: 0, remaining: rollYield(getNodeConfig(entry.type)) };
+        await db.ref(`areas/${areaId}/resources/${nodeId}`).set(node);
+        nodes.push(node);
+      }
+    } catch (e) {
+      logger.error('processResourceRespawns error', areaId, e?.message || e);
+    }
+  }
+});
+
+// Fishing request handler. Two actions per cast:
+// - 'cast' at (x, y): checks the pole, range and that the spot is fishable
+//   water, then stores the cast with a server-rolled bite window under
+//   areas/{areaId}/fishing/{uid} and returns the window relative to now
+// - 'hook': succeeds only inside the bite window; rolls the catch from the
+//   cast biome's table and grants items and experience
+exports.handleFishingRequest = onValueWritten({ ref: "/actions/fishingRequests/{areaId}/{reqId}" }, async (event) => {
+  try {
+    if (event.data?.before && event.data.before.exists()) return;
+    const after = event.data?.after?.val();
+    if (!after) return;
+
+    const areaId = event.params.areaId;
+    const reqId = event.params.reqId;
+    const uid = after.uid;
+    const db = getAdminApp().database();
+    const resultRef = db.ref(`/actions/fishingResults/${areaId}/${reqId}`);
+
+    if (!uid || (after.action !== 'cast' && after.action !== 'hook')) {
+      await resultRef.set({ success: false, error: 'invalid_request' });
+      return;
+    }
+
+    const presence = (await db.ref(`areas/${areaId}/players/${uid}`).once('value')).val();
+    if (!presence) {
+      await resultRef.set({ success: false, error: 'not_in_area' });
+      return;
+    }
+    const castRef = db.ref(`areas/${areaId}/fishing/${uid}`);
+    const maxDistance = (fishingConfig.castRange || 140) + (fishingConfig.rangeSlack || 0);
+    const now = Date.now();
+
+    if (after.action === 'cast') {
+      const x = Number(after.x);
+      const y = Number(after.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        await resultRef.set({ success: false, error: 'invalid_request' });
+        return;
+      }
+      const inventory = (await db.ref(`players/${uid}/inventory`).once('value')).val();
+      if (bestToolTier(inventory, fishingConfig.tool) < (fishingConfig.toolTier || 0)) {
+        await resultRef.set({ success: false, error: 'tool_required' });
+        return;
+      }
+      if (Math.hypot((Number(presence.ax) || 0) - x, (Number(presence.ay) || 0) - y) > maxDistance) {
+        await resultRef.set({ success: false, error: 'out_of_range' });
+        return;
+      }
+      const terrain = await loadTerrainModules();
+      const seed = terrain.getAreaTerrainSeed(terrain.getArea(areaId));
+      const biome = terrain.classifyWorldPosition(seed, x, y).name;
+      if (!fishingConfig.tables[biome]) {
+        await resultRef.set({ success: false, error: 'not_water' });
+        return;
+      }
+
+      const [minDelay, maxDelay] = fishingConfig.biteDelayMs;
+      const biteInMs = Math.round(minDelay + Math.random() * (maxDelay - minDelay));
+      const windowMs = fishingConfig.biteWindowMs;
+      // A new cast replaces any earlier one
+      await castRef.set({ x, y, biome, castAt: now, biteAt: now + biteInMs, biteUntil: now + biteInMs + windowMs, reqId });
+      await resultRef.set({ success: true, biome, biteInMs, windowMs });
+      return;
+    }
+
+    // Hook: claim the cast so a bite can only be landed once
+    let cast = null;
+    const tranRes = await castRef.transaction((current) => {
+      cast = current;
+      return current ? null : current;
+    }, undefined, false);
+    if (!tranRes.committed || !cast) {
+      await resultRef.set({ success: false, error: 'no_cast' });
+      return;
+    }
+    if (now < cast.biteAt || now > cast.biteUntil + (fishingConfig.hookGraceMs || 0)) {
+      await resultRef.set({ success: false, error: now < cast.biteAt ? 'too_early' : 'too_late' });
+      return;
+    }
+    if (Math.hypot((Number(presence.ax) || 0) - cast.x, (Number(presence.ay) || 0) - cast.y) > maxDistance) {
+      await resultRef.set({ success: false, error: 'out_of_range' });
+      return;
+    }
+
+    // Seeded by the cast request, so the catch can be reproduced with
+    // rollLootTable in src/game/loot.js
+    const table = fishingConfig.tables[cast.biome];
+    const seed = `${areaId}/${uid}/${cast.reqId}`;
+    const loot = rollLootTable(table, seed).filter(drop => itemDefsById[drop.itemId]);
+    const granted = await grantLoot(db, uid, loot);
+    const xp = Number(table.xp) || 0;
+    await grantExperience(db, uid, fishingConfig.skill, xp);
+
+    await resultRef.set({
+      success: true,
+      seed,
+      items: granted,
+      inventoryFull: granted.some((g, i) => g.count < loot[i].quantity),
+      xp: xp > 0 ? { skill: fishingConfig.skill, amount: xp } : null,
+    });
+  } catch (e) {
+    logger.error('handleFishingRequest error', e?.message || e);
+    try { await getAdminApp().database().ref(`/actions/fishingResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
+  }
+});
+
+// Offline progression, part 1: when a player's area presence is removed
+// while they were harvesting a node and they are no longer online (a
+// disconnect, not an area change), remember the activity under
+// offlineActivity/{uid} (server-only, see database.rules.json) so the next
+// login can credit it
+exports.recordOfflineActivity = onValueDeleted({ ref: "/areas/{areaId}/players/{uid}" }, async (event) => {
+  try {
+    const presence = event.data?.val();
+    const nodeId = presence && presence.miningNodeId;
+    if (!nodeId) return;
+
+    const { areaId, uid } = event.params;
+    const db = getAdminApp().database();
+    const [onlineSnap, nodeSnap] = await Promise.all([
+      db.ref(`players/${uid}/isOnline`).once('value'),
+      db.ref(`areas/${areaId}/resources/${nodeId}`).once('value'),
+    ]);
+    const node = nodeSnap.val();
+    if (onlineSnap.val() === true || !node) return;
+
+    await db.ref(`offlineActivity/${uid}`).set({
+      areaId,
+      nodeId,
+      nodeType: node.type,
+      skill: getNodeConfig(node.type).skill || null,
+      startedAt: Date.now(),
+    });
+  } catch (e) {
+    logger.error('recordOfflineActivity error', e?.message || e);
+  }
+});
+
+// Drops earned while away: the online drop rate for the player's level and
+// tool, scaled by `efficiency`, over the credited time and capped per level
+function getOfflineDrops(cfg, level, toolTier, awayMs) {
+  const rules = resourceConfigData.offline || {};
+  const timing = getHarvestTiming(cfg, level, toolTier);
+  const creditedMs = Math.min(awayMs, rules.maxAwayMs || 0);
+  const drops = Math.floor((creditedMs / (timing.cycleMs * timing.cyclesNeeded)) * (rules.efficiency || 0));
+  const cap = (rules.maxDropsBase || 0) + (rules.maxDropsPerLevel || 0) * level;
+  return { creditedMs, drops: Math.min(drops, cap) };
+}
+
+// Offline progression, part 2: on login the client asks for its offline
+// gains. The activity record is claimed (removed) in a transaction first, so
+// gains are applied at most once; the items and experience are then granted
+// like harvest drops
+exports.handleOfflineRequest = onValueWritten({ ref: "/actions/offlineRequests/{areaId}/{reqId}" }, async (event) => {
+  try {
+    if (event.data?.before && event.data.before.exists()) return;
+    const after = event.data?.after?.val();
+    if (!after) return;
+
+    const areaId = event.params.areaId;
+    const reqId = event.params.reqId;
+    const uid = after.uid;
+    const db = getAdminApp().database();
+    const resultRef = db.ref(`/actions/offlineResults/${areaId}/${reqId}`);
+
+    if (!uid) {
+      await resultRef.set({ success: false, error: 'invalid_request' });
+      return;
+    }
+
+    // The committed snapshot of a removal is empty, so keep the claimed record
+    let activity = null;
+    const claim = await db.ref(`offlineActivity/${uid}`).transaction((current) => {
+      activity = current;
+      return null;
+    }, undefined, false);
+    if (!claim.committed || !activity) {
+      await resultRef.set({ success: true, summary: null });
+      return;
+    }
+
+    const rules = resourceConfigData.offline || {};
+    const awayMs = Math.max(0, Date.now() - (Number(activity.startedAt) || Date.now()));
+    const cfg = getNodeConfig(activity.nodeType);
+    const skill = cfg.skill;
+    const [inventorySnap, xpSnap] = await Promise.all([
+      db.ref(`players/${uid}/inventory`).once('value'),
+      db.ref(`players/${uid}/skills/${skill}/experience`).once('value'),
+    ]);
+    const level = levelFromExperience(Number(xpSnap.val()) || 0);
+    const toolTier = bestToolTier(inventorySnap.val(), cfg.tool);
+    const summary = { nodeType: activity.nodeType, skill, awayMs, creditedMs: 0, drops: 0, items: [], inventoryFull: false, xp: 0 };
+    // Requirements are checked as of now; a short absence earns nothing
+    if (awayMs < (rules.minAwayMs || 0) || level < (cfg.minLevel || 1) || toolTier < (cfg.toolTier || 0)) {
+      await resultRef.set({ success: true, summary });
+      return;
+    }
+
+    const { creditedMs, drops } = getOfflineDrops(cfg, level, toolTier, awayMs);
+    // Total each item over all drops, each seeded like a harvest drop
+    const totals = {};
+    for (let i = 0; i < drops; i++) {
+      for (const drop of rollLoot(activity.nodeType, `${uid}/${activity.startedAt}/${i}`)) {
+        if (itemDefsById[drop.itemId]) totals[drop.itemId] = (totals[drop.itemId] || 0) + drop.quantity;
+      }
+    }
+    const loot = Object.entries(totals).map(([itemId, quantity]) => ({ itemId, quantity, bonus: false }));
+    const granted = await grantLoot(db, uid, loot);
+    summary.items = granted.filter(g => g.count > 0).map(g => ({ type: g.type, count: g.count, instances: g.instances || null }));
+    summary.inventoryFull = granted.some((g, i) => g.count < loot[i].quantity);
+
+    const xp = skill ? drops * (Number(cfg.xp) || 0) : 0;
+    await grantExperience(db, uid, skill, xp);
+    summary.creditedMs = creditedMs;
+    summary.drops = drops;
+    summary.xp = xp;
+    await resultRef.set({ success: true, summary });
+  } catch (e) {
+    logger.error('handleOfflineRequest error', e?.message || e);
+    try { await getAdminApp().database().ref(`/actions/offlineResults/${event.params.areaId}/${event.params.reqId}`).set({ success: false, error: String(e?.message || e) }); } catch (_) {}
+  }
+});
+
 // DISABLED: Initial enemy spawning is disabled
 /*
 exports.spawnInitialEnemies = onRequest({ cors: true }, async (req, res) => {
@@ -377,7 +1215,7 @@ exports.releaseGroundItemVisibility = onSchedule('0 */1 * * *', async (event) =>
       for (const [id, item] of Object.entries(items)) {
         try {
           if (item && item.releaseAt && item.visibleTo && Array.isArray(item.visibleTo) && item.releaseAt <= now) {
-            await groundRef.child(id).update({ visibleTo: null, contributors: null });
+            await groundRef.child(id).update({ visibleTo: null, contributors: null, ownerId: null });
             logger.log(`[RELEASE_VISIBILITY] Released ${id} in area ${areaId}`);
           }
         } catch (innerErr) {
@@ -390,6 +1228,78 @@ exports.releaseGroundItemVisibility = onSchedule('0 */1 * * *', async (event) =>
   }
 });
 
+// Find a shoreline spot for a forage item: a random point in the bounds on
+// the shore biome with water within waterDistance in one of eight directions,
+// kept minSpacing away from the area's other ground items
+function findShorelineSpot(terrain, seed, bounds, placement, taken) {
+  const reach = placement.waterDistance || 24;
+  const spacing = placement.minSpacing || 0;
+  for (let i = 0; i < (placement.attempts || 400); i++) {
+    const x = Math.round(bounds.x + Math.random() * bounds.width);
+    const y = Math.round(bounds.y + Math.random() * bounds.height);
+    if (terrain.classifyWorldPosition(seed, x, y).name !== placement.shoreBiome) continue;
+    if (taken.some(p => Math.hypot(p.x - x, p.y - y) < spacing)) continue;
+    let nearWater = false;
+    for (let d = 0; d < 8 && !nearWater; d++) {
+      const angle = (d / 8) * Math.PI * 2;
+      nearWater = terrain.classifyWorldPosition(seed, x + Math.cos(angle) * reach, y + Math.sin(angle) * reach).isWater;
+    }
+    if (nearWater) return { x, y };
+  }
+  return null;
+}
+
+// Scheduled task: wash gatherable items up along the shoreline of each area
+// configured in src/data/forage.json. Per area, `location` names the
+// locations.json entry whose spawnRates pick the item, `bounds` is where spots
+// are sampled, `cap` the most forage items on the ground at once and `perTick`
+// how many one run adds. Items are marked `forage` so pickups grant the
+// configured gathering xp (see handlePickupRequest)
+exports.spawnForage = onSchedule(forageConfig.schedule || 'every 2 minutes', async (event) => {
+  try {
+    const db = getAdminApp().database();
+    const terrain = await loadTerrainModules();
+    const locationsById = Object.fromEntries(locationList.map(l => [l.id, l]));
+
+    for (const [areaId, areaCfg] of Object.entries(forageConfig.areas || {})) {
+      try {
+        const spawnRates = locationsById[areaCfg.location]?.spawnRates || {};
+        const groundRef = db.ref(`areas/${areaId}/groundItems`);
+        const ground = Object.values((await groundRef.once('value')).val() || {}).filter(Boolean);
+        const existing = ground.filter(item => item.forage).length;
+        const toSpawn = Math.min(areaCfg.perTick || 1, (areaCfg.cap || 0) - existing);
+        if (toSpawn <= 0) continue;
+
+        const seed = terrain.getAreaTerrainSeed(terrain.getArea(areaId));
+        const taken = ground.map(item => ({ x: Number(item.x) || 0, y: Number(item.y) || 0 }));
+        const now = Date.now();
+        const updates = {};
+        for (let i = 0; i < toSpawn; i++) {
+          const type = pickWeighted(spawnRates, Math.random);
+          if (!type || !itemDefsById[type]) continue;
+          const spot = findShorelineSpot(terrain, seed, areaCfg.bounds, forageConfig.placement || {}, taken);
+          if (!spot) break; // no shoreline left in the bounds this run
+          taken.push(spot);
+          updates[groundRef.push().key] = {
+            type, count: 1, x: spot.x, y: spot.y,
+            ownerId: null, visibleTo: null, forage: true,
+            createdAt: now, releaseAt: now,
+          };
+        }
+        const count = Object.keys(updates).length;
+        if (count > 0) {
+          await groundRef.update(updates);
+          logger.log(`[FORAGE] Spawned ${count} item(s) in area ${areaId}`);
+        }
+      } catch (innerErr) {
+        logger.error('spawnForage area error', areaId, innerErr?.message || innerErr);
+      }
+    }
+  } catch (e) {
+    logger.error('spawnForage error', e?.message || e);
+  }
+});
+
 // DISABLED: Enemy cleanup is disabled
 /*
 exports.onEnemyChanged = onValueWritten({ ref: "/areas/{areaId}/enemies/{enemyId}" }, async (event) => {
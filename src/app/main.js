@@ -3,11 +3,13 @@ import { onAuthStateChanged } from "firebase/auth";
 import { initDesktopScreen, handleAuthChange, enableChat } from '../ui/desktop.js';
 import { playerService } from '../services/playerService.js';
 import { initAreaGame } from '../game/core.js';
-import { ensureAreaSeeded, subscribeResourceNodes } from '../game/resources.js';
+import { ensureAreaSeeded } from '../game/resources.js';
 import { initCharacter } from '../game/character.js';
 import { initProjectiles } from '../game/projectiles.js';
 import { initEnemies } from '../game/enemies.js';
 import { experienceManager } from '../game/experienceManager.js';
+import { getArea } from '../data/areaData.js';
+import { claimOfflineProgress } from '../ui/offlineSummary.js';
 
 class App {
   constructor() {
@@ -43,9 +45,9 @@ class App {
       const initialPosition = await playerService.getInitialPosition();
       
       // Initialize the game area after player data is loaded AND DOM is ready
-      const areaId = 'beach'; // AI: Hardcoded to 'beach' for now, can be dynamic later.
+      // AI: Resume in the area the player was last in; initAreaGame owns the area's subscriptions.
+      const areaId = getArea(initialPosition && initialPosition.areaId).id;
       await ensureAreaSeeded(areaId);
-      subscribeResourceNodes(areaId);
       
       // AI: The DOM is now guaranteed to be ready because the entry point in game.html
       // uses a 'DOMContentLoaded' event listener.
@@ -53,7 +55,7 @@ class App {
       initAreaGame(initialPosition);
       initCharacter(); // AI: Initialize the character after the game area is ready.
       enableChat(); // AI: Enable chat listeners now that the game instance is ready.
-      initEnemies();
+      initEnemies(areaId);
 
       // Ensure experience data is loaded and UI is updated
       try {
@@ -62,6 +64,10 @@ class App {
       } catch (error) {
         console.error('Failed to load experience data:', error);
       }
+
+      // Credit anything the drone harvested while the player was offline. This
+      // runs after the inventory has loaded: the gains are mirrored onto it.
+      await claimOfflineProgress(user.uid, areaId);
     } catch (error) {
       console.error('Failed to initialize game for user:', error);
       // AI: Removed the setTimeout from the error case as well for consistency.
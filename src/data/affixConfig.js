@@ -0,0 +1,21 @@
+// Equipment rarity and affix configuration.
+// The values live in affixes.json so the Cloud Functions (functions/index.js)
+// roll dropped gear with the same numbers; see rollItemInstance in
+// src/game/loot.js.
+// - rarities: tiers from lowest to highest, each with
+//   - id / name / color: key, display name and tooltip color
+//   - chance: odds of rolling this tier; rolls try the rarest tier first and
+//     fall back to the first entry. An item never rolls below its own
+//     equipment.json `rarity`.
+//   - affixes: how many distinct affixes an item of this tier gets
+// - affixes: the pool rolled from, each with
+//   - id / name: key and display name
+//   - stat: player stat it adds to (see playerStats.json)
+//   - range / step: value is min..max in multiples of step
+//   - weight: relative odds among the affixes that fit the item
+//   - slots: equipment.json `slot` kinds it can appear on
+import affixData from './affixes.json';
+
+export const affixConfig = affixData;
+export const raritiesById = Object.fromEntries(affixData.rarities.map(r => [r.id, r]));
+export const affixesById = Object.fromEntries(affixData.affixes.map(a => [a.id, a]));
@@ -1,29 +1,104 @@
-// AI: This file centralizes the definitions for game areas, including resource node layouts.
-// By defining node positions here, we can easily create and manage different maps
-// with unique resource distributions. This approach is scalable for when new maps are added.
+// AI: This file centralizes the definitions for game areas. Resource nodes are
+// not listed by hand: each area describes *where* nodes may appear with
+// `resourceRules`, and src/game/nodePlacement.js generates the concrete layout
+// from those rules and the area's terrain seed. A new area only needs a rules
+// block (plus spawn and portals, and optionally banks).
+//
+// Area fields:
+// - name: display name (loading screen, portal prompts)
+// - terrainSeed: seed for this area's terrain; null uses the shared world seed
+// - spawn: default arrival position when the player has no remembered position
+// - portals: travel points rendered as world objects. Each portal sends the
+//   player to `targetArea` at (targetX, targetY); place the arrival point a
+//   little away from the destination's return portal.
+// - banks (optional): bank vaults rendered as world objects; interacting opens
+//   the bank window (src/ui/bank.js)
+// - resourceRules: node placement rules synced to areas/{areaId}/resources
+//   - bounds: world rect nodes are placed in
+//   - nodes: one rule per node type, evaluated in order (see nodePlacement.js
+//     for the rule fields: type, density, biomes, minSpacing, cluster, near)
+// - resourceNodes (optional): a hand-placed layout (e.g. exported from the
+//   area editor); when present it is used instead of resourceRules
+
+import { PERMANENT_TERRAIN_SEED } from '../utils/worldConstants.js';
+
+export const DEFAULT_AREA_ID = 'beach';
 
 export const areaData = {
   beach: {
-    resourceNodes: [
-      // AI: Stone deposits - positioned in top-left area to sync with server
-      { id: 'stone_deposit_1', type: 'stone_deposit', x: 150, y: 180, cooldownUntil: 0 },
-      { id: 'stone_deposit_2', type: 'stone_deposit', x: 450, y: 200, cooldownUntil: 0 },
-      { id: 'stone_deposit_3', type: 'stone_deposit', x: 320, y: 100, cooldownUntil: 0 },
-      
-      // AI: Sandstones - positioned around stone deposits for server sync
-      { id: 'sandstone_1', type: 'sandstone', x: 120, y: 160, cooldownUntil: 0 },
-      { id: 'sandstone_2', type: 'sandstone', x: 170, y: 200, cooldownUntil: 0 },
-      { id: 'sandstone_3', type: 'sandstone', x: 420, y: 180, cooldownUntil: 0 },
-      { id: 'sandstone_4', type: 'sandstone', x: 470, y: 220, cooldownUntil: 0 },
-      { id: 'sandstone_5', type: 'sandstone', x: 290, y: 80, cooldownUntil: 0 },
-      { id: 'sandstone_6', type: 'sandstone', x: 350, y: 120, cooldownUntil: 0 },
+    name: 'Beach',
+    terrainSeed: null,
+    spawn: { x: 300, y: 250 },
+    portals: [
+      { id: 'beach_to_dunes', x: 620, y: 320, targetArea: 'dunes', targetX: 430, targetY: 400 }
+    ],
+    banks: [
+      { id: 'beach_bank', x: 240, y: 250 }
+    ],
+    resourceRules: {
+      bounds: { x: 60, y: 40, width: 520, height: 320 },
+      nodes: [
+        // AI: A few stone deposits on open sand, well apart
+        { type: 'stone_deposit', density: 18, biomes: ['dry_sand', 'wet_sand'], minSpacing: 110 },
+        // AI: Sandstones gather around the stone deposits
+        { type: 'sandstone', density: 36, biomes: ['dry_sand', 'wet_sand'], minSpacing: 30, near: { type: 'stone_deposit', radius: 70 } },
+      ],
+    },
+  },
+  dunes: {
+    name: 'Shifting Dunes',
+    terrainSeed: 0x5d2a91c3,
+    spawn: { x: 430, y: 400 },
+    portals: [
+      { id: 'dunes_to_beach', x: 360, y: 400, targetArea: 'beach', targetX: 560, targetY: 320 },
+      { id: 'dunes_to_tidepools', x: 900, y: 640, targetArea: 'tidepools', targetX: 320, targetY: 300 }
     ],
+    resourceRules: {
+      bounds: { x: 460, y: 180, width: 400, height: 400 },
+      nodes: [
+        { type: 'stone_deposit', density: 12, biomes: ['dry_sand'], minSpacing: 140 },
+        // AI: Loose sandstone fields in small groups
+        { type: 'sandstone', density: 25, biomes: ['dry_sand', 'wet_sand'], minSpacing: 30, cluster: { size: [2, 3], radius: 60 } },
+      ],
+    },
+  },
+  tidepools: {
+    name: 'Tide Pools',
+    terrainSeed: 0x1b7e44a9,
+    spawn: { x: 320, y: 300 },
+    portals: [
+      { id: 'tidepools_to_dunes', x: 250, y: 300, targetArea: 'dunes', targetX: 840, targetY: 640 }
+    ],
+    banks: [
+      { id: 'tidepools_bank', x: 320, y: 360 }
+    ],
+    resourceRules: {
+      bounds: { x: 340, y: 240, width: 300, height: 300 },
+      nodes: [
+        { type: 'stone_deposit', density: 12, biomes: ['wet_sand', 'dry_sand'], minSpacing: 120 },
+        { type: 'sandstone', density: 35, biomes: ['wet_sand', 'dry_sand'], minSpacing: 30, near: { type: 'stone_deposit', radius: 80 } },
+      ],
+    },
   },
-  // AI: Future maps can be added here, for example:
-  // forest: {
-  //   resourceNodes: [
-  //     { id: 'forest_wood_1', type: 'wood', x: 200, y: 200 },
-  //     ...
-  //   ],
-  // },
 };
+
+/**
+ * AI: Look up an area definition, falling back to the default area for
+ * unknown ids (e.g. a saved area that has since been removed).
+ * @param {string} areaId
+ * @returns {{id: string, name: string, terrainSeed: number|null, spawn: {x: number, y: number}, portals: Array, banks?: Array, resourceRules: object, resourceNodes?: Array}}
+ */
+export function getArea(areaId) {
+  const id = areaData[areaId] ? areaId : DEFAULT_AREA_ID;
+  return { id, ...areaData[id] };
+}
+
+/**
+ * AI: Terrain seed an area is generated with (its own seed, or the shared
+ * world seed when it has none).
+ * @param {{terrainSeed?: number|null}} area
+ * @returns {number}
+ */
+export function getAreaTerrainSeed(area) {
+  return area && typeof area.terrainSeed === 'number' ? area.terrainSeed : PERMANENT_TERRAIN_SEED;
+}
@@ -0,0 +1,18 @@
+// Area editor (admin-only layout tool) configuration.
+// - toggleKey: key that opens/closes the editor (only registered for admins)
+// - gridSizes / defaultGridSize: snap grid options in world pixels
+// - hitRadius: world pixels around a marker that count as clicking it
+// - colors: overlay colors for the grid and the edited layout markers
+export const areaEditorConfig = {
+  toggleKey: 'f2',
+  gridSizes: [8, 16, 32, 64],
+  defaultGridSize: 16,
+  hitRadius: 14,
+  colors: {
+    grid: 'rgba(255, 255, 255, 0.08)',
+    node: '#fbbf24',
+    portal: '#a78bfa',
+    spawn: '#34d399',
+    selected: '#f472b6'
+  }
+};
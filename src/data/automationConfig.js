@@ -0,0 +1,17 @@
+// Drone automation configuration (see src/game/automation.js).
+// - toggleKey: keyboard key (lowercase) that turns automation on/off
+// - maxSessionMs: longest one automation session runs before it switches
+//   itself off (the AFK limit; it is not extended while it runs)
+// - searchRadius: farthest (px) from the drone a node is considered
+// - pickupRadius: own ground drops within this distance of the drone are
+//   collected between nodes
+// - retryMs: wait before searching again when no node is available
+// - skipNodeMs: how long a node the drone could not reach is ignored
+export const automationConfig = {
+  toggleKey: 'g',
+  maxSessionMs: 30 * 60 * 1000,
+  searchRadius: 800,
+  pickupRadius: 160,
+  retryMs: 1000,
+  skipNodeMs: 30000
+};
@@ -0,0 +1,9 @@
+// Bank configuration (see src/game/bankManager.js and src/ui/bank.js).
+// - tabs: number of bank tabs
+// - slotsPerTab: slots in each tab (shown as an 8-column grid)
+// - withdrawAmounts: quick picks next to the Withdraw-X field
+export const bankConfig = {
+  tabs: 4,
+  slotsPerTab: 48,
+  withdrawAmounts: [1, 10, 100]
+};
@@ -15,11 +15,12 @@ export function getSpawnWeights(locationId = 'beach') {
   return weights;
 }
 
-export function pickWeighted(weights) {
+// `random` returns [0, 1); pass a seeded generator for reproducible picks
+export function pickWeighted(weights, random = Math.random) {
   const entries = Object.entries(weights).filter(([_, w]) => w > 0);
   const total = entries.reduce((s, [, w]) => s + w, 0);
   if (total <= 0) return null;
-  let r = Math.random() * total;
+  let r = random() * total;
   for (const [k, w] of entries) {
     if ((r -= w) <= 0) return k;
   }
@@ -0,0 +1,14 @@
+// Crafting configuration.
+// Recipes live in recipes.json:
+// - skill: skill credited with each craft's xp
+// - recipes: listed in the order the Crafting tab shows them, each with
+//   - id / name: recipe key and display name
+//   - inputs / outputs: `{ item, quantity }` entries (item ids from items.json);
+//     inputs are consumed and outputs produced together or not at all
+//   - level: crafting level needed to start the recipe
+//   - craftMs: how long one craft takes
+//   - xp: crafting experience per completed craft
+import recipeData from './recipes.json';
+
+export const craftingConfig = recipeData;
+export const recipesById = Object.fromEntries(recipeData.recipes.map(r => [r.id, r]));
@@ -0,0 +1,81 @@
+// Decoration layer configuration.
+// Decorations are purely client-side scenery placed deterministically from the
+// terrain seed (see src/game/decorations.js). Each entry describes where a
+// decoration type may appear and how it looks/collides.
+//
+// Placement fields:
+// - biomes: biome names (see BIOMES in worldConstants.js) the decoration may sit on
+// - spacing: candidate grid spacing in world pixels (one candidate per cell)
+// - jitter: fraction of `spacing` a candidate may be offset from its cell center
+// - clusterScale: frequency of the cluster noise sampled at world pixels
+// - clusterMin: candidates are kept only where cluster noise >= clusterMin
+//   (higher = fewer, tighter clusters)
+// - ridgeWidth: if set, candidates are kept only where cluster noise is within
+//   ridgeWidth of 0.5, which traces thin winding ridge lines instead of blobs
+// - chance: probability a surviving candidate is placed
+// - oasisBonus: extra chance added inside OASIS_CONFIG.radius
+// - salt: mixed into the terrain seed so each type gets independent noise
+//
+// Rendering/collision fields:
+// - variants: number of visual variants (picked deterministically)
+// - solidRadius: collision footprint radius in world pixels (0 = walk-through)
+// - flat: ground-level detail drawn beneath all entities instead of being
+//   depth-sorted (it can never occlude anything)
+export const decorationConfigs = {
+  // Palm clusters around the oasis and on vegetation patches
+  palm: {
+    biomes: ['vegetation'],
+    spacing: 36,
+    jitter: 0.8,
+    clusterScale: 0.01,
+    clusterMin: 0.5,
+    chance: 0.35,
+    oasisBonus: 0.45,
+    salt: 0x51a7c3d1,
+    variants: 3,
+    solidRadius: 5,
+    flat: false
+  },
+  // Rock outcrops scattered across the sand in small groups
+  rock: {
+    biomes: ['dry_sand', 'wet_sand'],
+    spacing: 48,
+    jitter: 0.7,
+    clusterScale: 0.012,
+    clusterMin: 0.62,
+    chance: 0.5,
+    oasisBonus: 0,
+    salt: 0x2c1b3e77,
+    variants: 3,
+    solidRadius: 7,
+    flat: false
+  },
+  // Shells along the wet sand at the water's edge
+  shell: {
+    biomes: ['wet_sand'],
+    spacing: 28,
+    jitter: 0.9,
+    clusterScale: 0.02,
+    clusterMin: 0,
+    chance: 0.1,
+    oasisBonus: 0,
+    salt: 0x7f4a9b23,
+    variants: 2,
+    solidRadius: 0,
+    flat: true
+  },
+  // Dune ridges tracing winding lines through the dry sand
+  dune: {
+    biomes: ['dry_sand'],
+    spacing: 40,
+    jitter: 0.3,
+    clusterScale: 0.004,
+    ridgeWidth: 0.025,
+    chance: 0.85,
+    oasisBonus: 0,
+    salt: 0x3d9e6f15,
+    variants: 2,
+    solidRadius: 0,
+    flat: true
+  }
+};
@@ -0,0 +1,16 @@
+// Fishing configuration.
+// The values live in fishing.json so the fishing Cloud Function
+// (functions/index.js) validates casts and rolls catches from the same data.
+// - skill: skill credited for catches
+// - tool / toolTier: tool kind and minimum tier needed to cast (see
+//   `tool`/`toolTier` in items.json; counted while in the inventory)
+// - castRange: farthest (px) from the drone a cast may land; rangeSlack is
+//   the extra distance the server tolerates for position sync lag
+// - biteDelayMs: [min, max] wait after a cast before a fish bites
+// - biteWindowMs: how long the player has to hook a bite; hookGraceMs is
+//   added on the server for request latency
+// - tables: catch tables per water biome (BIOMES names), in the loot table
+//   format of lootTables.json (see loot.js) plus `xp` granted per catch
+import fishingData from './fishing.json';
+
+export const fishingConfig = fishingData;
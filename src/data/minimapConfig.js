@@ -0,0 +1,24 @@
+// Minimap overlay configuration (see src/ui/minimap.js).
+// - size: minimap width/height in CSS pixels
+// - zoomLevels: discrete magnifications; 1 shows the whole world, higher
+//   levels show a window of WORLD_SIZE / zoom centered on the player
+// - defaultZoom: zoom level used on first open
+// - refreshMs: minimum time between redraws (the minimap does not need 60fps)
+// - toggleKey: keyboard key (lowercase) that shows/hides the minimap
+// - nodeColors: resource node dot colors by node type (with a default)
+// - groundItemColor / localPlayerColor / viewportColor: marker colors
+export const minimapConfig = {
+  size: 180,
+  zoomLevels: [1, 2, 4, 8],
+  defaultZoom: 4,
+  refreshMs: 100,
+  toggleKey: 'm',
+  nodeColors: {
+    stone_deposit: '#9ca3af',
+    sandstone: '#d6b370',
+    default: '#a3a3a3'
+  },
+  groundItemColor: '#facc15',
+  localPlayerColor: '#ffffff',
+  viewportColor: 'rgba(255, 255, 255, 0.35)'
+};
@@ -155,6 +155,20 @@ function drawIconInternal(ctx, id, x, y, scale, outline, colorOverride, withShad
       plot(9, 6, 1, 3, woodD); // right post
       break;
     }
+    case 'map': {
+      // A folded parchment map with a red destination mark.
+      const P = pal.sand.l, PD = pal.sand.d, W = pal.glass.d, X = '#ef4444';
+      plot(1, 2, 10, 8, P);
+      plot(4, 2, 1, 8, PD); // folds
+      plot(7, 2, 1, 8, PD);
+      plot(2, 6, 2, 2, W); // water patch
+      plot(8, 3, 1, 1, X); // destination mark (X)
+      plot(10, 3, 1, 1, X);
+      plot(9, 4, 1, 1, X);
+      plot(8, 5, 1, 1, X);
+      plot(10, 5, 1, 1, X);
+      break;
+    }
     case 'chat': {
       // Rounded speech bubble with subtle tail
       const B = pal.ui.paper;
@@ -218,6 +232,18 @@ function drawIconInternal(ctx, id, x, y, scale, outline, colorOverride, withShad
       plot(4, 6, 2, 2, G2); // leaf mid-left
       break;
     }
+    case 'crafting': {
+      // Hammer over a small anvil
+      const H = pal.wood.m, HL = pal.wood.l, MT = pal.metal.m, ML = pal.metal.l, MD = pal.metal.d;
+      plot(6, 2, 1, 5, H); // handle
+      plot(7, 2, 1, 5, HL);
+      plot(4, 1, 6, 2, MT); // head
+      plot(4, 1, 6, 1, ML);
+      plot(3, 8, 7, 1, MD); // anvil
+      plot(4, 7, 5, 1, MT);
+      plot(5, 9, 3, 1, MD);
+      break;
+    }
 
     // Equipment slots
     case 'helmet': {
@@ -358,6 +384,32 @@ function drawIconInternal(ctx, id, x, y, scale, outline, colorOverride, withShad
       plot(5, 6, 1, 1, X);
       break;
     }
+    case 'rough_gem': {
+      const L = '#a7f3d0', M = '#34d399', D = '#059669', X = '#065f46';
+      plot(4, 3, 4, 1, L);
+      plot(3, 4, 6, 2, M);
+      plot(4, 6, 4, 2, M);
+      plot(5, 8, 2, 1, D);
+      plot(7, 4, 2, 2, D);
+      plot(6, 6, 2, 2, D);
+      plot(5, 9, 2, 1, X);
+      plot(4, 4, 1, 1, L);
+      break;
+    }
+    case 'fossil': {
+      const L = '#e7d8b0', M = '#c8b48a', D = '#a08a5f', X = '#6d5a3a';
+      plot(2, 3, 8, 7, M);
+      plot(3, 2, 6, 9, M);
+      plot(3, 9, 6, 2, D);
+      plot(9, 4, 1, 5, D);
+      plot(4, 4, 4, 1, X);
+      plot(7, 5, 1, 3, X);
+      plot(4, 7, 3, 1, X);
+      plot(4, 5, 1, 2, X);
+      plot(5, 6, 1, 1, X);
+      plot(3, 2, 3, 1, L);
+      break;
+    }
     case 'stone_deposit': {
       const L = pal.stone.l, M = pal.stone.m, D = pal.stone.d, X = pal.stone.x;
       plot(1, 5, 10, 5, M);
@@ -465,6 +517,108 @@ function drawIconInternal(ctx, id, x, y, scale, outline, colorOverride, withShad
       plot(5, 9, 1, 1, S);
       break;
     }
+    case 'sword':
+    case 'weapon': {
+      const B = pal.wood.l, BD = pal.wood.d, G = pal.wood.x, HL = 'rgba(255,255,255,0.3)';
+      plot(8, 1, 2, 2, B); // blade, tip top-right
+      plot(7, 2, 2, 2, B);
+      plot(6, 3, 2, 2, B);
+      plot(5, 4, 2, 2, B);
+      plot(9, 1, 1, 1, HL);
+      plot(3, 6, 4, 1, BD); // crossguard
+      plot(4, 5, 1, 3, BD);
+      plot(3, 7, 2, 2, G); // grip
+      plot(2, 9, 1, 1, G);
+      break;
+    }
+    case 'module': {
+      // Chip takes the item color so every module shares one shape
+      const M = colorOverride || pal.metal.m, D = 'rgba(0,0,0,0.3)', P = pal.metal.l;
+      plot(3, 3, 6, 6, M);
+      plot(3, 8, 6, 1, D);
+      plot(4, 4, 4, 4, D);
+      plot(5, 5, 2, 2, M);
+      plot(2, 4, 1, 1, P); // pins
+      plot(2, 7, 1, 1, P);
+      plot(9, 4, 1, 1, P);
+      plot(9, 7, 1, 1, P);
+      break;
+    }
+    case 'core': {
+      const M = colorOverride || '#34d399', MD = pal.metal.d, L = 'rgba(255,255,255,0.45)';
+      plot(4, 2, 4, 8, MD); // casing
+      plot(3, 3, 6, 6, MD);
+      plot(4, 4, 4, 4, M); // glowing center
+      plot(5, 3, 2, 6, M);
+      plot(5, 4, 1, 1, L);
+      break;
+    }
+    case 'cpu': {
+      const M = colorOverride || '#60a5fa', D = pal.metal.d, P = pal.metal.l;
+      plot(3, 3, 6, 6, D);
+      plot(4, 4, 4, 4, M);
+      plot(4, 4, 2, 1, 'rgba(255,255,255,0.4)');
+      for (let i = 4; i <= 7; i += 3) {
+        plot(i, 2, 1, 1, P); // pins on every side
+        plot(i, 9, 1, 1, P);
+        plot(2, i, 1, 1, P);
+        plot(9, i, 1, 1, P);
+      }
+      break;
+    }
+    case 'glass': {
+      const L = pal.glass.l, M = pal.glass.m, D = pal.glass.d;
+      plot(3, 3, 6, 6, M);
+      plot(3, 8, 6, 1, D);
+      plot(8, 3, 1, 6, D);
+      plot(4, 4, 1, 3, L);
+      plot(5, 4, 1, 1, L);
+      break;
+    }
+    case 'plank': {
+      const B = pal.wood.m, BL = pal.wood.l, BD = pal.wood.d;
+      plot(2, 5, 8, 3, B);
+      plot(2, 5, 8, 1, BL);
+      plot(2, 7, 8, 1, BD);
+      plot(4, 6, 2, 1, BD);
+      plot(8, 6, 1, 1, BD);
+      break;
+    }
+    case 'rope': {
+      const L = '#d6c08a', M = '#b89a5c', D = '#8a6f3d';
+      plot(3, 4, 6, 5, M);
+      plot(4, 3, 4, 7, M);
+      plot(5, 5, 2, 3, D); // coil center
+      plot(4, 3, 3, 1, L);
+      plot(3, 5, 1, 2, L);
+      plot(8, 9, 2, 1, M); // loose end
+      break;
+    }
+    case 'brick': {
+      // Block takes the item color so stone and sandstone share one shape
+      const M = colorOverride || pal.stone.m, D = 'rgba(0,0,0,0.25)', L = 'rgba(255,255,255,0.3)';
+      plot(2, 4, 8, 5, M);
+      plot(2, 4, 8, 1, L);
+      plot(2, 8, 8, 1, D);
+      plot(9, 4, 1, 5, D);
+      plot(2, 6, 8, 1, D); // mortar line
+      plot(5, 4, 1, 2, D);
+      plot(7, 7, 1, 1, D);
+      break;
+    }
+    case 'fish': {
+      // Body takes the item color so one shape serves every fish
+      const M = colorOverride || '#94a3b8', D = 'rgba(0,0,0,0.25)', L = 'rgba(255,255,255,0.35)';
+      plot(2, 5, 6, 3, M);
+      plot(3, 4, 4, 5, M);
+      plot(8, 6, 1, 1, M);
+      plot(9, 5, 1, 3, M);
+      plot(10, 4, 1, 5, M);
+      plot(3, 7, 5, 1, D);
+      plot(3, 5, 3, 1, L);
+      plot(3, 5, 1, 1, '#111827'); // eye
+      break;
+    }
     default: {
       const color = colorOverride || '#6b7280';
       plot(3, 4, 3, 3, color);
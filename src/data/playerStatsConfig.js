@@ -0,0 +1,13 @@
+// Player stat sheet configuration.
+// The values live in playerStats.json so the harvest Cloud Function
+// (functions/index.js) paces mining with the same numbers.
+// - base: stats before gear; equipped items' `stats` (equipment.json) add on top
+//   - atk: damage per projectile hit
+//   - miningSpeed: fraction cut from harvest cycle time (0.1 = 10% faster),
+//     added to the level/tool speedups and capped by harvest.minCycleFactor
+//   - moveSpeed: flying speed in px/s
+// - slots: equipment slot (the Equipment tab's data-slot-type) -> the
+//   equipment.json `slot` kind it accepts
+import playerStatsData from './playerStats.json';
+
+export const playerStatsConfig = playerStatsData;
@@ -1,12 +1,63 @@
 // Centralized per-resource configuration.
+// The values live in resourceConfigs.json so the harvest Cloud Function
+// (functions/index.js) reads the exact same numbers as the client.
+// Per node type (`nodes`, with `default` as the fallback):
+// - name: label shown in the node's hover tooltip
 // - cyclesNeeded: how many harvest cycles are required to produce an item
-// - cycleMs: duration (ms) of a single visual/interaction cycle
-// Keep this config here so both rendering and transaction logic share the same canonical values.
-export const resourceConfigs = {
-  // Stone deposits require 2 cycles and have a slightly longer cycle time
-  stone_deposit: { cyclesNeeded: 2, cycleMs: 1700 },
-  // Sandstone / simple nodes: single-cycle
-  sandstone: { cyclesNeeded: 1, cycleMs: 1700 },
-  // Default fallback
-  default: { cyclesNeeded: 1, cycleMs: 1700 }
+// - cycleMs: duration (ms) of a single visual/interaction cycle; also the
+//   node's cooldown after a drop (cycles sent while it cools down are banked
+//   toward the next drop)
+// - footprintRadius: solid collision radius (px) around the node center; keep
+//   well below INTERACTION_RADIUS so nodes stay reachable for mining
+// - yieldMin / yieldMax: item budget rolled when a node spawns; once it is
+//   used up the node is removed and a replacement respawns elsewhere
+// - respawnMs: delay before a depleted node's replacement appears (the
+//   respawn job runs once a minute, so it can be up to a minute later)
+// - skill / xp: skill credited and experience granted per drop (the items
+//   themselves come from the node's loot table, see lootTables.json)
+// - minLevel: `skill` level required to harvest the node
+// - tool / toolTier: tool kind and minimum tier required (tier 0 = the
+//   drone's bare laser; tools are items with matching `tool`/`toolTier` in
+//   items.json, counted while they are in the inventory)
+// Harvest request rules (`harvest`):
+// - maxDistance: farthest (px) the server accepts the player from the node;
+//   a little above INTERACTION_RADIUS to absorb position sync lag
+// - resultTimeoutMs: how long the client waits for the server's result
+// - toolCycleSpeedup / levelCycleSpeedup: fraction of cycleMs removed per
+//   tool tier / skill level above the node's requirement (equipped gear's
+//   miningSpeed, see playerStatsConfig.js, is removed on top)
+// - minCycleFactor: floor for the scaled cycleMs (fraction of the base)
+// - toolTiersPerCycleSaved: tool tiers above the requirement needed to skip
+//   one of the node's cyclesNeeded (never below one cycle)
+// - cyclePacing: fraction of the player's cycle length that must pass between
+//   two of their cycles on a node (below 1 to absorb network jitter).
+//   Cycles from several players on one node add up, and each drop is split
+//   between them by cycles contributed
+// Offline progression (`offline`), credited on the next login for a node the
+// player was harvesting when they disconnected:
+// - minAwayMs: shorter absences (e.g. a page refresh) earn nothing
+// - maxAwayMs: most away time credited
+// - efficiency: fraction of the drops an online player would have earned
+// - maxDropsBase / maxDropsPerLevel: drop cap per absence, raised with the
+//   node skill's level
+import resourceConfigData from './resourceConfigs.json';
+
+export const resourceConfigs = resourceConfigData.nodes;
+
+export const harvestRules = resourceConfigData.harvest;
+
+export const offlineRules = resourceConfigData.offline;
+
+// Where a depleted node's replacement may appear. The new spot is picked at
+// random between min/maxDistanceFromOrigin of the depleted node (so busy spots
+// move instead of becoming permanent farms) and must be on ground its
+// placement rule allows, at least minNodeSpacing from every other node
+// (findRespawnPosition in nodePlacement.js).
+// - attempts: random candidates tried before the respawn job
+//   (processResourceRespawns in functions/index.js) retries on its next run
+export const resourceRespawnRules = {
+  minDistanceFromOrigin: 120,
+  maxDistanceFromOrigin: 360,
+  minNodeSpacing: 40,
+  attempts: 30
 };
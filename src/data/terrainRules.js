@@ -0,0 +1,17 @@
+// Per-biome movement rules used by the collision subsystem (src/game/collision.js)
+// and the pathfinder. Keys are biome names from BIOMES in worldConstants.js.
+// - minClearance: altitude (entity.height, in pixels) an entity must hover at
+//   to pass over this terrain. 0 = always passable. Anything flying lower is
+//   blocked, so deep water stops the low-hovering drone while a future
+//   high-altitude mode could cross it.
+export const terrainRules = {
+  // Open deep water: sensors/rotors cannot cope with the spray at low altitude
+  deep_water: { minClearance: 40 },
+  // Shallow water slows the drone (see physics.js) but is passable
+  water: { minClearance: 0 },
+  wet_sand: { minClearance: 0 },
+  dry_sand: { minClearance: 0 },
+  vegetation: { minClearance: 0 },
+  // Fallback for unknown biomes
+  default: { minClearance: 0 }
+};
@@ -0,0 +1,21 @@
+// World map (fog of war + pins) configuration.
+// Exploration is tracked on a coarse grid of FOG cells covering the world.
+// The explored state is one bit per cell, so a 64x64 grid is 512 bytes and is
+// stored base64-encoded under players/{uid}/exploration.
+// - fogCellSize: world pixels per fog cell (WORLD_WIDTH / fogCellSize cells per row)
+// - revealRadius: world pixels around the drone that count as explored
+// - saveDebounceMs: delay before newly explored cells are written to the server
+// - refreshMs: world map redraw interval while the tab is open
+// - maxPins / maxPinNameLength: limits on player-placed named pins
+// - fogColor / pinColor / playerColor: map colors
+export const worldMapConfig = {
+  fogCellSize: 256,
+  revealRadius: 384,
+  saveDebounceMs: 5000,
+  refreshMs: 500,
+  maxPins: 25,
+  maxPinNameLength: 24,
+  fogColor: '#0b1120',
+  pinColor: '#f472b6',
+  playerColor: '#ffffff'
+};
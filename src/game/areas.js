@@ -0,0 +1,200 @@
+// Module: area system
+// Purpose: Own the current area's RTDB subscriptions and move the player
+// between areas defined in `areaData.js`.
+//
+// - Each area has its own resources/groundItems/enemies/players paths under
+//   areas/{areaId}; only the current area's paths are subscribed at a time.
+// - A transition runs behind `loadingScreen.showAreaLoading`, regenerates the
+//   area's terrain, swaps subscriptions and places the player either at the
+//   portal's arrival point or at their remembered position in that area.
+// - Positions are remembered per area through `playerService`, so leaving an
+//   area and coming back later resumes where the player left off.
+
+import { game } from './core.js';
+import { camera, regenerateTerrain } from './world.js';
+import { ensureAreaSeeded, subscribeResourceNodes, subscribeHarvestShares } from './resources.js';
+import { subscribeGroundItems } from '../services/groundItemService.js';
+import { playerService } from '../services/playerService.js';
+import { multiplayerManager } from './multiplayerManager.js';
+import { initWorldObjects } from './worldObjects.js';
+import { fishingManager } from './fishing.js';
+import { automationManager } from './automation.js';
+import { explorationManager } from './explorationManager.js';
+import { initEnemies } from './enemies.js';
+import { isPositionBlocked } from './collision.js';
+import { getAreaResourceLayout } from './nodePlacement.js';
+import { getArea, getAreaTerrainSeed } from '../data/areaData.js';
+import { WORLD_PADDING } from '../utils/worldConstants.js';
+import { stopLaserSound } from '../utils/sfx.js';
+import loadingScreen from '../utils/loadingScreen.js';
+
+// Unsubscribe handles for the current area's listeners
+let unsubscribeResources = null;
+let unsubscribeGroundItems = null;
+let unsubscribeHarvestShares = null;
+let transitionInProgress = false;
+
+// Search rings around a blocked arrival point for the nearest free spot
+const ARRIVAL_SEARCH_STEP = 16;
+const ARRIVAL_SEARCH_RINGS = 12;
+
+/**
+ * Id of the area the player is currently in.
+ * @returns {string}
+ */
+export function getCurrentAreaId() {
+  return game.areaId || getArea().id;
+}
+
+/**
+ * Whether an area transition is running (input should be ignored meanwhile).
+ * @returns {boolean}
+ */
+export function isAreaTransitionInProgress() {
+  return transitionInProgress;
+}
+
+/**
+ * Swap RTDB listeners to an area's resources, ground items and this
+ * player's cooperative harvest shares.
+ * Any listeners for a previous area are removed first.
+ * @param {string} areaId
+ */
+export function subscribeAreaData(areaId) {
+  unsubscribeAreaData();
+  unsubscribeResources = subscribeResourceNodes(areaId);
+  unsubscribeGroundItems = subscribeGroundItems(areaId);
+  unsubscribeHarvestShares = subscribeHarvestShares(areaId);
+}
+
+/**
+ * Remove the current area's resource, ground item and harvest share listeners.
+ */
+export function unsubscribeAreaData() {
+  if (unsubscribeResources) unsubscribeResources();
+  if (unsubscribeGroundItems) unsubscribeGroundItems();
+  if (unsubscribeHarvestShares) unsubscribeHarvestShares();
+  unsubscribeResources = null;
+  unsubscribeGroundItems = null;
+  unsubscribeHarvestShares = null;
+}
+
+/**
+ * Set up the area-local game state (world objects, node layout, area data)
+ * without touching terrain or the player. Used on first load and transitions.
+ * @param {string} areaId
+ */
+export function setCurrentArea(areaId) {
+  const area = getArea(areaId);
+  game.areaId = area.id;
+  game.areaData = area;
+  // Generated layout until the RTDB snapshot for the area arrives
+  game.resourceNodes = getAreaResourceLayout(area).map(node => ({ ...node, cooldownUntil: 0 }));
+  game.groundItems = [];
+  initWorldObjects(area.id);
+  // World map fog and pins are kept per area
+  explorationManager.setArea(area.id);
+  return area;
+}
+
+// Clamp to the playable world and step out of water/obstacles if needed
+function findArrivalPoint(x, y) {
+  const PAD = WORLD_PADDING;
+  const clamp = (px, py) => ({
+    x: Math.max(PAD, Math.min(px, game.WORLD_WIDTH - PAD)),
+    y: Math.max(PAD, Math.min(py, game.WORLD_HEIGHT - PAD)),
+  });
+  const start = clamp(x, y);
+  if (!isPositionBlocked(start.x, start.y)) return start;
+
+  for (let ring = 1; ring <= ARRIVAL_SEARCH_RINGS; ring++) {
+    const r = ring * ARRIVAL_SEARCH_STEP;
+    const steps = ring * 8;
+    for (let i = 0; i < steps; i++) {
+      const a = (i / steps) * Math.PI * 2;
+      const candidate = clamp(start.x + Math.cos(a) * r, start.y + Math.sin(a) * r);
+      if (!isPositionBlocked(candidate.x, candidate.y)) return candidate;
+    }
+  }
+  return start;
+}
+
+// Stop anything tied to the area being left (mining, fishing, routes, markers)
+function resetAreaLocalPlayerState() {
+  const p = game.player;
+  automationManager.stop();
+  fishingManager.cancel();
+  if (p.activeMiningNode) {
+    p.activeMiningNode.active = false;
+    p.activeMiningNode = null;
+    stopLaserSound();
+  }
+  p.path = null;
+  p.target = null;
+  p.continuousMovement = false;
+  p.action = null;
+  p.vx = 0;
+  p.vy = 0;
+  game.targetMarker = null;
+}
+
+/**
+ * Move the player to another area.
+ * Without an explicit arrival position the player returns to where they last
+ * were in that area, or the area's spawn point.
+ * @param {string} areaId - Destination area id
+ * @param {{x: number, y: number}} [arrival] - Arrival position (e.g. portal exit)
+ * @returns {Promise<boolean>} Whether the transition happened
+ */
+export async function enterArea(areaId, arrival) {
+  if (transitionInProgress) return false;
+  const area = getArea(areaId);
+  const previousAreaId = game.areaId;
+  if (previousAreaId === area.id && !arrival) return false;
+
+  transitionInProgress = true;
+  loadingScreen.showAreaLoading(area.name);
+  try {
+    // Remember where we were so coming back resumes here
+    if (previousAreaId) {
+      playerService.rememberAreaPosition(previousAreaId, game.player.x, game.player.y);
+    }
+
+    unsubscribeAreaData();
+    resetAreaLocalPlayerState();
+    setCurrentArea(area.id);
+
+    // Terrain is the slow part; it reports most of the progress bar
+    await regenerateTerrain(getAreaTerrainSeed(area), (percent) => {
+      loadingScreen.updateProgress(Math.round(percent * 0.8));
+    });
+
+    try {
+      await ensureAreaSeeded(area.id);
+    } catch (error) {
+      console.error(`[Areas] Failed to sync resources for ${area.id}:`, error);
+    }
+    loadingScreen.updateProgress(90);
+
+    subscribeAreaData(area.id);
+    initEnemies(area.id);
+
+    const target = arrival || playerService.getRememberedPosition(area.id) || area.spawn;
+    const spot = findArrivalPoint(target.x, target.y);
+    game.player.x = spot.x;
+    game.player.y = spot.y;
+    camera.centerOnPlayer();
+
+    multiplayerManager.joinArea(area.id);
+    playerService.updateState({ areaId: area.id, x: spot.x, y: spot.y });
+    playerService.saveNow();
+    loadingScreen.updateProgress(100);
+    return true;
+  } catch (error) {
+    console.error(`[Areas] Transition to ${area.id} failed:`, error);
+    return false;
+  } finally {
+    loadingScreen.hide();
+    transitionInProgress = false;
+  }
+}
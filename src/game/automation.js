@@ -0,0 +1,240 @@
+// src/game/automation.js
+// Opt-in drone automation (toggled with automationConfig.toggleKey). While it
+// is on, the drone repeats a simple routine:
+//   seeking    -> pick the nearest off-cooldown node the player may mine
+//   traveling  -> fly there with the normal click-to-move routing
+//   mining     -> mine it until the node goes on cooldown (or is depleted)
+//   collecting -> pick up the player's own ground drops nearby
+// Movement, mining and pickups use the same code paths as player commands;
+// core.js passes its routing/mining helpers in through init(). Any player
+// input cancels automation, so a session only ends on its own after
+// maxSessionMs (the AFK limit: an unattended drone can't mine forever).
+
+import { game } from './core.js';
+import { multiplayerManager } from './multiplayerManager.js';
+import { getHarvestBlocker } from './resources.js';
+import { pickupGroundItem } from '../services/groundItemService.js';
+import { automationConfig } from '../data/automationConfig.js';
+import { INTERACTION_RADIUS } from '../utils/constants.js';
+
+// Same range as the manual right-click pickup in core.js
+const PICKUP_RANGE = 32;
+
+class AutomationManager {
+  constructor() {
+    this.enabled = false;
+    this.state = 'seeking'; // 'seeking' | 'traveling' | 'mining' | 'collecting'
+    this.node = null; // node being travelled to or mined
+    this.sessionEndsAt = 0; // end of the session's maxSessionMs (Date.now() based)
+    this.nextSearchAt = 0;
+    this.skippedNodes = new Map(); // node id -> ignore until (unreachable nodes)
+    this.attemptedItems = new Set(); // ground item ids already tried this stop
+    this.hooks = null;
+    this.element = null;
+    this.label = null;
+  }
+
+  /**
+   * @param {object} hooks - Movement/mining helpers from core.js
+   * @param {(target: object) => boolean} hooks.routeTo - Route the drone (routePlayerTo)
+   * @param {(node: object) => boolean} hooks.startMining - Start mining a node in range
+   * @param {() => void} hooks.stopMining - Stop mining the active node
+   * @param {() => void} hooks.cancelRoute - Drop the current route and target
+   */
+  init(hooks) {
+    this.hooks = hooks;
+    if (!this.element) this.createElement();
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  toggle() {
+    if (this.enabled) this.stop();
+    else this.start();
+  }
+
+  start() {
+    if (!this.hooks || this.enabled) return;
+    this.enabled = true;
+    this.state = 'seeking';
+    this.node = null;
+    this.nextSearchAt = 0;
+    this.skippedNodes.clear();
+    this.attemptedItems.clear();
+    this.sessionEndsAt = Date.now() + automationConfig.maxSessionMs;
+    this.updateIndicator();
+  }
+
+  /**
+   * Switch automation off. The drone stops where it is; mining that is in
+   * progress stops too, since the player did not start it themselves.
+   */
+  stop() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    this.node = null;
+    if (this.hooks) {
+      this.hooks.stopMining();
+      this.hooks.cancelRoute();
+    }
+    this.updateIndicator();
+  }
+
+  /**
+   * Advance the routine. Runs every fixed step from core.js update().
+   */
+  update() {
+    if (!this.enabled) return;
+    const now = Date.now();
+    if (now >= this.sessionEndsAt) {
+      this.stop();
+      return;
+    }
+    this.updateIndicator();
+
+    const p = game.player;
+    switch (this.state) {
+      case 'seeking': {
+        if (now < this.nextSearchAt) return;
+        const node = this.findNearestNode();
+        if (!node) {
+          this.nextSearchAt = now + automationConfig.retryMs;
+          return;
+        }
+        this.node = node;
+        if (Math.hypot(node.x - p.x, node.y - p.y) <= INTERACTION_RADIUS * 0.5) {
+          this.state = this.hooks.startMining(node) ? 'mining' : 'seeking';
+        } else if (this.hooks.routeTo({ x: node.x, y: node.y, type: 'resourceNode', node })) {
+          this.state = 'traveling';
+        } else {
+          this.skipNode(node, now);
+        }
+        break;
+      }
+      case 'traveling':
+        // Arrival starts mining (finishPlayerRoute); a route that ended
+        // without it means the node was unreachable or taken
+        if (p.activeMiningNode && p.activeMiningNode === this.node) {
+          this.state = 'mining';
+        } else if (!p.path || !game.resourceNodes.includes(this.node)) {
+          this.skipNode(this.node, now);
+        }
+        break;
+      case 'mining': {
+        const node = this.node;
+        const cooling = node && node.cooldownUntil && now < node.cooldownUntil;
+        if (p.activeMiningNode !== node || cooling) {
+          // Depleted, out of range, or cooling down after a drop
+          this.hooks.stopMining();
+          this.node = null;
+          this.attemptedItems.clear();
+          this.state = 'collecting';
+        }
+        break;
+      }
+      case 'collecting':
+        if (p.target) return; // still flying to a drop; update() picks it up
+        if (!this.collectNextDrop()) this.state = 'seeking';
+        break;
+    }
+  }
+
+  // Forget a node for a while (unreachable or gone) and look again
+  skipNode(node, now) {
+    if (node) this.skippedNodes.set(node.id, now + automationConfig.skipNodeMs);
+    this.node = null;
+    this.state = 'seeking';
+    this.nextSearchAt = now + automationConfig.retryMs;
+  }
+
+  /**
+   * Nearest node within searchRadius that is off cooldown, not skipped and
+   * that the player has the level and tool for.
+   * @returns {object|null}
+   */
+  findNearestNode() {
+    const p = game.player;
+    const now = Date.now();
+    let best = null;
+    let bestDist = automationConfig.searchRadius;
+    for (const node of game.resourceNodes) {
+      if (node.cooldownUntil && now < node.cooldownUntil) continue;
+      if ((this.skippedNodes.get(node.id) || 0) > now) continue;
+      if (getHarvestBlocker(node.type)) continue;
+      const dist = Math.hypot(node.x - p.x, node.y - p.y);
+      if (dist < bestDist) {
+        best = node;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick up (or fly to) the nearest own ground drop within pickupRadius.
+   * @returns {boolean} False when there is nothing left to collect
+   */
+  collectNextDrop() {
+    const uid = this._uid();
+    if (!uid) return false;
+    const p = game.player;
+    let best = null;
+    let bestDist = automationConfig.pickupRadius;
+    for (const item of game.groundItems) {
+      if (this.attemptedItems.has(item.id) || !isOwnDrop(item, uid)) continue;
+      const dist = Math.hypot(item.x - p.x, item.y - p.y);
+      if (dist < bestDist) {
+        best = item;
+        bestDist = dist;
+      }
+    }
+    if (!best) return false;
+
+    this.attemptedItems.add(best.id);
+    if (bestDist <= PICKUP_RANGE) {
+      pickupGroundItem(best.id, uid, p.x, p.y).catch((error) => {
+        console.warn('Automation pickup failed:', error?.message || error);
+      });
+    } else {
+      this.hooks.routeTo({ x: best.x, y: best.y, type: 'groundItem', item: best });
+    }
+    return true;
+  }
+
+  // On-screen indicator with the time left in the session (styles in desktop.css)
+  createElement() {
+    this.element = document.createElement('div');
+    this.element.className = 'automation-indicator hidden';
+    this.element.title = 'Click or press any key to stop';
+    const dot = document.createElement('span');
+    dot.className = 'automation-indicator-dot';
+    this.label = document.createElement('span');
+    this.element.appendChild(dot);
+    this.element.appendChild(this.label);
+    this.element.addEventListener('click', () => this.stop());
+    document.body.appendChild(this.element);
+  }
+
+  updateIndicator() {
+    if (!this.element) return;
+    this.element.classList.toggle('hidden', !this.enabled);
+    if (!this.enabled) return;
+    const secondsLeft = Math.max(0, Math.ceil((this.sessionEndsAt - Date.now()) / 1000));
+    const clock = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+    const text = `Auto-mining · ${clock}`;
+    if (this.label.textContent !== text) this.label.textContent = text;
+  }
+
+  _uid() {
+    return multiplayerManager.isConnected() ? multiplayerManager.localPlayer.uid : null;
+  }
+}
+
+// Drops that belong to the player: owned by them, or still only visible to them
+function isOwnDrop(item, uid) {
+  return item.ownerId === uid || (Array.isArray(item.visibleTo) && item.visibleTo.includes(uid));
+}
+
+export const automationManager = new AutomationManager();
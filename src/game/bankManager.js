@@ -0,0 +1,234 @@
+import { itemsById, equipmentById } from '../data/content.js';
+import { bankConfig } from '../data/bankConfig.js';
+import { inventoryManager } from './inventoryManager.js';
+import { getPlayerBank, setPlayerBank } from '../services/firestoreService.js';
+
+// The instance fields of an equipment slot entry, for inventoryManager.addItem
+function toInstance(entry) {
+  return { instanceId: entry.instanceId, rarity: entry.rarity, affixes: entry.affixes || [] };
+}
+
+// Message for any bank action before the saved bank has loaded
+const NOT_LOADED_MESSAGE = 'Bank is not loaded yet';
+
+/**
+ * AI: Bank Management System
+ * Storage separate from the inventory, saved under players/{uid}/bank as one
+ * flat slot array: tab t holds slots t * slotsPerTab up to (t + 1) *
+ * slotsPerTab - 1 (see bankConfig.js). Slots use the inventory's
+ * { itemId, quantity } shape, and equipment keeps its instance fields.
+ * Bank stacks ignore maxStack: all of an item shares one slot, except
+ * equipment instances which take a slot each.
+ * Every move between bag and bank saves both in one update under players/{uid}.
+ * Nothing moves (or saves) until the saved bank has loaded, so a failed load
+ * can't overwrite it with an empty one.
+ */
+class BankManager {
+  constructor() {
+    this.uid = null;
+    this.loaded = false;
+    this.SLOT_COUNT = bankConfig.tabs * bankConfig.slotsPerTab;
+    this.slots = Array(this.SLOT_COUNT).fill(null);
+    this._listeners = new Set();
+  }
+
+  /**
+   * AI: Initialize with the player's UID and load the bank.
+   * @param {string} uid - The player's user ID.
+   */
+  async initialize(uid) {
+    this.uid = uid;
+    this.loaded = false;
+    try {
+      const saved = await getPlayerBank(uid);
+      const slots = Array(this.SLOT_COUNT).fill(null);
+      // The database returns a mostly empty array as an index-keyed object
+      for (const [key, slot] of Object.entries(saved || {})) {
+        const index = Number(key);
+        if (!(index < this.SLOT_COUNT) || !slot || !itemsById[slot.itemId] || !(slot.quantity > 0)) continue;
+        slots[index] = { ...slot };
+        if (equipmentById[slot.itemId]) slots[index].affixes = slot.affixes || [];
+      }
+      this.slots = slots;
+      this.loaded = true;
+      this.notifyListeners({ type: 'loaded' });
+    } catch (error) {
+      console.error('Failed to load bank from server:', error);
+    }
+  }
+
+  /**
+   * AI: Get a bank slot's contents (copy).
+   * @param {number} index
+   * @returns {object|null}
+   */
+  getSlot(index) {
+    const slot = this.slots[index];
+    return slot ? { ...slot } : null;
+  }
+
+  /**
+   * AI: Which tab a bank slot is on.
+   * @param {number} index
+   * @returns {number}
+   */
+  tabOf(index) {
+    return Math.floor(index / bankConfig.slotsPerTab);
+  }
+
+  /**
+   * AI: Move items from an inventory slot into the bank. They join the item's
+   * existing bank stack, else go to `bankSlotIndex` when it is empty, else to
+   * the first empty slot on `tab` (then any tab).
+   * @param {number} inventorySlotIndex
+   * @param {{quantity?: number, bankSlotIndex?: number, tab?: number}} [options] - quantity defaults to the whole stack
+   * @returns {{ success: boolean, message: string, deposited: number }}
+   */
+  deposit(inventorySlotIndex, options = {}) {
+    if (!this.loaded) return { success: false, message: NOT_LOADED_MESSAGE, deposited: 0 };
+    const result = this._deposit(inventorySlotIndex, options);
+    if (result.deposited > 0) this._changed({ type: 'deposited', deposited: result.deposited });
+    return result;
+  }
+
+  /**
+   * AI: Deposit every inventory slot, starting on `tab`.
+   * @param {number} [tab]
+   * @returns {{ success: boolean, message: string, deposited: number }}
+   */
+  depositAll(tab = 0) {
+    if (!this.loaded) return { success: false, message: NOT_LOADED_MESSAGE, deposited: 0 };
+    let deposited = 0;
+    let bankFull = false;
+    for (let i = 0; i < inventoryManager.MAX_SLOTS; i++) {
+      if (!inventoryManager.getSlot(i)) continue;
+      const result = this._deposit(i, { tab });
+      deposited += result.deposited;
+      if (result.message === 'Bank is full') bankFull = true;
+    }
+    if (deposited > 0) this._changed({ type: 'deposited', deposited });
+
+    if (bankFull) return { success: deposited > 0, message: 'Bank is full', deposited };
+    return { success: deposited > 0, message: deposited > 0 ? 'Deposited everything' : 'Nothing to deposit', deposited };
+  }
+
+  /**
+   * AI: Move items from a bank slot into the inventory (as much as fits).
+   * @param {number} bankSlotIndex
+   * @param {number} [quantity] - Defaults to the whole stack
+   * @returns {{ success: boolean, message: string, withdrawn: number }}
+   */
+  withdraw(bankSlotIndex, quantity = Infinity) {
+    if (!this.loaded) return { success: false, message: NOT_LOADED_MESSAGE, withdrawn: 0 };
+    const entry = this.slots[bankSlotIndex];
+    if (!entry) return { success: false, message: 'Nothing to withdraw', withdrawn: 0 };
+    if (!(quantity > 0)) return { success: false, message: 'Invalid quantity', withdrawn: 0 };
+
+    const amount = Math.min(quantity, entry.quantity);
+    const instances = entry.instanceId ? [toInstance(entry)] : null;
+    const result = inventoryManager.addItem(entry.itemId, amount, instances);
+    if (!result.success) return { success: false, message: result.message, withdrawn: 0 };
+
+    entry.quantity -= result.addedAmount;
+    if (entry.quantity <= 0) this.slots[bankSlotIndex] = null;
+    this._changed({ type: 'withdrawn', itemId: entry.itemId, withdrawn: result.addedAmount });
+    const message = result.addedAmount < amount ? 'Inventory full' : 'Withdrawn';
+    return { success: true, message, withdrawn: result.addedAmount };
+  }
+
+  /**
+   * AI: Move a bank slot onto another (swaps with whatever is there; stacks
+   * of the same item are merged).
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @returns {{ success: boolean, message: string }}
+   */
+  move(fromIndex, toIndex) {
+    if (!this.loaded) return { success: false, message: NOT_LOADED_MESSAGE };
+    const source = this.slots[fromIndex];
+    if (!source) return { success: false, message: 'Source slot is empty' };
+    if (!(toIndex >= 0 && toIndex < this.SLOT_COUNT)) return { success: false, message: 'Invalid slot index' };
+    if (fromIndex === toIndex) return { success: true, message: 'No change needed' };
+
+    const target = this.slots[toIndex];
+    if (target && target.itemId === source.itemId && !target.instanceId && !source.instanceId) {
+      target.quantity += source.quantity;
+      this.slots[fromIndex] = null;
+    } else {
+      this.slots[toIndex] = source;
+      this.slots[fromIndex] = target;
+    }
+    this._changed({ type: 'moved', fromIndex, toIndex });
+    return { success: true, message: 'Item moved' };
+  }
+
+  _deposit(inventorySlotIndex, options) {
+    const entry = inventoryManager.getSlot(inventorySlotIndex);
+    if (!entry) return { success: false, message: 'Nothing to deposit', deposited: 0 };
+
+    const quantity = Math.min(options.quantity ?? entry.quantity, entry.quantity);
+    const index = this._findSlotFor(entry, options.bankSlotIndex ?? -1, options.tab ?? 0);
+    if (index === -1) return { success: false, message: 'Bank is full', deposited: 0 };
+
+    const result = inventoryManager.removeItem(entry.itemId, quantity, inventorySlotIndex);
+    if (!result.success) return { success: false, message: result.message, deposited: 0 };
+
+    const existing = this.slots[index];
+    if (existing) {
+      existing.quantity += result.removedAmount;
+    } else {
+      this.slots[index] = { ...entry, quantity: result.removedAmount };
+    }
+    return { success: true, message: 'Deposited', deposited: result.removedAmount };
+  }
+
+  // Bank slot an inventory entry goes to (see deposit); -1 when the bank is full
+  _findSlotFor(entry, preferredIndex, tab) {
+    if (!entry.instanceId) {
+      const stack = this.slots.findIndex(slot => slot && slot.itemId === entry.itemId && !slot.instanceId);
+      if (stack !== -1) return stack;
+    }
+    if (preferredIndex >= 0 && preferredIndex < this.SLOT_COUNT && !this.slots[preferredIndex]) return preferredIndex;
+    const start = tab * bankConfig.slotsPerTab;
+    for (let i = 0; i < this.SLOT_COUNT; i++) {
+      const index = (start + i) % this.SLOT_COUNT;
+      if (!this.slots[index]) return index;
+    }
+    return -1;
+  }
+
+  _changed(event) {
+    if (this.uid && this.loaded) {
+      setPlayerBank(this.uid, [...this.slots], inventoryManager.getInventory()).catch((error) => {
+        console.error('Failed to save bank to server:', error);
+      });
+    }
+    this.notifyListeners(event);
+  }
+
+  /**
+   * AI: Subscribe to bank events
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this._listeners.add(callback);
+    }
+    return () => this._listeners.delete(callback);
+  }
+
+  /**
+   * AI: Notify all listeners of bank events
+   */
+  notifyListeners(event) {
+    this._listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in bank listener:', error);
+      }
+    });
+  }
+}
+
+// AI: Export singleton instance
+export const bankManager = new BankManager();
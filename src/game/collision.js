@@ -0,0 +1,193 @@
+// src/game/collision.js
+// Terrain and obstacle collision for the player drone.
+// Two kinds of blockers are resolved after movement has been integrated:
+//  - Terrain: each biome carries a rule in src/data/terrainRules.js; a biome
+//    whose minClearance is above the entity's altitude (entity.height) is
+//    solid. Resolved per axis so the drone slides along shorelines.
+//  - Obstacles: resource node footprints (resourceConfigs.footprintRadius) and
+//    solid decorations (decorationConfigs.solidRadius) are circles; overlaps
+//    are pushed out along the contact normal, which slides around them.
+// Velocity pointing into a blocker is removed so the drone does not keep
+// pushing against walls.
+
+import { game } from './core.js';
+import { getBiomeAtPosition } from './world.js';
+import { getDecorationsNear } from './decorations.js';
+import { getResourceConfig } from './resources.js';
+import { terrainRules } from '../data/terrainRules.js';
+import { DRONE_COLLISION_RADIUS } from '../utils/constants.js';
+
+// Sample directions around the collision circle (8 compass points)
+const RING_SAMPLES = Array.from({ length: 8 }, (_, i) => {
+  const a = (i / 8) * Math.PI * 2;
+  return { x: Math.cos(a), y: Math.sin(a) };
+});
+
+// Widest obstacle radius we expect; used to size neighbourhood queries
+const MAX_OBSTACLE_RADIUS = 16;
+
+/**
+ * Movement rule for a biome name.
+ * @param {string} biomeName
+ * @returns {{minClearance: number}}
+ */
+export function getTerrainRule(biomeName) {
+  return terrainRules[biomeName] || terrainRules.default;
+}
+
+/**
+ * Whether the terrain at a single point can be entered at a given altitude.
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {number} [altitude=0] - Entity hover height in pixels
+ * @returns {boolean}
+ */
+export function isTerrainPassable(x, y, altitude = 0) {
+  const biome = getBiomeAtPosition(x, y);
+  if (!biome) return true; // terrain not ready yet: never trap the player
+  return altitude >= getTerrainRule(biome.name).minClearance;
+}
+
+/**
+ * Whether a circle fits on passable terrain (center plus 8 ring samples).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number} altitude
+ * @returns {boolean}
+ */
+export function canOccupyTerrain(x, y, radius, altitude) {
+  if (!isTerrainPassable(x, y, altitude)) return false;
+  for (const d of RING_SAMPLES) {
+    if (!isTerrainPassable(x + d.x * radius, y + d.y * radius, altitude)) return false;
+  }
+  return true;
+}
+
+/**
+ * Circular obstacles near a point: resource node footprints and solid decorations.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} range - Search radius around (x, y)
+ * @returns {Array<{x: number, y: number, r: number, source: string}>}
+ */
+export function getObstaclesNear(x, y, range) {
+  const obstacles = [];
+  for (const node of game.resourceNodes || []) {
+    const r = getResourceConfig(node.type).footprintRadius || 0;
+    if (r <= 0) continue;
+    if (Math.abs(node.x - x) > range + r || Math.abs(node.y - y) > range + r) continue;
+    obstacles.push({ x: node.x, y: node.y, r, source: 'resourceNode' });
+  }
+  for (const deco of getDecorationsNear(x, y, range + MAX_OBSTACLE_RADIUS)) {
+    if (deco.solidRadius > 0) obstacles.push({ x: deco.x, y: deco.y, r: deco.solidRadius, source: 'decoration' });
+  }
+  return obstacles;
+}
+
+/**
+ * Whether a circle overlaps any obstacle or impassable terrain.
+ * Used by the pathfinder to test grid cells.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [radius=DRONE_COLLISION_RADIUS]
+ * @param {number} [altitude=0]
+ * @returns {boolean}
+ */
+export function isPositionBlocked(x, y, radius = DRONE_COLLISION_RADIUS, altitude = 0) {
+  if (!canOccupyTerrain(x, y, radius, altitude)) return true;
+  for (const o of getObstaclesNear(x, y, radius)) {
+    if (Math.hypot(x - o.x, y - o.y) < radius + o.r) return true;
+  }
+  return false;
+}
+
+// Remove the velocity component pointing along (nx, ny) (into a blocker).
+// Both the WASD velocity (vx/vy) and the physics body velocity are updated
+// because both integrate the drone position.
+function cancelVelocityInto(entity, nx, ny) {
+  const strip = (v, xKey, yKey) => {
+    const dot = v[xKey] * nx + v[yKey] * ny;
+    if (dot > 0) {
+      v[xKey] -= dot * nx;
+      v[yKey] -= dot * ny;
+    }
+  };
+  if (typeof entity.vx === 'number' && typeof entity.vy === 'number') strip(entity, 'vx', 'vy');
+  if (entity.physics && entity.physics.velocity) strip(entity.physics.velocity, 'x', 'y');
+}
+
+/**
+ * Resolve an entity's position after movement this step.
+ * Terrain is resolved per axis from the previous position (sliding along
+ * edges), then circular obstacles push the entity out along their normals.
+ * @param {object} entity - Entity with x, y, height and optional vx/vy/physics
+ * @param {number} prevX - Position before this step's movement
+ * @param {number} prevY
+ * @param {number} [radius=DRONE_COLLISION_RADIUS]
+ */
+export function resolveEntityCollision(entity, prevX, prevY, radius = DRONE_COLLISION_RADIUS) {
+  const altitude = entity.height || 0;
+
+  // --- Terrain (axis-separated for sliding) ---
+  // If the previous position is itself blocked (e.g. spawned or teleported
+  // onto deep water) let the entity move freely so it can escape.
+  if (canOccupyTerrain(prevX, prevY, radius, altitude) && !canOccupyTerrain(entity.x, entity.y, radius, altitude)) {
+    const moveX = entity.x - prevX;
+    const moveY = entity.y - prevY;
+    const xOk = canOccupyTerrain(prevX + moveX, prevY, radius, altitude);
+    const yOk = canOccupyTerrain(prevX, prevY + moveY, radius, altitude);
+
+    if (xOk && !yOk) {
+      entity.y = prevY;
+      cancelVelocityInto(entity, 0, Math.sign(moveY));
+    } else if (yOk && !xOk) {
+      entity.x = prevX;
+      cancelVelocityInto(entity, Math.sign(moveX), 0);
+    } else if (xOk && yOk) {
+      // Only the diagonal corner is blocked: keep the larger axis of motion
+      if (Math.abs(moveX) >= Math.abs(moveY)) {
+        entity.y = prevY;
+        cancelVelocityInto(entity, 0, Math.sign(moveY));
+      } else {
+        entity.x = prevX;
+        cancelVelocityInto(entity, Math.sign(moveX), 0);
+      }
+    } else {
+      entity.x = prevX;
+      entity.y = prevY;
+      cancelVelocityInto(entity, Math.sign(moveX), 0);
+      cancelVelocityInto(entity, 0, Math.sign(moveY));
+    }
+  }
+
+  // --- Circular obstacles (push out along the contact normal) ---
+  for (const o of getObstaclesNear(entity.x, entity.y, radius)) {
+    const dx = entity.x - o.x;
+    const dy = entity.y - o.y;
+    const dist = Math.hypot(dx, dy);
+    const minDist = radius + o.r;
+    if (dist >= minDist) continue;
+
+    // Degenerate overlap (exact center): push back toward where we came from
+    let nx = dist > 1e-6 ? dx / dist : (prevX - o.x);
+    let ny = dist > 1e-6 ? dy / dist : (prevY - o.y);
+    if (dist <= 1e-6) {
+      const len = Math.hypot(nx, ny) || 1;
+      nx /= len;
+      ny /= len;
+    }
+
+    const pushedX = o.x + nx * minDist;
+    const pushedY = o.y + ny * minDist;
+    // Never push into impassable terrain; fall back to the previous position
+    if (canOccupyTerrain(pushedX, pushedY, radius, altitude)) {
+      entity.x = pushedX;
+      entity.y = pushedY;
+    } else {
+      entity.x = prevX;
+      entity.y = prevY;
+    }
+    cancelVelocityInto(entity, -nx, -ny);
+  }
+}
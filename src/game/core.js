@@ -1,12 +1,11 @@
 // Main game loop (update/render orchestrator)
 // AI: Updated imports to include the new camera and coordinate conversion functions.
-import { isInWater, drawTerrain, camera, setTerrainSeed } from './world.js';
+import { isInWater, drawTerrain, camera, setTerrainSeed, loadAreaTerrain } from './world.js';
 import { WORLD_WIDTH, WORLD_HEIGHT, WORLD_PADDING } from '../utils/worldConstants.js';
 
 import { playerService } from '../services/playerService.js';
 import { drawGroundItems } from './items.js';
-import { harvestNode, drawResourceNodes, subscribeResourceNodes } from './resources.js';
-import { addItemToInventory } from '../ui/inventory.js';
+import { harvestNode, applyHarvestGrant, drawResourceNode, getHarvestBlocker, getHarvestTiming } from './resources.js';
 import { playPickupSound } from '../utils/sfx.js';
 import { pickupGroundItem } from '../services/groundItemService.js';
 import { playMiningSound, startLaserSound, stopLaserSound, playCycleCompleteSound, playGunshotSound } from '../utils/sfx.js';
@@ -14,17 +13,28 @@ import { drawRemotePlayers, initNetwork } from './network.js';
 import { multiplayerManager } from './multiplayerManager.js';
 
 import { experienceManager } from './experienceManager.js';
+import { explorationManager } from './explorationManager.js';
+import { equipmentManager } from './equipmentManager.js';
+import { fishingManager } from './fishing.js';
+import { automationManager } from './automation.js';
+import { automationConfig } from '../data/automationConfig.js';
 import { experienceBar } from '../ui/experienceBar.js';
+import { minimap } from '../ui/minimap.js';
+import { minimapConfig } from '../data/minimapConfig.js';
+import { areaEditor } from '../ui/areaEditor.js';
 import { drawPlayer, drawSelfMarker, drawMiningLaser, getMuzzlePosition } from './player.js';
 import { worldToScreenCoords, screenToWorldCoords, eventToWorldCoords, calculateEntityDepth } from '../utils/math.js';
 import { joinArea, subscribeAreaPlayers } from '../services/realtimePosition.js';
-import { subscribeGroundItems } from '../services/groundItemService.js';
-import { ACCELERATION, DECELERATION, GRAVITY, DAMPING_FACTOR, MAX_SPEED, DEAD_ZONE, DECEL_ZONE, ATTACK_RANGE, MUZZLE_OFFSET, DRONE_HEIGHT_OFFSET, FIRE_COOLDOWN, INTERACTION_RADIUS, AUTO_ATTACK_DURATION, DAMAGE_PER_HIT } from '../utils/constants.js';
+import { ACCELERATION, DECELERATION, GRAVITY, DAMPING_FACTOR, MAX_SPEED, DEAD_ZONE, DECEL_ZONE, ATTACK_RANGE, MUZZLE_OFFSET, DRONE_HEIGHT_OFFSET, FIRE_COOLDOWN, INTERACTION_RADIUS, AUTO_ATTACK_DURATION, PATH_WAYPOINT_RADIUS, PATH_RECHECK_INTERVAL, PATH_STUCK_TIME } from '../utils/constants.js';
 import { isMouseOverItem, getItemBounds } from '../data/pixelIcons.js';
 import { auth } from '../utils/firebaseClient.js';
 import { gameState } from '../app/state.js';
-import { areaData } from '../data/areaData.js';
-import { initWorldObjects, drawWorldObjects, checkWorldObjectInteraction } from './worldObjects.js';
+import { getArea } from '../data/areaData.js';
+import { drawWorldObjects, checkWorldObjectInteraction } from './worldObjects.js';
+import { setCurrentArea, subscribeAreaData, isAreaTransitionInProgress } from './areas.js';
+import { getVisibleDecorations, drawDecoration } from './decorations.js';
+import { resolveEntityCollision } from './collision.js';
+import { findPath, isRouteClear } from './pathfinding.js';
 // DISABLED: Enemy system is disabled
 // import { initEnemies, updateEnemies, drawEnemies, drawEnemySprite, findNearestEnemy, setTargetedEnemy, getTargetedEnemy, getEnemies, cleanupEnemies } from './enemies.js';
 import { updateDrone, fireWeapon, updateBallisticProjectiles, initializeDronePhysics, PHYSICS_CONSTANTS } from './physics.js';
@@ -84,7 +94,9 @@ export const game = {
 
 function update(dt) {
   const p = game.player;
-
+  // Position before this step's movement; collision resolves from here
+  const prevX = p.x;
+  const prevY = p.y;
 
   // AI: Ultra-Realistic Physics-Based Drone Movement
   // Replace simple acceleration with full rigid body physics
@@ -109,6 +121,9 @@ function update(dt) {
 
 
 
+  // Base stats plus equipped gear (see equipmentManager)
+  const playerStats = equipmentManager.getStats();
+
   // Movement control: WASD mapped to world-relative directions (W=up, S=down, A=left, D=right).
   // Use a velocity-target approach so movement speed is consistent in all directions.
   {
@@ -117,7 +132,7 @@ function update(dt) {
     const inputY = (camera.keysPressed.s || camera.keysPressed.down ? 1 : 0) - (camera.keysPressed.w || camera.keysPressed.up ? 1 : 0);
 
     // Movement tuning constants (more mechanical feel)
-    const MAX_SPEED = 200;       // px/s target speed when input held
+    const MAX_SPEED = playerStats.moveSpeed; // px/s target speed when input held (stat sheet)
     const ACCEL_SEC = 300;       // px/s^2 acceleration when input is applied (lower = less fluid)
     const DECEL_SEC = 150;       // px/s^2 deceleration when input released (smaller = much longer to stop)
 
@@ -131,6 +146,18 @@ function update(dt) {
       desiredVy *= diagScale;
     }
 
+    // Click-to-move: keyboard input always overrides (and cancels) a planned
+    // route; otherwise the route steers the drone waypoint by waypoint.
+    if (inputX !== 0 || inputY !== 0) {
+      if (p.path) cancelPlayerRoute();
+    } else if (p.path) {
+      const steer = updatePlayerRoute(dt, MAX_SPEED, DECEL_SEC);
+      if (steer) {
+        desiredVx = steer.vx;
+        desiredVy = steer.vy;
+      }
+    }
+
     // Ensure velocities exist
     p.vx = p.vx || 0;
     p.vy = p.vy || 0;
@@ -227,7 +254,8 @@ function update(dt) {
   }
 
   // Handle target-based movement (mouse clicks) as fallback
-  if (p.target && p.continuousMovement && !input.forward) {
+  // (routed targets are steered by the planned path above instead)
+  if (p.target && p.continuousMovement && !input.forward && !p.path) {
     // Convert target-based movement to physics input
     const dx = p.target.x - p.x;
     const dy = p.target.y - p.y;
@@ -332,6 +360,10 @@ function update(dt) {
     }
   }
 
+  // Resolve terrain (per-biome rules) and obstacle collision once all
+  // movement sources (WASD, physics, target snapping) have been applied
+  resolveEntityCollision(p, prevX, prevY);
+
   // Update fire cooldown
   p.fireCooldown = Math.max(0, p.fireCooldown - dt);
 
@@ -339,6 +371,9 @@ function update(dt) {
   // This is now the primary way of saving position, replacing on-arrival saves.
   playerService.updateState({ x: p.x, y: p.y });
 
+  // Lift the world map fog of war around the drone
+  explorationManager.reveal(p.x, p.y);
+
   // Remove any flagged ground items (picked up via E); no auto-harvest by proximity
   if (game.groundItems.some(n => n._collected)) {
     game.groundItems = game.groundItems.filter(n => !n._collected);
@@ -346,6 +381,15 @@ function update(dt) {
   // Ground items are now spawned server-side only (from enemy deaths)
   // Removed client-side spawning to prevent desync issues
 
+  // Stop mining a node that was depleted (removed from RTDB) mid-cycle
+  if (p.activeMiningNode && !game.resourceNodes.includes(p.activeMiningNode)) {
+    p.activeMiningNode = null;
+    stopLaserSound();
+  }
+
+  automationManager.update();
+  fishingManager.update();
+
   // Shared resource nodes: idle harvesting like sand mounds
   for (const node of game.resourceNodes) {
     if (!node.active) continue;
@@ -365,48 +409,34 @@ function update(dt) {
       continue;
     }
     
+    // Cycle length depends on the player's tool and mining level
     node.t = (node.t || 0) + dt;
-    if (node.t >= 1.7) { // Reset cycle time
+    if (node.t >= getHarvestTiming(node.type, playerStats.miningSpeed).cycleMs / 1000) { // Reset cycle time
       node.t = 0; // Always reset timer to keep cycle going
       playCycleCompleteSound();
       
-      const cooling = node.cooldownUntil && Date.now() < node.cooldownUntil;
-      
-      if (!cooling) {
-        // Only attempt harvest if not on cooldown
-        const areaId = 'beach';
+      // Only send a cycle once the previous request has been answered (the
+      // server may take longer than one cycle). Cycles during the node's
+      // cooldown still count: the server banks them toward the next drop.
+      if (!node.harvestPending) {
+        const areaId = game.areaId;
         // AI: Get uid from multiplayerManager instead of removed game.mp
         const uid = multiplayerManager.isConnected() ? multiplayerManager.localPlayer.uid : null;
         if (uid) {
-          const cooldownMs = node.type === 'stone_deposit' ? 3000 : 1500; // stone deposits take twice as long
-          harvestNode(areaId, node.id, uid, cooldownMs).then((res) => {
-            // res is now { committed, dropped, snapshot }
-            if (res && res.committed) {
-              if (res.dropped) {
-                // Determine the correct item to drop based on the node type.
-                const itemToDrop = node.type === 'stone_deposit' ? 'stone' : node.type;
-                // Only play pickup sound if the item was actually added to inventory
-                const added = addItemToInventory(itemToDrop, 1);
-                if (added) {
-                  playPickupSound();
-                  playMiningSound();
-                }
-
-                // Experience handling: stone deposits yield 1 XP only and take longer
-                if (node.type === 'stone_deposit') {
-                  // Use addResourceExp so both global XP and per-skill XP update consistently.
-                  experienceManager.addResourceExp('stone');
-                } else {
-                  experienceManager.addResourceExp(itemToDrop);
-                }
-              } else {
-                // Transaction committed but no item dropped this cycle (progress increment only).
-                // Do not show pickup notifications or sound; UI progress bar handles visual feedback.
-              }
+          node.harvestPending = true;
+          // The server validates the cycle and grants the drop and XP itself
+          // (split between everyone who mined the node); here we only mirror
+          // this player's share into local state
+          harvestNode(areaId, node.id, uid).then((res) => {
+            if (!res || !res.success || !res.dropped) return; // progress only or rejected
+            if (applyHarvestGrant(res, node.x, node.y)) {
+              playPickupSound();
+              playMiningSound();
             }
-            // Don't reset timer here - let the main loop handle it
-          }).catch(() => {
-            // Don't reset timer here - let the main loop handle it
+          }).catch((error) => {
+            console.warn('Harvest request failed:', error?.message || error);
+          }).finally(() => {
+            node.harvestPending = false;
           });
         }
       }
@@ -524,7 +554,7 @@ function update(dt) {
                     multiplayerManager.queueProjectileEvent({
                       targetX: targetedEnemy.x,
                       targetY: targetedEnemy.y,
-                      damage: DAMAGE_PER_HIT
+                      damage: playerStats.atk
                     });
                   }
               }
@@ -570,6 +600,205 @@ function update(dt) {
   updateFloatingMessages(dt);
 }
 
+// === Click-to-move routing ===
+// A routed move stores the plan on the player as `p.path`:
+//   { waypoints: [{x, y}], complete, recheckTimer, stuckTimer, bestDist }
+// alongside `p.target`, which keeps describing what the drone is heading for
+// (a spot, a resource node or a ground item). Clearing the target cancels
+// the route.
+
+/**
+ * Plan (or re-plan) a route from the player to `p.target`.
+ * @returns {boolean} Whether a usable route was found
+ */
+function planPlayerRoute() {
+  const p = game.player;
+  if (!p.target) return false;
+  const route = findPath(p.x, p.y, p.target.x, p.target.y, { altitude: p.height || 0 });
+  // No route, or the best reachable point is where we already are
+  if (!route || route.waypoints.length === 0) return false;
+  const last = route.waypoints[route.waypoints.length - 1];
+  if (Math.hypot(last.x - p.x, last.y - p.y) <= PATH_WAYPOINT_RADIUS) return false;
+
+  p.path = {
+    waypoints: route.waypoints,
+    complete: route.complete,
+    recheckTimer: 0,
+    stuckTimer: 0,
+    bestDist: Infinity
+  };
+  return true;
+}
+
+/**
+ * Route the player to a target, replacing any current movement.
+ * @param {{x: number, y: number, type: string}} target - Destination; `type` is
+ *   'move', 'resourceNode' (with `node`) or 'groundItem' (with `item`)
+ * @returns {boolean} Whether a route was found
+ */
+function routePlayerTo(target) {
+  const p = game.player;
+  p.target = target;
+  p.continuousMovement = true;
+  p.path = null;
+  if (planPlayerRoute()) return true;
+  cancelPlayerRoute();
+  return false;
+}
+
+function cancelPlayerRoute() {
+  const p = game.player;
+  p.path = null;
+  p.target = null;
+  p.continuousMovement = false;
+}
+
+// How long the requirement tooltip stays up after a refused mining attempt
+const BLOCKED_NOTICE_MS = 2000;
+
+// Start mining a resource node (shared by direct clicks and routed arrival).
+// Nodes the player lacks the level or tool for are refused; their tooltip is
+// shown briefly instead so the player sees why.
+function activateMiningNode(node) {
+  const p = game.player;
+  if (getHarvestBlocker(node.type)) {
+    node.blockedNoticeUntil = Date.now() + BLOCKED_NOTICE_MS;
+    return false;
+  }
+  // Always deactivate any currently active mining node first
+  if (p.activeMiningNode && p.activeMiningNode !== node) {
+    p.activeMiningNode.active = false;
+    p.activeMiningNode = null;
+    stopLaserSound();
+  }
+  // Activate the new resource node (always activate, don't toggle)
+  node.active = true;
+  p.activeMiningNode = node;
+  startLaserSound();
+  return true;
+}
+
+// Stop mining the active node (automation hands control back this way)
+function stopMining() {
+  const p = game.player;
+  if (!p.activeMiningNode) return;
+  p.activeMiningNode.active = false;
+  p.activeMiningNode = null;
+  stopLaserSound();
+}
+
+// Called once the drone has arrived at the end of its route
+function finishPlayerRoute() {
+  const p = game.player;
+  const target = p.target;
+  if (target && target.type === 'resourceNode' && target.node) {
+    const dist = Math.hypot(target.node.x - p.x, target.node.y - p.y);
+    if (dist <= INTERACTION_RADIUS) activateMiningNode(target.node);
+  }
+  cancelPlayerRoute();
+}
+
+/**
+ * Advance the active route and return the velocity that follows it.
+ * Re-plans when the route is blocked (e.g. a node spawned on it) or the
+ * drone stops making progress; ends the route on arrival.
+ * @param {number} dt - Fixed timestep in seconds
+ * @param {number} maxSpeed - Cruise speed in px/s
+ * @param {number} decel - Braking rate in px/s^2, used to arrive smoothly
+ * @returns {{vx: number, vy: number}|null} Desired velocity, or null when the route ended
+ */
+function updatePlayerRoute(dt, maxSpeed, decel) {
+  const p = game.player;
+  const route = p.path;
+  if (!route || !p.target) {
+    p.path = null;
+    return null;
+  }
+
+  // Resource nodes only need to be within mining range, not reached exactly
+  if (p.target.type === 'resourceNode' && p.target.node &&
+      Math.hypot(p.target.node.x - p.x, p.target.node.y - p.y) <= INTERACTION_RADIUS * 0.5) {
+    finishPlayerRoute();
+    return null;
+  }
+
+  // Skip intermediate waypoints that have been reached
+  while (route.waypoints.length > 1 &&
+         Math.hypot(route.waypoints[0].x - p.x, route.waypoints[0].y - p.y) <= PATH_WAYPOINT_RADIUS) {
+    route.waypoints.shift();
+    route.bestDist = Infinity;
+    route.stuckTimer = 0;
+  }
+
+  const wp = route.waypoints[0];
+  const dist = Math.hypot(wp.x - p.x, wp.y - p.y);
+  const isFinal = route.waypoints.length === 1;
+
+  if (isFinal && dist <= DEAD_ZONE) {
+    // An incomplete route stopped short (search budget or blocked goal):
+    // try again from here, and stop once no further progress is possible
+    if (!route.complete && p.target.type === 'move' && planPlayerRoute()) return null;
+    finishPlayerRoute();
+    return null;
+  }
+
+  // Periodically make sure nothing has moved onto the remaining route
+  route.recheckTimer += dt;
+  if (route.recheckTimer >= PATH_RECHECK_INTERVAL) {
+    route.recheckTimer = 0;
+    if (!isRouteClear(p.x, p.y, route.waypoints, { altitude: p.height || 0 })) {
+      if (!planPlayerRoute()) cancelPlayerRoute();
+      return null;
+    }
+  }
+
+  // Stuck detection: no progress toward the current waypoint for a while
+  if (dist < route.bestDist - 1) {
+    route.bestDist = dist;
+    route.stuckTimer = 0;
+  } else {
+    route.stuckTimer += dt;
+    if (route.stuckTimer >= PATH_STUCK_TIME) {
+      if (!planPlayerRoute()) cancelPlayerRoute();
+      return null;
+    }
+  }
+
+  // Cruise toward intermediate waypoints; brake into the final one
+  const speed = isFinal ? Math.min(maxSpeed, Math.sqrt(2 * decel * dist)) : maxSpeed;
+  return { vx: (wp.x - p.x) / dist * speed, vy: (wp.y - p.y) / dist * speed };
+}
+
+/**
+ * Draws the remaining planned route as a dotted line from the drone
+ */
+function drawPlannedPath() {
+  const p = game.player;
+  if (!p.path || p.path.waypoints.length === 0) return;
+  const { ctx } = game;
+
+  ctx.save();
+  ctx.setLineDash([3, 4]);
+  ctx.lineDashOffset = -Date.now() * 0.01; // Dashes drift toward the destination
+  ctx.strokeStyle = 'rgba(34, 211, 238, 0.45)'; // Cyan color matching the target marker
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(p.x, p.y);
+  for (const wp of p.path.waypoints) ctx.lineTo(wp.x, wp.y);
+  ctx.stroke();
+
+  // Small dots on intermediate turns
+  ctx.setLineDash([]);
+  ctx.fillStyle = 'rgba(34, 211, 238, 0.6)';
+  for (let i = 0; i < p.path.waypoints.length - 1; i++) {
+    const wp = p.path.waypoints[i];
+    ctx.beginPath();
+    ctx.arc(wp.x, wp.y, 1, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
 /**
  * AI: Draws a visual indicator at the target location for movement
  */
@@ -720,54 +949,54 @@ function loop(ts) {
   ctx.scale(camera.zoom, camera.zoom);
   ctx.translate(-camera.x, -camera.y);
 
-  // Depth-sorted draw: collect drawable entities and sort by (y + height)
-  const drawList = [];
+  // Scenery decorations for the viewport (deterministic from the terrain seed)
+  const decorations = getVisibleDecorations();
 
-  // Ground items
-  for (const item of game.groundItems) drawList.push({ type: 'groundItem', y: item.y, fn: () => drawGroundItems() });
-  // Resource nodes
-  for (const node of game.resourceNodes) drawList.push({ type: 'resourceNode', y: node.y, fn: () => drawResourceNodes() });
-  // World objects
-  for (const obj of game.worldObjects) drawList.push({ type: 'worldObject', y: obj.y, fn: () => drawWorldObjects() });
-  // DISABLED: Enemy system is disabled
-  // for (const e of game.enemies) drawList.push({ type: 'enemy', y: e.y + (e.height || 0), fn: () => drawEnemySprite(e) });
-  // Projectiles
-  for (const p of [] ) drawList.push({ type: 'projectile', y: p.y, fn: () => drawProjectiles() });
-
-  // Sort by y (ascending) so objects further down draw later (on top)
-  drawList.sort((a, b) => a.y - b.y);
-
-  // Execute draw functions. Many entries may call batched drawers; to avoid
-  // redundant draws we only call high-level draws once per frame below for
-  // subsystems that already batch render.
-  // Simpler approach: render batched subsystems first, then depth-sorted
-  // per-entity sprites (enemies, player, remote players).
+  // Ground layer: flat decorations and batched subsystems that lie on the
+  // ground (items, world objects, projectiles) render before anything that
+  // stands up from it.
+  for (const deco of decorations) {
+    if (deco.flat) drawDecoration(ctx, deco);
+  }
   drawGroundItems();
-  drawResourceNodes();
   drawWorldObjects();
   drawProjectiles();
 
-  // Draw remote players and player with depth sorting
+  // Depth-sorted draw list: standing decorations, resource nodes and players
+  // are ordered by calculateEntityDepth so the drone passes correctly in
+  // front of / behind palms, rocks and nodes.
   // DISABLED: Enemy system is disabled
-  const dynamicEntities = [];
-  // for (const e of game.enemies) dynamicEntities.push({ ... });
-  for (const rp of multiplayerManager.getRemotePlayers()) dynamicEntities.push({
-    ent: rp,
+  // for (const e of game.enemies) drawList.push({ ... });
+  const drawList = [];
+  for (const deco of decorations) {
+    if (deco.flat) continue;
+    drawList.push({
+      depth: calculateEntityDepth(deco.x, deco.y, 0),
+      draw: () => drawDecoration(ctx, deco)
+    });
+  }
+  for (const node of game.resourceNodes) {
+    drawList.push({
+      depth: calculateEntityDepth(node.x, node.y, 0),
+      draw: () => drawResourceNode(node)
+    });
+  }
+  for (const rp of multiplayerManager.getRemotePlayers()) drawList.push({
     depth: calculateEntityDepth(rp.x, rp.y, rp.height),
     draw: () => drawPlayer(rp)
   });
-  dynamicEntities.push({
-    ent: game.player,
+  drawList.push({
     depth: calculateEntityDepth(game.player.x, game.player.y, game.player.height),
     draw: () => drawPlayer(game.player)
   });
 
-  // Sort by depth (lower values = more in front)
-  dynamicEntities.sort((a, b) => a.depth - b.depth);
-  for (const d of dynamicEntities) d.draw();
+  // Sort by depth ascending so entities further down the screen draw on top
+  drawList.sort((a, b) => a.depth - b.depth);
+  for (const d of drawList) d.draw();
   // Draw overlays related to players after main entities
   // Local player's mining laser
   drawMiningLaser(ctx, game.player, game.player.activeMiningNode);
+  fishingManager.draw(ctx);
   // Remote players' mining lasers (ensure we render others' lasers locally)
   try {
     const remotes = multiplayerManager.getRemotePlayers();
@@ -786,7 +1015,9 @@ function loop(ts) {
     console.warn('Failed to draw remote players mining lasers', e);
   }
   drawSelfMarker(game.player, multiplayerManager.localPlayer.color);
+  drawPlannedPath();
   drawTargetMarker();
+  areaEditor.drawOverlay(ctx);
 
   // Draw ground item UI (tooltips and floating messages)
   drawGroundItemUI(ctx);
@@ -799,6 +1030,7 @@ function loop(ts) {
   
   // Draw UI elements (keep these for now as they are UI related)
   // drawConnectionStatus(); // Removed as per edit hint
+  minimap.render(); // Throttled internally
 
 
   // AI: Removed complex chat bubble updates - using multiplayerManager
@@ -942,27 +1174,18 @@ export async function initAreaGame(initialPosition) {
     // Initial focus
     focusCanvas();
 
-    // Initialize terrain using fixed world dimensions so the playable area
-    // (WORLD_WIDTH x WORLD_HEIGHT) matches the generated world size.
-    // Show loading screen and block initialization until terrain is ready.
+    // AI: Resolve the area the player was last in (unknown ids fall back to the default area)
+    const startArea = getArea(initialPosition && initialPosition.areaId);
+
+    // Initialize terrain. Both paths show the loading screen, report
+    // progress from the terrain worker and hide it once the overview is
+    // ready; chunks then stream in around the camera. Areas without their
+    // own seed use the shared world seed.
     try {
-      if (window.loadingScreen && typeof window.loadingScreen.showAreaLoading === 'function') {
-        window.loadingScreen.showAreaLoading('world');
-      }
-      // Wait for terrain map to be assigned by setTerrainSeed -> generateTerrain
-      setTerrainSeed();
-      // Poll until terrain is ready with a reasonable timeout
-      const start = Date.now();
-      while (!game.terrain || !game.terrain.map) {
-        // Avoid blocking the main thread for too long
-        await new Promise(res => setTimeout(res, 50));
-        if (Date.now() - start > 10000) {
-          console.warn('Terrain generation taking too long, continuing anyway');
-          break;
-        }
-      }
-      if (window.loadingScreen && typeof window.loadingScreen.hide === 'function') {
-        window.loadingScreen.hide();
+      if (startArea.terrainSeed === null || startArea.terrainSeed === undefined) {
+        await setTerrainSeed();
+      } else {
+        await loadAreaTerrain(startArea.terrainSeed, startArea.name);
       }
     } catch (e) {
       console.error('Terrain initialization failed:', e);
@@ -977,13 +1200,10 @@ export async function initAreaGame(initialPosition) {
     // Initialize ground item UI enhancements
     initGroundItemUI(canvas);
 
-    // AI: Load resource nodes from areaData.js for the current area
-    const currentArea = 'beach'; // AI: Hardcoded for now, can be dynamic later
-    if (areaData[currentArea] && areaData[currentArea].resourceNodes) {
-      game.resourceNodes = areaData[currentArea].resourceNodes;
-    }
-    subscribeResourceNodes(currentArea);
-    subscribeGroundItems(currentArea);
+    // AI: Load the area's node layout, world objects (portals) and RTDB subscriptions.
+    // Later area changes go through enterArea() in areas.js.
+    setCurrentArea(startArea.id);
+    subscribeAreaData(startArea.id);
 
     // AI: Set the player's starting position. If a valid saved position is provided, use it.
     // Otherwise, default to the center of the world. This ensures saved positions are respected.
@@ -995,9 +1215,9 @@ export async function initAreaGame(initialPosition) {
       game.player.x = clampedX;
       game.player.y = clampedY;
     } else {
-      // Spawn near resources in top-left area instead of world center
-      game.player.x = 300;
-      game.player.y = 250;
+      // Spawn at the area's spawn point (near its resources)
+      game.player.x = startArea.spawn.x;
+      game.player.y = startArea.spawn.y;
     }
 
     // Do not initialize full drone physics by default when using WASD control scheme.
@@ -1008,9 +1228,6 @@ export async function initAreaGame(initialPosition) {
 
     // AI: The player's state is already updated by playerService. No need to force a save here.
 
-    // AI: Initialize world objects (market, etc.)
-    initWorldObjects();
-    game.areaData = areaData.beach;
     // DISABLED: Enemy system is disabled
     // initEnemies();
 
@@ -1025,6 +1242,31 @@ export async function initAreaGame(initialPosition) {
     // AI: Initialize experience system
     experienceBar.init();
 
+    // Minimap overlay; clicking it routes the drone like a right-click on the ground
+    minimap.init(game, {
+      onSetMoveTarget: (x, y) => {
+        automationManager.stop();
+        const PAD = WORLD_PADDING;
+        const clampedX = Math.max(PAD, Math.min(x, game.WORLD_WIDTH - PAD));
+        const clampedY = Math.max(PAD, Math.min(y, game.WORLD_HEIGHT - PAD));
+        routePlayerTo({ x: clampedX, y: clampedY, type: 'move' });
+        game.targetMarker = { x: clampedX, y: clampedY, life: 1.0, maxLife: 1.0 };
+        canvas.focus(); // Keep keyboard controls on the game canvas
+      }
+    });
+
+    // Opt-in automation routine; it drives the drone through the same
+    // routing and mining helpers as player commands
+    automationManager.init({
+      routeTo: routePlayerTo,
+      startMining: activateMiningNode,
+      stopMining,
+      cancelRoute: cancelPlayerRoute
+    });
+
+    // AI: Area editor is only enabled for admins (checked against RTDB `admins`)
+    areaEditor.init(game, canvas, auth.currentUser && auth.currentUser.uid);
+
     // AI: Expose the game instance globally for desktop.js to access.
     window.gameInstance = game;
     
@@ -1063,6 +1305,8 @@ export async function initAreaGame(initialPosition) {
         if (isInputLike(active)) return; // honor UI inputs
 
       const key = e.key.toLowerCase();
+      // Any other key hands control back to the player
+      if (key !== automationConfig.toggleKey) automationManager.stop();
       switch (key) {
           case 'w': case 'arrowup': camera.keysPressed.w = true; camera.keysPressed.up = true; break;
           case 'a': case 'arrowleft': camera.keysPressed.a = true; camera.keysPressed.left = true; break;
@@ -1074,6 +1318,9 @@ export async function initAreaGame(initialPosition) {
             e.preventDefault(); camera.centerOnPlayer(); break;
           }
           case 'f': camera.toggleFreeCamera(); break;
+          case 'e': if (!isAreaTransitionInProgress()) checkWorldObjectInteraction(); break;
+          case minimapConfig.toggleKey: minimap.toggle(); break;
+          case automationConfig.toggleKey: if (!e.repeat) automationManager.toggle(); break;
           case 'tab': {
             e.preventDefault(); // Prevent default tab behavior (tabbing to next element)
             if (window.toggleMainPanel) {
@@ -1266,11 +1513,12 @@ window.updateDebugPanel = updateUpdatePanel;
             setTargetedEnemy(null);
             game.player.autoAttackTimer = 0; // Clear auto-attack when moving
         */
-            // Mouse click updates the turret/aim only; disable mouse-driven movement.
+            // Mouse click updates the turret/aim here; click-to-move routing is
+            // handled by the right-click interaction handler below.
             // Update global mouse position so turret aims at clicked location.
             game.mouse.x = worldCoords.x;
             game.mouse.y = worldCoords.y;
-            // Optionally, show a visual marker but do not cause the drone to move.
+            // Show a visual marker at the clicked location.
             game.targetMarker = {
               x: worldCoords.x,
               y: worldCoords.y,
@@ -1301,6 +1549,9 @@ window.updateDebugPanel = updateUpdatePanel;
       game.mouse.y = worldCoords.y;
     });
   
+    // Any click in the world cancels automation
+    canvas.addEventListener('mousedown', () => automationManager.stop());
+
     // AI: Right-click interaction system (replaces 'E' key)
     // This allows manual interaction with resource nodes, ground items, and world objects.
     canvas.addEventListener('mousedown', (e) => {
@@ -1337,6 +1588,13 @@ window.updateDebugPanel = updateUpdatePanel;
       // Convert the original MouseEvent to world coords using helper
       const worldCoords = eventToWorldCoords(e, canvas, camera);
 
+      // Fishing: hook a biting fish, or cast when water in range was clicked
+      if (fishingManager.handleRightClick(worldCoords.x, worldCoords.y)) {
+        cancelPlayerRoute();
+        game.targetMarker = null;
+        return;
+      }
+
       // AI: Check for interaction with world objects (e.g., market stalls, special NPCs).
       // If an interaction occurs, it takes precedence and no further checks are needed.
       const worldObjectInteracted = checkWorldObjectInteraction();
@@ -1350,6 +1608,8 @@ window.updateDebugPanel = updateUpdatePanel;
       let nearestInteractable = null;
       let nearestDist = Infinity;
       let interactionType = null;
+      // Resource node clicked outside interaction range: route to it instead
+      let distantNode = null;
 
 
       // AI: First, check if there's a currently highlighted item that should be the primary interaction target.
@@ -1405,6 +1665,8 @@ window.updateDebugPanel = updateUpdatePanel;
               nearestDist = dist;
               nearestInteractable = node;
               interactionType = 'resourceNode';
+            } else if (dist >= maxInteractionRadius && !distantNode) {
+              distantNode = node;
             }
           }
         }
@@ -1444,21 +1706,10 @@ window.updateDebugPanel = updateUpdatePanel;
         game.player.target = null;
         game.player.continuousMovement = false;
 
-        if (interactionType === 'resourceNode') {
-
-
-          // AI: Always deactivate any currently active mining node first
-          if (game.player.activeMiningNode && game.player.activeMiningNode !== nearestInteractable) {
-
-            game.player.activeMiningNode.active = false;
-            game.player.activeMiningNode = null;
-            stopLaserSound();
-          }
+        game.player.path = null;
 
-          // AI: Now activate the new resource node (always activate, don't toggle)
-          nearestInteractable.active = true;
-          game.player.activeMiningNode = nearestInteractable;
-          startLaserSound();
+        if (interactionType === 'resourceNode') {
+          activateMiningNode(nearestInteractable);
 
         } else if (interactionType === 'groundItem') {
 
@@ -1492,30 +1743,32 @@ window.updateDebugPanel = updateUpdatePanel;
             // Too far - move to the item
 
             
-            // Set movement target to the ground item
-            game.player.target = {
+            // Route to the ground item; the auto-pickup check in update()
+            // collects it once the drone is within range
+            routePlayerTo({
               x: nearestInteractable.x,
               y: nearestInteractable.y,
               type: 'groundItem',
               item: nearestInteractable // Store reference to the item
-            };
-            game.player.continuousMovement = true;
-            
-
+            });
           }
         }
+      } else if (distantNode && getHarvestBlocker(distantNode.type)) {
+        // Don't fly to a node the player can't mine yet; explain why instead
+        distantNode.blockedNoticeUntil = Date.now() + BLOCKED_NOTICE_MS;
+      } else if (distantNode) {
+        // Out-of-range resource node: fly to it and start mining on arrival
+        routePlayerTo({ x: distantNode.x, y: distantNode.y, type: 'resourceNode', node: distantNode });
       } else {
-        // AI: Right-click movement disabled - no movement on right-click
-        // Just update mouse position for aiming without moving the player
+        // Right-click on open ground: route the drone to the clicked spot
+        // around water and obstacles
         const PAD = WORLD_PADDING;
         const clampedX = Math.max(PAD, Math.min(game.mouse.x, game.WORLD_WIDTH - PAD));
         const clampedY = Math.max(PAD, Math.min(game.mouse.y, game.WORLD_HEIGHT - PAD));
 
-        // DISABLED: Right-click movement - player should not move on right-click
-        // game.player.target = { x: clampedX, y: clampedY };
-        // game.player.continuousMovement = true;
+        routePlayerTo({ x: clampedX, y: clampedY, type: 'move' });
 
-        // Set visual target marker to show where right-click occurred (for aiming)
+        // Visual target marker; kept alive while the route is active
         game.targetMarker = {
           x: clampedX,
           y: clampedY,
@@ -1699,8 +1952,9 @@ window.updateDebugPanel = updateUpdatePanel;
     if (fallbackCanvas) {
       game.canvas = fallbackCanvas;
       game.ctx = fallbackCanvas.getContext('2d');
-      fallbackCanvas.width = game.WORLD_WIDTH;
-      fallbackCanvas.height = game.WORLD_HEIGHT;
+      // Size to the viewport; the world is streamed and far larger than any canvas
+      fallbackCanvas.width = window.innerWidth;
+      fallbackCanvas.height = window.innerHeight;
 
       // Auto-focus the fallback canvas as well
       fallbackCanvas.tabIndex = 0;
@@ -1747,7 +2001,7 @@ function initMultiplayerSystem() {
   // AI: Initialize simple multiplayer manager
   const username = gameState.username || user.displayName || 'Anonymous';
   multiplayerManager.initialize(user.uid, username);
-  multiplayerManager.joinArea('beach');
+  multiplayerManager.joinArea(game.areaId);
   
   // AI: Setup cleanup on page unload/logout
   window.addEventListener('beforeunload', async () => {
@@ -1767,6 +2021,11 @@ function initMultiplayerSystem() {
     } catch (error) {
       console.error('Failed to save experience on page unload:', error);
     }
+
+    // Flush newly explored world map cells
+    explorationManager.saveNow().catch((error) => {
+      console.error('Failed to save exploration on page unload:', error);
+    });
   });
   
   // AI: Setup cleanup on auth state change (logout)
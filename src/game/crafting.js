@@ -0,0 +1,125 @@
+// src/game/crafting.js
+// Crafting: turn gathered materials into new items with the recipes in
+// recipes.json (see craftingConfig.js). One craft runs at a time. When its
+// craftMs has passed, the inputs are consumed and the outputs produced in a
+// single inventory exchange (all or nothing), and crafting XP is awarded.
+// Materials are checked, not reserved, when a craft starts; if some were used
+// up meanwhile the craft fails at the end and nothing is lost.
+
+import { craftingConfig, recipesById } from '../data/craftingConfig.js';
+import { inventoryManager } from './inventoryManager.js';
+import { experienceManager } from './experienceManager.js';
+import { exchangeInventoryItems } from '../ui/inventory.js';
+
+// Player-facing text for why a recipe can't be crafted
+const BLOCKER_MESSAGES = {
+  unknown: 'Unknown recipe',
+  busy: 'Already crafting',
+  level: 'Crafting level too low',
+  materials: 'Missing materials',
+};
+
+/**
+ * AI: Crafting state for the local player.
+ * Listeners receive { type: 'started' | 'completed' | 'failed' | 'cancelled',
+ * recipe, message? } so the Crafting tab can redraw.
+ */
+class CraftingManager {
+  constructor() {
+    this.active = null; // { recipe, startedAt, endsAt, timer }
+    this._listeners = new Set();
+  }
+
+  /**
+   * Current crafting level.
+   * @returns {number}
+   */
+  getLevel() {
+    return experienceManager.skills[craftingConfig.skill]?.level || 1;
+  }
+
+  /**
+   * Why a recipe can't be started right now.
+   * @param {object} recipe - Entry from recipes.json
+   * @returns {'unknown'|'busy'|'level'|'materials'|null} null when it can
+   */
+  getBlocker(recipe) {
+    if (!recipe) return 'unknown';
+    if (this.active) return 'busy';
+    if (this.getLevel() < recipe.level) return 'level';
+    if (!recipe.inputs.every(input => inventoryManager.hasItem(input.item, input.quantity))) return 'materials';
+    return null;
+  }
+
+  /**
+   * Start crafting a recipe.
+   * @param {string} recipeId
+   * @returns {{success: boolean, message: string}}
+   */
+  start(recipeId) {
+    const recipe = recipesById[recipeId];
+    const blocker = this.getBlocker(recipe);
+    if (blocker) return { success: false, message: BLOCKER_MESSAGES[blocker] };
+
+    const startedAt = Date.now();
+    const craft = { recipe, startedAt, endsAt: startedAt + recipe.craftMs, timer: null };
+    craft.timer = setTimeout(() => this._finish(craft), recipe.craftMs);
+    this.active = craft;
+    this._notify({ type: 'started', recipe });
+    return { success: true, message: 'Crafting started' };
+  }
+
+  /**
+   * Stop the current craft. Nothing has been consumed yet, so nothing is lost.
+   */
+  cancel() {
+    const craft = this.active;
+    if (!craft) return;
+    clearTimeout(craft.timer);
+    this.active = null;
+    this._notify({ type: 'cancelled', recipe: craft.recipe });
+  }
+
+  /**
+   * Progress of the current craft.
+   * @returns {number} 0-1 (0 when idle)
+   */
+  getProgress() {
+    const craft = this.active;
+    if (!craft) return 0;
+    return Math.min(1, (Date.now() - craft.startedAt) / craft.recipe.craftMs);
+  }
+
+  _finish(craft) {
+    if (this.active !== craft) return;
+    this.active = null;
+    const { recipe } = craft;
+
+    const result = exchangeInventoryItems(recipe.inputs, recipe.outputs);
+    if (!result.success) {
+      this._notify({ type: 'failed', recipe, message: result.message });
+      return;
+    }
+    if (recipe.xp > 0) experienceManager.addSkillExp(craftingConfig.skill, recipe.xp);
+    this._notify({ type: 'completed', recipe });
+  }
+
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this._listeners.add(callback);
+    }
+    return () => this._listeners.delete(callback);
+  }
+
+  _notify(event) {
+    this._listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in crafting listener:', error);
+      }
+    });
+  }
+}
+
+export const craftingManager = new CraftingManager();
@@ -0,0 +1,401 @@
+// src/game/decorations.js
+// Deterministic decoration layer (palms, rocks, shells, dune ridges).
+// Decorations are scenery placed from the terrain seed with seededNoise, so
+// every client sees the same layout for the same seed without any network
+// traffic. Placement is computed per terrain chunk on demand and cached only
+// for chunks around the camera, mirroring the terrain chunk streaming.
+// Placement rules live in src/data/decorationConfigs.js.
+
+import { game } from './core.js';
+import { camera } from './world.js';
+import { seededNoise } from '../utils/noise.js';
+import { classifyWorldPosition } from './terrainSampler.js';
+import { decorationConfigs } from '../data/decorationConfigs.js';
+import { CHUNK_PIXEL_SIZE, CHUNK_STREAMING, OASIS_CONFIG, WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+
+// chunk key -> array of decorations placed in that chunk
+const chunkDecorations = new Map();
+// Seed the cache was built for; a new terrain seed invalidates everything
+let cacheSeed = null;
+
+/**
+ * Deterministic per-candidate random value in [0, 1).
+ * seededNoise sampled with one octave at scale 1 on integer coordinates lands
+ * exactly on a lattice point, which makes it a stable hash of (ix, iy, seed).
+ */
+function hashRandom(ix, iy, seed) {
+  return seededNoise(ix, iy, seed >>> 0, 1, 0.5, 1);
+}
+
+function chunkKey(cx, cy) {
+  return `${cx},${cy}`;
+}
+
+/**
+ * Place all decoration types inside one chunk.
+ * Candidates are assigned to the chunk containing their grid cell origin so
+ * no decoration is generated twice across chunk borders.
+ * @param {number} seed - Terrain seed
+ * @param {number} cx - Chunk X
+ * @param {number} cy - Chunk Y
+ * @returns {Array<object>} Decorations `{ id, type, variant, x, y, solidRadius, flat }`
+ */
+function placeChunkDecorations(seed, cx, cy) {
+  const placed = [];
+  const left = cx * CHUNK_PIXEL_SIZE;
+  const top = cy * CHUNK_PIXEL_SIZE;
+  const right = Math.min(left + CHUNK_PIXEL_SIZE, WORLD_WIDTH);
+  const bottom = Math.min(top + CHUNK_PIXEL_SIZE, WORLD_HEIGHT);
+
+  for (const [type, cfg] of Object.entries(decorationConfigs)) {
+    const typeSeed = (seed ^ cfg.salt) >>> 0;
+    const spacing = cfg.spacing;
+    const startIx = Math.ceil(left / spacing);
+    const startIy = Math.ceil(top / spacing);
+
+    for (let iy = startIy; iy * spacing < bottom; iy++) {
+      for (let ix = startIx; ix * spacing < right; ix++) {
+        // Placement chance first (cheapest test), boosted inside the oasis
+        // for oasis-loving types based on the cell center
+        let chance = cfg.chance;
+        if (cfg.oasisBonus) {
+          const centerX = ix * spacing + spacing / 2;
+          const centerY = iy * spacing + spacing / 2;
+          const dOasis = Math.hypot(centerX - OASIS_CONFIG.centerX, centerY - OASIS_CONFIG.centerY);
+          if (dOasis <= OASIS_CONFIG.radius) chance += cfg.oasisBonus;
+        }
+        if (hashRandom(ix, iy, typeSeed + 3) >= chance) continue;
+
+        // Jittered candidate position inside the grid cell
+        const jx = (hashRandom(ix, iy, typeSeed + 1) - 0.5) * spacing * cfg.jitter;
+        const jy = (hashRandom(ix, iy, typeSeed + 2) - 0.5) * spacing * cfg.jitter;
+        const x = ix * spacing + spacing / 2 + jx;
+        const y = iy * spacing + spacing / 2 + jy;
+        if (x < 0 || y < 0 || x >= WORLD_WIDTH || y >= WORLD_HEIGHT) continue;
+
+        // Cluster / ridge mask from smooth noise in world space
+        const cluster = seededNoise(x, y, typeSeed, 3, 0.5, cfg.clusterScale);
+        if (typeof cfg.ridgeWidth === 'number') {
+          if (Math.abs(cluster - 0.5) > cfg.ridgeWidth) continue;
+        } else if (cluster < (cfg.clusterMin || 0)) {
+          continue;
+        }
+
+        // Biome check last: it is the most expensive test
+        const biome = classifyWorldPosition(seed, x, y);
+        if (!cfg.biomes.includes(biome.name)) continue;
+
+        const variant = Math.floor(hashRandom(ix, iy, typeSeed + 4) * cfg.variants) % cfg.variants;
+        placed.push({
+          id: `${type}_${ix}_${iy}`,
+          type,
+          variant,
+          x: Math.round(x),
+          y: Math.round(y),
+          solidRadius: cfg.solidRadius || 0,
+          flat: !!cfg.flat
+        });
+      }
+    }
+  }
+
+  return placed;
+}
+
+/**
+ * Get (placing on first use) the decorations of one chunk.
+ * @returns {Array<object>}
+ */
+function getChunkDecorations(seed, cx, cy) {
+  if (cacheSeed !== seed) {
+    chunkDecorations.clear();
+    cacheSeed = seed;
+  }
+  const key = chunkKey(cx, cy);
+  let list = chunkDecorations.get(key);
+  if (!list) {
+    list = placeChunkDecorations(seed, cx, cy);
+    chunkDecorations.set(key, list);
+  }
+  return list;
+}
+
+function getTerrainSeed() {
+  return game._worldGenerator ? game._worldGenerator.seed : null;
+}
+
+/**
+ * Collect decorations whose position lies inside a world-space rectangle.
+ * Chunks overlapping the rectangle are placed on demand.
+ * @param {number} minX
+ * @param {number} minY
+ * @param {number} maxX
+ * @param {number} maxY
+ * @returns {Array<object>}
+ */
+export function getDecorationsInRect(minX, minY, maxX, maxY) {
+  const seed = getTerrainSeed();
+  if (seed === null) return [];
+
+  const result = [];
+  const minCx = Math.floor(Math.max(0, minX) / CHUNK_PIXEL_SIZE);
+  const minCy = Math.floor(Math.max(0, minY) / CHUNK_PIXEL_SIZE);
+  const maxCx = Math.floor(Math.min(WORLD_WIDTH - 1, maxX) / CHUNK_PIXEL_SIZE);
+  const maxCy = Math.floor(Math.min(WORLD_HEIGHT - 1, maxY) / CHUNK_PIXEL_SIZE);
+  for (let cy = minCy; cy <= maxCy; cy++) {
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (const deco of getChunkDecorations(seed, cx, cy)) {
+        if (deco.x >= minX && deco.x <= maxX && deco.y >= minY && deco.y <= maxY) result.push(deco);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Collect decorations within `radius` of a world position.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @returns {Array<object>}
+ */
+export function getDecorationsNear(x, y, radius) {
+  return getDecorationsInRect(x - radius, y - radius, x + radius, y + radius)
+    .filter(d => Math.hypot(d.x - x, d.y - y) <= radius);
+}
+
+/**
+ * Decorations inside the camera viewport (with a small margin so tall sprites
+ * entering from below do not pop in). Also drops cached chunks that are
+ * outside the viewport plus CHUNK_STREAMING.marginChunks.
+ * @returns {Array<object>}
+ */
+export function getVisibleDecorations() {
+  const margin = 48; // world pixels; larger than the tallest decoration sprite
+  const list = getDecorationsInRect(
+    camera.x - margin,
+    camera.y - margin,
+    camera.x + camera.width + margin,
+    camera.y + camera.height + margin
+  );
+
+  // Bound the cache to chunks around the camera
+  const keep = CHUNK_STREAMING.marginChunks;
+  const minCx = Math.floor(camera.x / CHUNK_PIXEL_SIZE) - keep;
+  const minCy = Math.floor(camera.y / CHUNK_PIXEL_SIZE) - keep;
+  const maxCx = Math.floor((camera.x + camera.width) / CHUNK_PIXEL_SIZE) + keep;
+  const maxCy = Math.floor((camera.y + camera.height) / CHUNK_PIXEL_SIZE) + keep;
+  for (const key of Array.from(chunkDecorations.keys())) {
+    const [cx, cy] = key.split(',').map(Number);
+    if (cx < minCx || cx > maxCx || cy < minCy || cy > maxCy) chunkDecorations.delete(key);
+  }
+
+  return list;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// Each type/variant is rendered once into a small offscreen sprite; drawing a
+// decoration is then a single drawImage anchored at its ground contact point.
+// ---------------------------------------------------------------------------
+
+// `${type}:${variant}` -> { canvas, anchorX, anchorY }
+const spriteCache = new Map();
+
+// Per-variant size multipliers shared by all types
+const VARIANT_SCALES = [1, 0.8, 1.2];
+
+function createSpriteCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  return { canvas, ctx };
+}
+
+function renderPalm(variant) {
+  const s = VARIANT_SCALES[variant] || 1;
+  const w = Math.round(34 * s);
+  const h = Math.round(46 * s);
+  const { canvas, ctx } = createSpriteCanvas(w, h);
+  const baseX = w / 2;
+  const baseY = h - 3;
+
+  // Ground shadow
+  ctx.fillStyle = 'rgba(0,0,0,0.18)';
+  ctx.beginPath();
+  ctx.ellipse(baseX + 3 * s, baseY, 9 * s, 3 * s, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Trunk: stacked segments leaning slightly to one side
+  const lean = variant === 1 ? -1 : 1;
+  const segments = 7;
+  const segH = (h * 0.62) / segments;
+  let topX = baseX;
+  let topY = baseY;
+  for (let i = 0; i < segments; i++) {
+    const sx = baseX + lean * (i * i) * 0.18 * s;
+    const sy = baseY - (i + 1) * segH;
+    ctx.fillStyle = i % 2 === 0 ? '#8b5a2b' : '#6f4621';
+    ctx.fillRect(Math.round(sx - 2 * s), Math.round(sy), Math.max(2, Math.round(4 * s)), Math.ceil(segH) + 1);
+    topX = sx;
+    topY = sy;
+  }
+
+  // Fronds radiating from the crown
+  const fronds = [
+    { a: -2.6, len: 13 }, { a: -1.9, len: 11 }, { a: -1.2, len: 11 },
+    { a: -0.5, len: 13 }, { a: 0.3, len: 10 }, { a: 2.9, len: 10 }
+  ];
+  ctx.lineCap = 'round';
+  for (const f of fronds) {
+    const ex = topX + Math.cos(f.a) * f.len * s;
+    const ey = topY + Math.sin(f.a) * f.len * s * 0.8 + 5 * s;
+    ctx.strokeStyle = '#166534';
+    ctx.lineWidth = Math.max(2, 4 * s);
+    ctx.beginPath();
+    ctx.moveTo(topX, topY);
+    ctx.quadraticCurveTo((topX + ex) / 2, topY - 4 * s, ex, ey);
+    ctx.stroke();
+    ctx.strokeStyle = '#22c55e';
+    ctx.lineWidth = Math.max(1, 2 * s);
+    ctx.stroke();
+  }
+  // Coconuts
+  ctx.fillStyle = '#5b3a1a';
+  ctx.fillRect(Math.round(topX - 2 * s), Math.round(topY + 1 * s), Math.max(1, Math.round(2 * s)), Math.max(1, Math.round(2 * s)));
+  ctx.fillRect(Math.round(topX + 1 * s), Math.round(topY + 2 * s), Math.max(1, Math.round(2 * s)), Math.max(1, Math.round(2 * s)));
+
+  return { canvas, anchorX: baseX, anchorY: baseY };
+}
+
+function renderRock(variant) {
+  const s = VARIANT_SCALES[variant] || 1;
+  const w = Math.round(24 * s);
+  const h = Math.round(18 * s);
+  const { canvas, ctx } = createSpriteCanvas(w, h);
+  const baseX = w / 2;
+  const baseY = h - 3;
+
+  ctx.fillStyle = 'rgba(0,0,0,0.2)';
+  ctx.beginPath();
+  ctx.ellipse(baseX + 1, baseY, 10 * s, 3 * s, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Main boulder body
+  ctx.fillStyle = '#78716c';
+  ctx.beginPath();
+  ctx.moveTo(baseX - 9 * s, baseY);
+  ctx.lineTo(baseX - 7 * s, baseY - 8 * s);
+  ctx.lineTo(baseX - 2 * s, baseY - 12 * s);
+  ctx.lineTo(baseX + 5 * s, baseY - 10 * s);
+  ctx.lineTo(baseX + 9 * s, baseY - 3 * s);
+  ctx.lineTo(baseX + 8 * s, baseY);
+  ctx.closePath();
+  ctx.fill();
+
+  // Lit top face
+  ctx.fillStyle = '#a8a29e';
+  ctx.beginPath();
+  ctx.moveTo(baseX - 7 * s, baseY - 8 * s);
+  ctx.lineTo(baseX - 2 * s, baseY - 12 * s);
+  ctx.lineTo(baseX + 5 * s, baseY - 10 * s);
+  ctx.lineTo(baseX + 1 * s, baseY - 7 * s);
+  ctx.closePath();
+  ctx.fill();
+
+  // Shaded side
+  ctx.fillStyle = '#57534e';
+  ctx.beginPath();
+  ctx.moveTo(baseX + 5 * s, baseY - 10 * s);
+  ctx.lineTo(baseX + 9 * s, baseY - 3 * s);
+  ctx.lineTo(baseX + 8 * s, baseY);
+  ctx.lineTo(baseX + 3 * s, baseY);
+  ctx.closePath();
+  ctx.fill();
+
+  return { canvas, anchorX: baseX, anchorY: baseY };
+}
+
+function renderShell(variant) {
+  const { canvas, ctx } = createSpriteCanvas(10, 8);
+  const baseX = 5;
+  const baseY = 6;
+  const body = variant === 0 ? '#fde2e4' : '#f5d0a9';
+  const rib = variant === 0 ? '#e9a3ad' : '#d4a373';
+
+  ctx.fillStyle = body;
+  ctx.beginPath();
+  ctx.moveTo(baseX, baseY);
+  ctx.arc(baseX, baseY, 4, Math.PI, 0);
+  ctx.closePath();
+  ctx.fill();
+  ctx.strokeStyle = rib;
+  ctx.lineWidth = 1;
+  for (const a of [-2.6, -2.0, -1.57, -1.1, -0.5]) {
+    ctx.beginPath();
+    ctx.moveTo(baseX, baseY);
+    ctx.lineTo(baseX + Math.cos(a) * 4, baseY + Math.sin(a) * 4);
+    ctx.stroke();
+  }
+  return { canvas, anchorX: baseX, anchorY: baseY };
+}
+
+function renderDune(variant) {
+  const s = VARIANT_SCALES[variant] || 1;
+  const w = Math.round(44 * s);
+  const h = Math.round(12 * s);
+  const { canvas, ctx } = createSpriteCanvas(w, h);
+  const baseX = w / 2;
+  const baseY = h - 2;
+
+  // Wind-facing lit slope
+  ctx.fillStyle = 'rgba(235, 221, 178, 0.55)';
+  ctx.beginPath();
+  ctx.moveTo(1, baseY);
+  ctx.quadraticCurveTo(baseX, -h * 0.4, w - 1, baseY);
+  ctx.closePath();
+  ctx.fill();
+
+  // Crest shadow on the lee side
+  ctx.strokeStyle = 'rgba(150, 128, 84, 0.5)';
+  ctx.lineWidth = Math.max(1, 2 * s);
+  ctx.beginPath();
+  ctx.moveTo(baseX * 0.5, baseY - h * 0.35);
+  ctx.quadraticCurveTo(baseX, baseY - h * 0.75, w - baseX * 0.4, baseY - h * 0.2);
+  ctx.stroke();
+
+  return { canvas, anchorX: baseX, anchorY: baseY };
+}
+
+const SPRITE_RENDERERS = {
+  palm: renderPalm,
+  rock: renderRock,
+  shell: renderShell,
+  dune: renderDune
+};
+
+function getSprite(type, variant) {
+  const key = `${type}:${variant}`;
+  let sprite = spriteCache.get(key);
+  if (!sprite) {
+    const render = SPRITE_RENDERERS[type];
+    if (!render) return null;
+    sprite = render(variant);
+    spriteCache.set(key, sprite);
+  }
+  return sprite;
+}
+
+/**
+ * Draw a single decoration at its ground contact point.
+ * Expects the camera transform to already be applied to ctx.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} deco - Decoration from getVisibleDecorations()
+ */
+export function drawDecoration(ctx, deco) {
+  const sprite = getSprite(deco.type, deco.variant);
+  if (!sprite) return;
+  ctx.drawImage(sprite.canvas, Math.round(deco.x - sprite.anchorX), Math.round(deco.y - sprite.anchorY));
+}
@@ -9,6 +9,7 @@ import { inventoryManager } from './inventoryManager.js';
 import { database } from '../utils/firebaseClient.js';
 import { ref, runTransaction } from 'firebase/database';
 import { highlightManager } from './highlightManager.js';
+import { DEFAULT_AREA_ID } from '../data/areaData.js';
 // trackDamage removed - now handled by sendDamageRequest in enemyService.js
 
 /**
@@ -32,7 +33,7 @@ const enemies = new Map();
 let targetedEnemy = null;
 let enemyUnsubscribe = null;
 // Current area id for client-side template lookups (set in initEnemies)
-let currentAreaId = 'beach';
+let currentAreaId = DEFAULT_AREA_ID;
 // Counter for periodic health validation
 let validationCounter = 0;
 
@@ -105,8 +106,12 @@ function validateEnemyHealth(enemy) {
  * - Visual representation and smooth rendering
  * - Immediate damage feedback before server confirms
  * - Death animations and cleanup
+ *
+ * Calling again with another area id (area transition) drops the previous
+ * area's subscription and enemies before subscribing to the new area.
+ * @param {string} [areaId] - Area whose enemies to subscribe to
  */
-export function initEnemies() {
+export function initEnemies(areaId = DEFAULT_AREA_ID) {
     // Clean up existing state
     enemies.clear();
     targetedEnemy = null;
@@ -116,10 +121,9 @@ export function initEnemies() {
         enemyUnsubscribe = null;
     }
     
-    const currentArea = 'beach';
-    currentAreaId = currentArea; // persist for template lookups when server entries lack templateId
+    currentAreaId = areaId; // persist for template lookups and damage writes
 
-    enemyUnsubscribe = subscribeToEnemies(currentArea, handleEnemySync);
+    enemyUnsubscribe = subscribeToEnemies(areaId, handleEnemySync);
 }
 
 /**
@@ -199,7 +203,7 @@ function handleEnemySync(enemyData) {
                 template = enemyTemplates.getTemplateById(serverEnemy.templateId);
             } else {
                 // Choose a weighted template for this area so client visuals are sensible
-                const areaTemplates = enemyTemplates.getTemplatesForArea(currentAreaId || 'beach');
+                const areaTemplates = enemyTemplates.getTemplatesForArea(currentAreaId || DEFAULT_AREA_ID);
                 template = enemyTemplates.chooseWeightedTemplate(areaTemplates) || null;
                 if (!template) {
                 }
@@ -787,8 +791,7 @@ export function damageEnemy(enemy, amount) {
     }
 
     // Send damage to server for authority
-    const currentArea = 'beach';
-    const enemyRef = ref(database, `areas/${currentArea}/enemies/${enemy.id}`);
+    const enemyRef = ref(database, `areas/${currentAreaId}/enemies/${enemy.id}`);
 
     runTransaction(enemyRef, (serverEnemy) => {
         if (!serverEnemy) {
@@ -0,0 +1,163 @@
+import { equipmentById } from '../data/content.js';
+import { playerStatsConfig } from '../data/playerStatsConfig.js';
+import { inventoryManager } from './inventoryManager.js';
+import { getPlayerEquipment, setPlayerEquipment } from '../services/firestoreService.js';
+import { baseItemInstance } from './loot.js';
+
+// The equipped instance for an inventory slot entry (or saved slot value)
+function toEquipped(entry) {
+  return { itemId: entry.itemId, instanceId: entry.instanceId, rarity: entry.rarity, affixes: entry.affixes || [] };
+}
+
+/**
+ * AI: Equipment Management System
+ * Tracks which item instance is in each equipment slot (the Equipment tab's
+ * data-slot-type names, see playerStats.json) as { itemId, instanceId,
+ * rarity, affixes }, and aggregates the equipped items' `stats` from
+ * equipment.json plus their rolled affixes onto the base stat sheet.
+ * Equipping moves the item out of the inventory (and any item it replaces
+ * back in); both are saved in one update under players/{uid}.
+ */
+class EquipmentManager {
+  constructor() {
+    this.uid = null;
+    this.slots = Object.fromEntries(Object.keys(playerStatsConfig.slots).map(slot => [slot, null]));
+    this._stats = { ...playerStatsConfig.base };
+    this._listeners = new Set();
+  }
+
+  /**
+   * AI: Initialize with the player's UID and load equipped gear.
+   * @param {string} uid - The player's user ID.
+   */
+  async initialize(uid) {
+    this.uid = uid;
+    try {
+      const saved = await getPlayerEquipment(uid);
+      for (const slot of Object.keys(this.slots)) {
+        const value = saved && saved[slot];
+        // Gear saved before instances existed is a bare itemId
+        const equipped = typeof value === 'string' ? { itemId: value, ...baseItemInstance(value) } : value;
+        // Ignore gear that no longer exists or no longer fits the slot
+        this.slots[slot] = equipped && this.fits(equipped.itemId, slot) ? toEquipped(equipped) : null;
+      }
+      this._recompute();
+      this.notifyListeners({ type: 'loaded' });
+    } catch (error) {
+      console.error('Failed to load equipment from server:', error);
+    }
+  }
+
+  /**
+   * AI: Whether an item can go in an equipment slot.
+   * @param {string} itemId
+   * @param {string} slot - e.g. 'module2'
+   * @returns {boolean}
+   */
+  fits(itemId, slot) {
+    const def = equipmentById[itemId];
+    return !!def && def.slot === playerStatsConfig.slots[slot];
+  }
+
+  /**
+   * AI: Equip the item in an inventory slot. Whatever was equipped there goes
+   * back into the inventory.
+   * @param {string} slot - Equipment slot
+   * @param {number} inventorySlotIndex - Inventory slot holding the item
+   * @returns {{ success: boolean, message: string }}
+   */
+  equip(slot, inventorySlotIndex) {
+    if (!(slot in this.slots)) return { success: false, message: 'Unknown equipment slot' };
+    const entry = inventoryManager.getSlot(inventorySlotIndex);
+    if (!entry) return { success: false, message: 'Nothing to equip' };
+    const def = equipmentById[entry.itemId];
+    if (!def) return { success: false, message: 'That item cannot be equipped' };
+    if (!this.fits(entry.itemId, slot)) return { success: false, message: `Goes in a ${def.slot} slot` };
+
+    const previous = this.slots[slot];
+    const result = inventoryManager.exchangeItems(
+      [{ item: entry.itemId, quantity: 1, slotIndex: inventorySlotIndex }],
+      previous ? [{ item: previous.itemId, quantity: 1, instances: [previous] }] : []
+    );
+    if (!result.success) return result;
+
+    this.slots[slot] = toEquipped(entry);
+    this._changed({ type: 'equipped', slot, itemId: entry.itemId, previous: previous && previous.itemId });
+    return { success: true, message: `Equipped ${def.name}` };
+  }
+
+  /**
+   * AI: Move an equipped item back into the inventory.
+   * @param {string} slot - Equipment slot
+   * @returns {{ success: boolean, message: string }}
+   */
+  unequip(slot) {
+    const equipped = this.slots[slot];
+    if (!equipped) return { success: false, message: 'Slot is empty' };
+    const result = inventoryManager.exchangeItems([], [{ item: equipped.itemId, quantity: 1, instances: [equipped] }]);
+    if (!result.success) return result;
+
+    this.slots[slot] = null;
+    this._changed({ type: 'unequipped', slot, itemId: equipped.itemId });
+    return { success: true, message: 'Unequipped' };
+  }
+
+  /**
+   * AI: Player stat sheet: base stats plus every equipped item's stats and
+   * affixes.
+   * @returns {{atk: number, miningSpeed: number, moveSpeed: number}}
+   */
+  getStats() {
+    return this._stats;
+  }
+
+  _recompute() {
+    const stats = { ...playerStatsConfig.base };
+    for (const equipped of Object.values(this.slots)) {
+      if (!equipped) continue;
+      for (const [stat, value] of Object.entries(equipmentById[equipped.itemId]?.stats || {})) {
+        stats[stat] = (stats[stat] || 0) + (Number(value) || 0);
+      }
+      for (const affix of equipped.affixes) {
+        stats[affix.stat] = (stats[affix.stat] || 0) + (Number(affix.value) || 0);
+      }
+    }
+    this._stats = stats;
+  }
+
+  _changed(event) {
+    this._recompute();
+    if (this.uid) {
+      setPlayerEquipment(this.uid, { ...this.slots }, inventoryManager.getInventory()).catch((error) => {
+        console.error('Failed to save equipment to server:', error);
+      });
+    }
+    this.notifyListeners(event);
+  }
+
+  /**
+   * AI: Subscribe to equipment events
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this._listeners.add(callback);
+    }
+    return () => this._listeners.delete(callback);
+  }
+
+  /**
+   * AI: Notify all listeners of equipment events
+   */
+  notifyListeners(event) {
+    this._listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in equipment listener:', error);
+      }
+    });
+  }
+}
+
+// AI: Export singleton instance
+export const equipmentManager = new EquipmentManager();
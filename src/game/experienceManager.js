@@ -37,12 +37,13 @@ class ExperienceManager {
     };
 
     // AI: Skills state - per-skill experience & level tracking
-    // This supports Mining, Fishing and Gathering panels in the UI.
+    // This supports Mining, Fishing, Gathering, Xenohunting and Crafting panels in the UI.
     this.skills = {
       mining: { level: 1, experience: 0 },
       fishing: { level: 1, experience: 0 },
       gathering: { level: 1, experience: 0 },
-      xenohunting: { level: 1, experience: 0 }
+      xenohunting: { level: 1, experience: 0 },
+      crafting: { level: 1, experience: 0 }
     };
 
     // AI: Map resource types to skills (adjustable). Unknown types default to 'gathering'.
@@ -141,48 +142,55 @@ class ExperienceManager {
     const expGain = this.expGains[resourceType] || this.expGains.default;
     // AI: Update both total exp and per-skill exp if mapping exists
     const skill = this.resourceToSkill[resourceType] || 'gathering';
-    // AI: Prevent fishing and gathering experience
+    // AI: Prevent fishing and gathering experience here; the server grants it
+    // with each catch or forage pickup and it is mirrored through applyGrantedExp
     if (skill === 'fishing' || skill === 'gathering') {
       return false;
     }
-    // Add to global experience
-    const ok = this.addExperience(expGain, resourceType);
+    return this.addSkillExp(skill, expGain, resourceType);
+  }
+
+  /**
+   * AI: Add experience to a skill and the global total, and save it.
+   * @param {string} skill - Skill key, e.g. 'crafting'
+   * @param {number} amount - Experience for the skill
+   * @param {string|null} [resourceType] - Source passed on to addExperience
+   */
+  addSkillExp(skill, amount, resourceType = null) {
+    const ok = this.addExperience(amount, resourceType);
     if (ok) {
-      try {
-        const s = this.skills[skill] || { level: 1, experience: 0 };
-        s.experience = (s.experience || 0) + expGain;
-        s.level = getLevelFromExperience(s.experience);
-        this.skills[skill] = s;
-        // Notify listeners of skill update
-        this.notifyListeners({ type: 'skillUpdate', skill, level: s.level, experience: s.experience });
-        
-        // AI: Trigger save to server after experience gain
-        this._scheduleSave();
-      } catch (e) { console.warn('Failed to update skill:', e); }
+      this._creditSkill(skill, amount);
+      // AI: Trigger save to server after experience gain
+      this._scheduleSave();
     }
     return ok;
   }
 
+  /**
+   * AI: Mirror experience the server already granted and saved (e.g. harvest
+   * results). Updates global and skill XP and notifies listeners, but does not
+   * schedule a save.
+   */
+  applyGrantedExp(skill, amount) {
+    if (!skill || !(amount > 0)) return false;
+    const ok = this.addExperience(amount);
+    if (ok) this._creditSkill(skill, amount);
+    return ok;
+  }
+
+  // Add experience to one skill's record and notify listeners (the global
+  // total is updated by addExperience)
+  _creditSkill(skill, amount) {
+    const s = this.skills[skill] || { level: 1, experience: 0 };
+    s.experience = (s.experience || 0) + amount;
+    s.level = getLevelFromExperience(s.experience);
+    this.skills[skill] = s;
+    this.notifyListeners({ type: 'skillUpdate', skill, level: s.level, experience: s.experience });
+  }
+
  addXenohuntingExp(amount) {
    const expGain = amount || this.expGains.bugKill || 50;
-   const skill = 'xenohunting';
-   
-   // Add to global experience
-   const ok = this.addExperience(expGain, 'bugKill');
-   if (ok) {
-     try {
-       const s = this.skills[skill] || { level: 1, experience: 0 };
-       s.experience = (s.experience || 0) + expGain;
-       s.level = getLevelFromExperience(s.experience);
-       this.skills[skill] = s;
-       // Notify listeners of skill update
-       this.notifyListeners({ type: 'skillUpdate', skill, level: s.level, experience: s.experience });
-       
-       // AI: Trigger save to server after experience gain
-       this._scheduleSave();
-     } catch (e) { console.warn('Failed to update skill:', e); }
-   }
-   return ok;
+   return this.addSkillExp('xenohunting', expGain, 'bugKill');
  }
 
   /**
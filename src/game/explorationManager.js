@@ -0,0 +1,267 @@
+import { getPlayerExploration, updatePlayerExploration, onPlayerMapPins, addPlayerMapPin, removePlayerMapPin } from '../services/firestoreService.js';
+import { worldMapConfig } from '../data/worldMapConfig.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+
+// Bitset <-> base64 helpers (RTDB stores strings far more compactly than arrays)
+function encodeBits(bits) {
+  let binary = '';
+  for (let i = 0; i < bits.length; i++) binary += String.fromCharCode(bits[i]);
+  return window.btoa(binary);
+}
+
+function decodeBits(encoded, byteLength) {
+  const out = new Uint8Array(byteLength);
+  if (typeof encoded !== 'string' || !encoded) return out;
+  try {
+    const binary = window.atob(encoded);
+    for (let i = 0; i < Math.min(binary.length, byteLength); i++) out[i] = binary.charCodeAt(i);
+  } catch (_) {
+    // Corrupt record: treat as unexplored rather than failing the session
+  }
+  return out;
+}
+
+/**
+ * AI: Exploration Management System
+ * Tracks which parts of the current area the player has flown over (fog of
+ * war for the world map) and the player's named map pins there. Every area
+ * has its own terrain, so both are kept per area.
+ * Explored cells are a bitset over a worldMapConfig.fogCellSize grid, saved
+ * under players/{uid}/exploration/{areaId} and merged (bitwise OR) with the
+ * server copy so progress from every session accumulates. Pins live under
+ * players/{uid}/mapPins/{areaId} and are kept in sync through a live listener.
+ */
+class ExplorationManager {
+  constructor() {
+    this.uid = null;
+    this.areaId = null;
+    this.cols = Math.ceil(WORLD_WIDTH / worldMapConfig.fogCellSize);
+    this.rows = Math.ceil(WORLD_HEIGHT / worldMapConfig.fogCellSize);
+    this.bits = new Uint8Array(Math.ceil((this.cols * this.rows) / 8));
+    this.pins = {}; // pinId -> { name, x, y, createdAt }
+
+    this._lastCell = -1; // Cell index the player was last revealed from
+    this._saveTimeout = null;
+    this._unsubscribePins = null;
+    this._listeners = new Set();
+  }
+
+  /**
+   * AI: Initialize with the player's UID; explored cells and pins are loaded
+   * once the current area is known too (see setArea).
+   * @param {string} uid - The player's user ID.
+   */
+  async initialize(uid) {
+    if (this.uid === uid) return;
+    this.uid = uid;
+    this._reset();
+    await this._load();
+  }
+
+  /**
+   * AI: Switch to an area's explored cells and pins. Called whenever the
+   * current area is set (first load and every transition); cells explored in
+   * the previous area are saved first.
+   * @param {string} areaId
+   */
+  async setArea(areaId) {
+    if (this.areaId === areaId) return;
+    if (this._saveTimeout) {
+      this.saveNow().catch((error) => {
+        console.error('Failed to save exploration to server:', error);
+      });
+    }
+    this.areaId = areaId;
+    this._reset();
+    await this._load();
+  }
+
+  // Forget the current area's cells and pins (a new bitset, so a save still
+  // in flight keeps the previous area's cells)
+  _reset() {
+    this.bits = new Uint8Array(this.bits.length);
+    this.pins = {};
+    this._lastCell = -1;
+    if (this._unsubscribePins) this._unsubscribePins();
+    this._unsubscribePins = null;
+    this.notifyListeners({ type: 'explored' });
+    this.notifyListeners({ type: 'pins' });
+  }
+
+  // Load explored cells and subscribe to pins for the current player and area
+  async _load() {
+    const { uid, areaId } = this;
+    if (!uid || !areaId) return;
+
+    this._unsubscribePins = onPlayerMapPins(uid, areaId, (pins) => {
+      this.pins = pins;
+      this.notifyListeners({ type: 'pins' });
+    });
+
+    try {
+      const record = await getPlayerExploration(uid, areaId);
+      if (uid !== this.uid || areaId !== this.areaId) return; // Switched while loading
+      this._mergeRecord(record);
+      this._lastCell = -1; // Re-reveal around the current position after loading
+      this.notifyListeners({ type: 'explored' });
+    } catch (error) {
+      console.error('Failed to load exploration from server:', error);
+    }
+  }
+
+  // OR a server record into a bitset, by default the current area's (ignores
+  // records of another grid size)
+  _mergeRecord(record, bits = this.bits) {
+    if (!record || record.cols !== this.cols || record.rows !== this.rows) return;
+    const remote = decodeBits(record.bits, bits.length);
+    for (let i = 0; i < bits.length; i++) bits[i] |= remote[i];
+  }
+
+  /**
+   * AI: Whether a fog cell has been explored.
+   * @param {number} cx - Fog cell column
+   * @param {number} cy - Fog cell row
+   * @returns {boolean}
+   */
+  isExplored(cx, cy) {
+    if (cx < 0 || cy < 0 || cx >= this.cols || cy >= this.rows) return false;
+    const i = cy * this.cols + cx;
+    return (this.bits[i >> 3] & (1 << (i & 7))) !== 0;
+  }
+
+  /**
+   * AI: Mark cells around a world position as explored. Cheap to call every
+   * tick: work is only done when the player enters a new fog cell.
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  reveal(x, y) {
+    const { fogCellSize, revealRadius } = worldMapConfig;
+    const pcx = Math.floor(x / fogCellSize);
+    const pcy = Math.floor(y / fogCellSize);
+    const cellIndex = pcy * this.cols + pcx;
+    if (cellIndex === this._lastCell) return;
+    this._lastCell = cellIndex;
+
+    const reach = Math.ceil(revealRadius / fogCellSize);
+    let changed = false;
+    for (let cy = pcy - reach; cy <= pcy + reach; cy++) {
+      for (let cx = pcx - reach; cx <= pcx + reach; cx++) {
+        if (cx < 0 || cy < 0 || cx >= this.cols || cy >= this.rows) continue;
+        // Reveal cells whose center lies within the radius
+        const dx = (cx + 0.5) * fogCellSize - x;
+        const dy = (cy + 0.5) * fogCellSize - y;
+        if (dx * dx + dy * dy > revealRadius * revealRadius) continue;
+        const i = cy * this.cols + cx;
+        const mask = 1 << (i & 7);
+        if (!(this.bits[i >> 3] & mask)) {
+          this.bits[i >> 3] |= mask;
+          changed = true;
+        }
+      }
+    }
+
+    if (changed) {
+      this.notifyListeners({ type: 'explored' });
+      this._scheduleSave();
+    }
+  }
+
+  /**
+   * AI: Pins as an array sorted by creation time.
+   * @returns {Array<{id: string, name: string, x: number, y: number}>}
+   */
+  getPins() {
+    return Object.entries(this.pins)
+      .map(([id, pin]) => ({ id, ...pin }))
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  /**
+   * AI: Drop a named pin at a world position in the current area.
+   * @param {string} name
+   * @param {number} x
+   * @param {number} y
+   * @returns {Promise<boolean>} Whether the pin was added
+   */
+  async addPin(name, x, y) {
+    if (!this.uid || !this.areaId) return false;
+    const trimmed = String(name || '').trim().slice(0, worldMapConfig.maxPinNameLength);
+    if (!trimmed) return false;
+    if (Object.keys(this.pins).length >= worldMapConfig.maxPins) return false;
+    try {
+      await addPlayerMapPin(this.uid, this.areaId, { name: trimmed, x, y });
+      return true;
+    } catch (error) {
+      console.error('Failed to add map pin:', error);
+      return false;
+    }
+  }
+
+  /**
+   * AI: Remove a pin by id.
+   * @param {string} pinId
+   */
+  async removePin(pinId) {
+    if (!this.uid || !this.areaId || !pinId) return;
+    try {
+      await removePlayerMapPin(this.uid, this.areaId, pinId);
+    } catch (error) {
+      console.error('Failed to remove map pin:', error);
+    }
+  }
+
+  /**
+   * AI: Subscribe to exploration events ({type: 'explored'|'pins'})
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this._listeners.add(callback);
+    }
+    return () => this._listeners.delete(callback);
+  }
+
+  notifyListeners(event) {
+    this._listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in exploration listener:', error);
+      }
+    });
+  }
+
+  /**
+   * AI: Schedule a save with debouncing; exploration changes in bursts while flying
+   */
+  _scheduleSave() {
+    if (this._saveTimeout) return; // A save is already pending and will include these cells
+    this._saveTimeout = setTimeout(() => {
+      this._saveTimeout = null;
+      this.saveNow().catch((error) => {
+        console.error('Failed to save exploration to server:', error);
+      });
+    }, worldMapConfig.saveDebounceMs);
+  }
+
+  /**
+   * AI: Merge local exploration into the server record immediately
+   */
+  async saveNow() {
+    // Keep the area being saved even if the player moves on meanwhile
+    const { uid, areaId, bits } = this;
+    if (!uid || !areaId) return;
+    if (this._saveTimeout) {
+      clearTimeout(this._saveTimeout);
+      this._saveTimeout = null;
+    }
+    const result = await updatePlayerExploration(uid, areaId, (current) => {
+      this._mergeRecord(current, bits);
+      return { cols: this.cols, rows: this.rows, bits: encodeBits(bits) };
+    });
+    if (result && result.committed && bits === this.bits) this.notifyListeners({ type: 'explored' });
+  }
+}
+
+// AI: Export singleton instance
+export const explorationManager = new ExplorationManager();
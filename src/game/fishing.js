@@ -0,0 +1,209 @@
+// src/game/fishing.js
+// Fishing activity: with a fishing pole in the inventory, right-clicking
+// water within castRange casts a line. The server (handleFishingRequest in
+// functions/index.js) validates the cast and decides when a fish bites; the
+// player then has a short bite window to right-click again and hook it. The
+// catch is rolled and granted on the server from the cast biome's table in
+// fishing.json; the client only mirrors the result.
+
+import { game } from './core.js';
+import { isInWater } from './world.js';
+import { experienceManager } from './experienceManager.js';
+import { multiplayerManager } from './multiplayerManager.js';
+import { getPlayerHarvestStats } from './resources.js';
+import { showFloatingText, showItemPickupMessage } from './groundItemUI.js';
+import { fishingConfig } from '../data/fishingConfig.js';
+import { applyGrantedItem } from '../ui/inventory.js';
+import { sendActionRequest } from '../services/actionService.js';
+import { playPickupSound, playCycleCompleteSound } from '../utils/sfx.js';
+
+// Player-facing text for server rejections
+const ERROR_MESSAGES = {
+  tool_required: 'Requires a Fishing Pole',
+  out_of_range: 'Too far away',
+  not_water: "Nothing's biting here",
+  too_early: 'Too early!',
+  too_late: 'It got away!',
+};
+const MISS_COLOR = '#f87171';
+
+/**
+ * AI: Fishing state for the local player.
+ * `cast` walks through: 'casting' (waiting for the server to accept the
+ * cast) -> 'waiting' -> 'bite' (hook window open) -> 'reeling' (hook request
+ * in flight), then clears.
+ */
+class FishingManager {
+  constructor() {
+    this.cast = null; // { x, y, state, biome, biteAt, biteUntil, startedAt }
+  }
+
+  /**
+   * Whether the player carries a good enough fishing pole.
+   * @returns {boolean}
+   */
+  hasPole() {
+    return getPlayerHarvestStats(fishingConfig.skill, fishingConfig.tool).toolTier >= fishingConfig.toolTier;
+  }
+
+  isActive() {
+    return !!this.cast;
+  }
+
+  /**
+   * Handle a right-click in the world. Hooks a biting fish, or casts when
+   * water within range was clicked.
+   * @param {number} x - World X of the click
+   * @param {number} y - World Y of the click
+   * @returns {boolean} True when the click was used for fishing
+   */
+  handleRightClick(x, y) {
+    if (this.cast && this.cast.state === 'bite') {
+      this.hook();
+      return true;
+    }
+    // Any other click reels the line back in (a water click re-casts below)
+    if (this.cast && this.cast.state !== 'reeling') this.cancel();
+
+    if (this.cast || !isInWater(x, y) || !this.hasPole()) return false;
+    const p = game.player;
+    if (Math.hypot(x - p.x, y - p.y) > fishingConfig.castRange) return false;
+
+    this.startCast(x, y);
+    return true;
+  }
+
+  async startCast(x, y) {
+    const uid = this._uid();
+    if (!uid) return;
+    const cast = { x, y, state: 'casting', biome: null, biteAt: 0, biteUntil: 0, startedAt: performance.now() };
+    this.cast = cast;
+
+    try {
+      const res = await sendActionRequest('fishing', game.areaId, { uid, action: 'cast', x: Math.round(x), y: Math.round(y) });
+      if (this.cast !== cast) return; // cancelled meanwhile
+      if (!res || !res.success) {
+        this._fail(res && res.error);
+        return;
+      }
+      // Bite timing is relative to now; the server adds latency grace
+      const now = performance.now();
+      cast.biome = res.biome;
+      cast.biteAt = now + res.biteInMs;
+      cast.biteUntil = cast.biteAt + res.windowMs;
+      cast.state = 'waiting';
+    } catch (error) {
+      console.warn('Fishing cast failed:', error?.message || error);
+      if (this.cast === cast) this.cancel();
+    }
+  }
+
+  async hook() {
+    const cast = this.cast;
+    const uid = this._uid();
+    if (!cast || !uid) return;
+    cast.state = 'reeling';
+
+    try {
+      const res = await sendActionRequest('fishing', game.areaId, { uid, action: 'hook' });
+      if (!res || !res.success) {
+        this._fail(res && res.error, cast);
+        return;
+      }
+      let caught = false;
+      for (const item of res.items || []) {
+        if (item.count > 0 && applyGrantedItem(item.type, item.count, item.instances || null)) {
+          caught = true;
+          showItemPickupMessage(item.type, item.count, cast.x, cast.y);
+        }
+      }
+      if (caught) playPickupSound();
+      if (res.inventoryFull) showFloatingText('Inventory full', cast.x, cast.y - 12, MISS_COLOR);
+      if (res.xp) experienceManager.applyGrantedExp(res.xp.skill, res.xp.amount);
+    } catch (error) {
+      console.warn('Fishing hook failed:', error?.message || error);
+    } finally {
+      if (this.cast === cast) this.cancel();
+    }
+  }
+
+  cancel() {
+    this.cast = null;
+  }
+
+  /**
+   * Advance bite timing; reel in when the drone leaves casting range.
+   */
+  update() {
+    const cast = this.cast;
+    if (!cast) return;
+    const p = game.player;
+    if (Math.hypot(cast.x - p.x, cast.y - p.y) > fishingConfig.castRange + fishingConfig.rangeSlack) {
+      this.cancel();
+      return;
+    }
+    const now = performance.now();
+    if (cast.state === 'waiting' && now >= cast.biteAt) {
+      cast.state = 'bite';
+      playCycleCompleteSound();
+    } else if (cast.state === 'bite' && now > cast.biteUntil) {
+      this._fail('too_late', cast);
+    }
+  }
+
+  /**
+   * Draw the line and bobber. Expects the camera transform to be applied.
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw(ctx) {
+    const cast = this.cast;
+    if (!cast) return;
+    const p = game.player;
+    const t = (performance.now() - cast.startedAt) / 1000;
+    const biting = cast.state === 'bite';
+    // Bobber bobs gently while waiting and dips hard on a bite
+    const bob = biting ? Math.sin(t * 24) * 2.5 : Math.sin(t * 3) * 1;
+    const bx = cast.x;
+    const by = cast.y + bob;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(229, 231, 235, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.quadraticCurveTo((p.x + bx) / 2, Math.max(p.y, by) + 12, bx, by);
+    ctx.stroke();
+
+    // Ripple ring around the bobber
+    ctx.strokeStyle = biting ? 'rgba(251, 191, 36, 0.8)' : 'rgba(255, 255, 255, 0.35)';
+    ctx.beginPath();
+    ctx.ellipse(bx, cast.y + 2, 5 + (t * 4) % 4, 2 + (t * 2) % 2, 0, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = '#ef4444';
+    ctx.fillRect(Math.round(bx - 2), Math.round(by - 3), 4, 3);
+    ctx.fillStyle = '#f9fafb';
+    ctx.fillRect(Math.round(bx - 2), Math.round(by), 4, 2);
+
+    if (biting) {
+      ctx.font = 'bold 12px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = '#fbbf24';
+      ctx.fillText('!', bx, by - 6);
+    }
+    ctx.restore();
+  }
+
+  // Show why a cast or hook failed and reel in
+  _fail(error, cast = this.cast) {
+    if (cast) showFloatingText(ERROR_MESSAGES[error] || 'The line went slack', cast.x, cast.y, MISS_COLOR);
+    if (this.cast === cast) this.cancel();
+  }
+
+  _uid() {
+    return multiplayerManager.isConnected() ? multiplayerManager.localPlayer.uid : null;
+  }
+}
+
+export const fishingManager = new FishingManager();
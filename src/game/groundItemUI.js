@@ -237,15 +237,27 @@ function handleItemPickedUp(event) {
  * @private
  */
 function createFloatingMessage(itemName, itemCount, worldX, worldY) {
+  const messageText = itemCount > 1 ? `+${itemCount}x ${itemName}` : `+${itemName}`;
+  showFloatingText(messageText, worldX, worldY);
+}
+
+/**
+ * Float a short line of text up from a world position (e.g. "It got away!")
+ *
+ * @param {string} text - Message to show
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {string} [color] - Text color (defaults to the pickup green)
+ */
+export function showFloatingText(text, worldX, worldY, color = FLOATING_MESSAGE_CONFIG.textColor) {
   // Limit concurrent messages for performance
   if (floatingMessages.length >= MAX_FLOATING_MESSAGES) {
     floatingMessages.shift(); // Remove oldest message
   }
 
-  const messageText = itemCount > 1 ? `+${itemCount}x ${itemName}` : `+${itemName}`;
-
   floatingMessages.push({
-    text: messageText,
+    text,
+    color,
     worldX,
     worldY,
     life: FLOATING_MESSAGE_CONFIG.duration,
@@ -349,7 +361,7 @@ function drawFloatingMessages(ctx) {
     ctx.fillText(message.text, screenCoords.x + 1, screenCoords.y + 1);
 
     // Draw text
-    ctx.fillStyle = config.textColor;
+    ctx.fillStyle = message.color || config.textColor;
     ctx.fillText(message.text, screenCoords.x, screenCoords.y);
 
     ctx.restore();
@@ -1,4 +1,5 @@
-import { itemsById } from '../data/content.js';
+import { itemsById, equipmentById } from '../data/content.js';
+import { rollItemInstance, baseItemInstance } from './loot.js';
 import { gameState } from '../app/state.js';
 import { auth } from '../utils/firebaseClient.js';
 import { setPlayerGalacticTokens } from '../services/firestoreService.js';
@@ -7,6 +8,9 @@ import { setPlayerGalacticTokens } from '../services/firestoreService.js';
  * AI: Centralized Inventory Management System
  * Handles all inventory operations, validation, and state management
  * Provides consistent error handling and data integrity
+ * Slots hold { itemId, quantity }; equipment slots are single instances that
+ * also carry { instanceId, rarity, affixes } (see rollItemInstance in loot.js)
+ * and never stack.
  */
 class InventoryManager {
   constructor() {
@@ -132,6 +136,12 @@ class InventoryManager {
         // AI: Validate item exists in content data
         if (itemsById[slot.itemId]) {
           normalized[i] = { ...slot };
+          if (equipmentById[slot.itemId]) {
+            // AI: Equipment saved before instances existed gets a plain instance;
+            // the database drops empty affix lists
+            if (!slot.instanceId) Object.assign(normalized[i], { quantity: 1, ...baseItemInstance(slot.itemId) });
+            normalized[i].affixes = normalized[i].affixes || [];
+          }
         }
       }
     }
@@ -188,9 +198,14 @@ class InventoryManager {
 
   /**
    * AI: Add item to inventory with stacking and validation
+   * Equipment goes one instance per empty slot: `instances` are used in order
+   * (e.g. rolled by the server) and any missing ones are rolled here.
+   * @param {string} itemId
+   * @param {number} quantity
+   * @param {Array<{instanceId: string, rarity: string, affixes: Array<object>}>|null} instances
    * Returns { success: boolean, message: string, addedAmount: number }
    */
-  addItem(itemId, quantity = 1) {
+  addItem(itemId, quantity = 1, instances = null) {
     if (this._isUpdating) {
       return { success: false, message: 'Inventory update in progress', addedAmount: 0 };
     }
@@ -207,10 +222,11 @@ class InventoryManager {
 
     const originalInventory = this.getInventory();
     let remainingQuantity = quantity;
+    const isInstanced = !!equipmentById[itemId];
 
     try {
       // AI: Try to stack with existing items first
-      for (let i = 0; i < this.MAX_SLOTS && remainingQuantity > 0; i++) {
+      for (let i = 0; i < this.MAX_SLOTS && remainingQuantity > 0 && !isInstanced; i++) {
         const slot = this._inventory[i];
         if (slot && slot.itemId === itemId) {
           // AI: Check max stack limit if item is stackable
@@ -227,6 +243,12 @@ class InventoryManager {
       // AI: Add to empty slots if items remaining
       for (let i = 0; i < this.MAX_SLOTS && remainingQuantity > 0; i++) {
         if (!this._inventory[i]) {
+          if (isInstanced) {
+            const instance = (instances && instances[quantity - remainingQuantity]) || rollItemInstance(itemId);
+            this._inventory[i] = { itemId, quantity: 1, ...instance, affixes: instance.affixes || [] };
+            remainingQuantity -= 1;
+            continue;
+          }
           const maxStack = itemDef.maxStack || 99;
           const addAmount = Math.min(remainingQuantity, maxStack);
           
@@ -321,6 +343,60 @@ class InventoryManager {
     }
   }
 
+  /**
+   * AI: Mirror items the server dropped onto the ground from a slot: removes
+   * them like removeItem and notifies drop listeners
+   */
+  dropItem(itemId, quantity, fromSlotIndex) {
+    const result = this.removeItem(itemId, quantity, fromSlotIndex);
+    if (result.success) {
+      this._notifyDrop(itemId, result.removedAmount);
+    }
+    return result;
+  }
+
+  /**
+   * AI: Swap a set of items for another in one step (crafting)
+   * Inputs are taken with removeItem and outputs given with addItem; if any
+   * input is short or an output does not fit, the inventory is put back
+   * exactly as it was.
+   * @param {Array<{item: string, quantity: number, slotIndex?: number}>} inputs - slotIndex takes from that slot only
+   * @param {Array<{item: string, quantity: number, instances?: Array<object>}>} outputs - instances as in addItem
+   * Returns { success: boolean, message: string }
+   */
+  exchangeItems(inputs, outputs) {
+    if (this._isUpdating) {
+      return { success: false, message: 'Inventory update in progress' };
+    }
+
+    for (const input of inputs) {
+      if (!this.hasItem(input.item, input.quantity)) {
+        return { success: false, message: 'Missing materials' };
+      }
+    }
+
+    // AI: Deep copy - removeItem/addItem mutate slot objects in place
+    const originalInventory = this._inventory.map(slot => (slot ? { ...slot } : null));
+    const revert = (message) => {
+      this._inventory = originalInventory;
+      gameState.playerInventory = this._inventory;
+      this._notifyChange('exchangeReverted', null);
+      return { success: false, message };
+    };
+
+    for (const input of inputs) {
+      const result = this.removeItem(input.item, input.quantity, input.slotIndex ?? -1);
+      if (result.removedAmount < input.quantity) return revert('Missing materials');
+    }
+    for (const output of outputs) {
+      const result = this.addItem(output.item, output.quantity, output.instances || null);
+      if (result.addedAmount < output.quantity) return revert('Inventory full');
+    }
+
+    this._notifyChange('itemsExchanged', { inputs, outputs });
+    return { success: true, message: 'Items exchanged' };
+  }
+
   /**
    * AI: Move item between slots (drag and drop support)
    * Returns { success: boolean, message: string }
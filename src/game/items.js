@@ -3,15 +3,11 @@ import { game } from './core.js';
 import { drawPixelIcon, drawOutline } from '../data/pixelIcons.js';
 import { highlightManager } from './highlightManager.js';
 
-import { isInWater } from './world.js';
-import { randi, weightedPick, clampWorldCoordinates } from '../utils/math.js';
-import { items as itemDefs } from '../data/content.js';
+import { clampWorldCoordinates } from '../utils/math.js';
 import { playItemDropSound } from '../utils/sfx.js';
 
-const excludedIds = new Set(['treasure_chest', 'message_in_bottle']);
-const beachItems = itemDefs
-  .filter(i => i.spawnable && !excludedIds.has(i.id))
-  .map(i => ({ id: i.id, name: i.name, weight: i.weight ?? 1 }));
+// Gatherable items are spawned along the shoreline by the spawnForage Cloud
+// Function (functions/index.js) and arrive through the groundItems sync
 
 export function drawGroundItems() {
   const { ctx } = game;
@@ -122,41 +118,28 @@ export function drawGroundItems() {
   }
 }
 
-export function spawnGroundItem() {
-   // Random sand position, avoid water and edges
-   let x = 0, y = 0, tries = 0;
-   do {
-     x = randi(12, game.WORLD_WIDTH - 12);
-     y = randi(12, game.WORLD_HEIGHT - 12);
-     tries++;
-   } while ((isInWater(x, y) || Math.hypot(x - game.player.x, y - game.player.y) < 18) && tries < 20);
-   // Beach items only (exclude chest and bottle), weighted
-   if (!beachItems.length) return;
-   const type = weightedPick(beachItems).id;
-   const id = `ground_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-   game.groundItems.push({ id, x, y, type, harvest: 0 });
-}
-
 // API: add a world item at an explicit world coordinate
-export function addWorldItem(type, x, y, quantity = 1) {
+// An equipment `instance` (instanceId, rarity, affixes) stays with the item
+// and never stacks with others.
+export function addWorldItem(type, x, y, quantity = 1, instance = null) {
    const t = (type || 'seashell');
    const q = Math.max(1, quantity|0);
    // Bias position to safe region if in water
    const p = clampWorldCoordinates(x, y, game, 12);
    // Try stacking with nearby same-type items
-   const near = game.groundItems.find(g => g.type === t && Math.hypot(g.y - p.y, g.x - p.x) <= 18);
+   const near = !instance && game.groundItems.find(g => g.type === t && !g.instance && Math.hypot(g.y - p.y, g.x - p.x) <= 18);
    if (near) {
      near.count = (near.count || 1) + q;
    } else {
      const id = `ground_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-     game.groundItems.push({ id, x: p.x, y: p.y, type: t, count: q });
+     game.groundItems.push({ id, x: p.x, y: p.y, type: t, count: q, instance });
      playItemDropSound();
    }
 }
 
 // API: drop items at player position
-export function addWorldItemAtPlayer(type, quantity = 1) {
+export function addWorldItemAtPlayer(type, quantity = 1, instance = null) {
   const px = game.player.x;
   const py = game.player.y;
-  addWorldItem(type, px, py, quantity);
+  addWorldItem(type, px, py, quantity, instance);
 }
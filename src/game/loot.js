@@ -0,0 +1,153 @@
+// src/game/loot.js
+// Resource node loot tables (src/data/lootTables.json).
+// Each table, keyed by node type, has:
+// - drops: weighted entries; exactly one is picked per harvest drop
+// - bonus: rare extras, each rolled independently against its `chance`
+// Every entry gives `quantity: [min, max]` of `item`. Node types without a
+// table drop one of the item with the node's own id.
+// Rolls take a seed so they are reproducible: the Cloud Functions run this
+// same module (copied by functions/copyShared.js) and seed each roll from the
+// request, so the same seed always produces the same items here. Fishing catch
+// tables (fishing.json) use the same format.
+//
+// Equipment is not stackable: every piece is an instance with its own id,
+// rarity tier and rolled affixes (affixes.json), kept in its inventory or
+// equipment slot. The roll is seeded by the instance id, so an instance's
+// stats can always be reproduced from its id.
+
+import lootTables from '../data/lootTables.json';
+import { pickWeighted, equipmentById } from '../data/content.js';
+import { affixConfig, affixesById } from '../data/affixConfig.js';
+
+// Local lightweight mulberry32 PRNG (same as terrainSampler and nodePlacement)
+export function mulberry32(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Stable 32-bit hash of a string, so request ids can seed rolls
+export function hashString(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * The loot table for a node type.
+ * @param {string} nodeType
+ * @returns {{drops: Array<object>, bonus: Array<object>}}
+ */
+export function getLootTable(nodeType) {
+  return lootTables[nodeType] || {
+    drops: [{ item: nodeType, weight: 1, quantity: [1, 1] }],
+    bonus: [],
+  };
+}
+
+/**
+ * Roll a loot table (`drops` + `bonus`, as in lootTables.json).
+ * @param {{drops: Array<object>, bonus?: Array<object>}} table
+ * @param {number|string} seed - Same seed, same result
+ * @returns {Array<{itemId: string, quantity: number, bonus: boolean}>}
+ */
+export function rollLootTable(table, seed) {
+  const random = mulberry32(typeof seed === 'string' ? hashString(seed) : seed >>> 0);
+  const quantityOf = ([min, max]) => min + Math.floor(random() * (max - min + 1));
+  const loot = [];
+
+  // pickWeighted works on id -> weight maps; key entries by index since one
+  // item can appear in several entries with different quantities
+  const weights = Object.fromEntries(table.drops.map((entry, i) => [i, entry.weight]));
+  const key = pickWeighted(weights, random);
+  const picked = key === null ? null : table.drops[Number(key)];
+  if (picked) loot.push({ itemId: picked.item, quantity: quantityOf(picked.quantity), bonus: false });
+
+  for (const entry of table.bonus || []) {
+    if (random() < entry.chance) {
+      loot.push({ itemId: entry.item, quantity: quantityOf(entry.quantity), bonus: true });
+    }
+  }
+  return loot;
+}
+
+/**
+ * Roll one harvest drop from a node type's loot table.
+ * @param {string} nodeType
+ * @param {number|string} seed - Same seed, same result
+ * @returns {Array<{itemId: string, quantity: number, bonus: boolean}>}
+ */
+export function rollLoot(nodeType, seed) {
+  return rollLootTable(getLootTable(nodeType), seed);
+}
+
+/**
+ * A new, unique equipment instance id.
+ * @returns {string}
+ */
+export function newInstanceId() {
+  // globalThis: the Cloud Functions run this module under Node too
+  return globalThis.crypto.randomUUID();
+}
+
+// Rarity tier for a roll: rarest tier first, never below `minRarity`
+function rollRarity(random, minRarity) {
+  const tiers = affixConfig.rarities;
+  const floor = Math.max(0, tiers.findIndex(tier => tier.id === minRarity));
+  let r = random();
+  for (let i = tiers.length - 1; i > floor; i--) {
+    if ((r -= tiers[i].chance) < 0) return tiers[i];
+  }
+  return tiers[floor];
+}
+
+// `count` distinct affixes from the pool entries that fit a slot kind
+function rollAffixes(slotKind, count, random) {
+  const weights = Object.fromEntries(
+    affixConfig.affixes.filter(affix => affix.slots.includes(slotKind)).map(affix => [affix.id, affix.weight])
+  );
+  const affixes = [];
+  while (affixes.length < count) {
+    const id = pickWeighted(weights, random);
+    if (id === null) break;
+    delete weights[id];
+    const { stat, range: [min, max], step } = affixesById[id];
+    const steps = Math.round((max - min) / step);
+    const value = Number((min + Math.floor(random() * (steps + 1)) * step).toFixed(4));
+    affixes.push({ id, stat, value });
+  }
+  return affixes;
+}
+
+/**
+ * Roll a new equipment instance: rarity tier and affixes.
+ * @param {string} itemId - Entry in equipment.json
+ * @param {string} [instanceId] - Seeds the roll; a new id when omitted
+ * @returns {{instanceId: string, rarity: string, affixes: Array<{id: string, stat: string, value: number}>}|null}
+ *   null for items that are not equipment
+ */
+export function rollItemInstance(itemId, instanceId = newInstanceId()) {
+  const def = equipmentById[itemId];
+  if (!def) return null;
+  const random = mulberry32(hashString(instanceId));
+  const rarity = rollRarity(random, def.rarity);
+  return { instanceId, rarity: rarity.id, affixes: rollAffixes(def.slot, rarity.affixes, random) };
+}
+
+/**
+ * An unrolled instance (base rarity, no affixes) for equipment saved before
+ * instances existed.
+ * @param {string} itemId - Entry in equipment.json
+ * @returns {{instanceId: string, rarity: string, affixes: Array<object>}|null}
+ */
+export function baseItemInstance(itemId) {
+  const def = equipmentById[itemId];
+  if (!def) return null;
+  return { instanceId: newInstanceId(), rarity: def.rarity || affixConfig.rarities[0].id, affixes: [] };
+}
@@ -1,11 +1,12 @@
 import { auth, database as db } from '../utils/firebaseClient.js';
 import { ref, remove } from 'firebase/database';
-import { updateAreaPlayer, subscribeAreaPlayers, joinArea as joinAreaRT, clearAreaChatIfMatches } from '../services/realtimePosition.js';
+import { updateAreaPlayer, subscribeAreaPlayers, joinArea as joinAreaRT, leaveArea as leaveAreaRT, clearAreaChatIfMatches } from '../services/realtimePosition.js';
 import { worldToScreenCoords } from '../utils/math.js';
 import { showPlayerMessage, hidePlayerBubble, updatePlayerBubblePositions } from './character.js';
 import { sendChatMessage } from '../services/firestoreService.js';
 import { getColorFromUID } from '../utils/color.js';
 import { camera } from './world.js';
+import { DEFAULT_AREA_ID } from '../data/areaData.js';
 import { POSITION_UPDATE_RATE, STALE_DATA_THRESHOLD, RECENT_ACTIVITY_THRESHOLD, BASE_STALE_THRESHOLD, MAX_STALE_THRESHOLD, LONG_SESSION_THRESHOLD, INTERPOLATION_DURATION, HEARTBEAT_INTERVAL } from '../utils/constants.js';
 
 /**
@@ -26,7 +27,7 @@ class MultiplayerManager {
       y: 0,
       action: null,
       angle: 0, // AI: Add angle to player state
-      areaId: 'beach',
+      areaId: DEFAULT_AREA_ID,
       color: '#ffffff', // Default color
       miningNodeId: null, // AI: ID of the resource node being mined
     };
@@ -264,7 +265,7 @@ class MultiplayerManager {
   /**
    * AI: Join an area and subscribe to other players
    */
-  joinArea(areaId = 'beach') {
+  joinArea(areaId = DEFAULT_AREA_ID) {
     if (this.currentArea === areaId && this.areaUnsubscribe) {
       return; // Already in this area
     }
@@ -274,6 +275,10 @@ class MultiplayerManager {
       this.areaUnsubscribe();
       this.areaUnsubscribe = null;
     }
+    // Remove our presence from the old area so players there stop seeing us
+    if (this.currentArea && this.currentArea !== areaId && this.localPlayer.uid) {
+      leaveAreaRT(this.currentArea, this.localPlayer.uid).catch(() => {});
+    }
 
     // AI: Clear remote players from previous area
     this.remotePlayers.clear();
@@ -886,7 +891,7 @@ class MultiplayerManager {
       y: 0,
       action: null,
       angle: 0,
-      areaId: 'beach',
+      areaId: DEFAULT_AREA_ID,
       color: '#ffffff'
     };
 
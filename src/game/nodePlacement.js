@@ -0,0 +1,201 @@
+// src/game/nodePlacement.js
+// Seeded procedural placement of an area's resource nodes.
+// Each area in src/data/areaData.js carries `resourceRules` (a bounds rect
+// plus one rule per node type); this module turns those rules into a concrete
+// node layout. Placement is evaluated against the area's terrain seed with
+// the pure terrain sampler, so the client and the Cloud Functions (which get
+// a copy of this module, see functions/copyShared.js) derive the exact same
+// layout. The seed function writes it to areas/{areaId}/resources, and the
+// respawn job places depleted nodes' replacements with findRespawnPosition.
+//
+// Rule fields (see areaData.js):
+// - type: resource node type (key of resourceConfigs)
+// - density: nodes per 1,000,000 px² of the bounds rect (1000x1000 block)
+// - biomes: biome names the node may sit on (BIOMES in worldConstants.js)
+// - minSpacing: minimum distance in px to any other node
+// - cluster: { size: [min, max], radius } places nodes in groups of `size`
+//   within `radius` of a group center instead of individually
+// - near: { type, radius } only places nodes within `radius` of an already
+//   placed node of `type` (rules are evaluated in order)
+
+import { classifyWorldPosition } from './terrainSampler.js';
+import { getArea, getAreaTerrainSeed } from '../data/areaData.js';
+import { resourceConfigs, resourceRespawnRules } from '../data/resourceConfigs.js';
+import { DRONE_COLLISION_RADIUS } from '../utils/constants.js';
+import { BIOMES, WORLD_WIDTH, WORLD_HEIGHT, WORLD_PADDING } from '../utils/worldConstants.js';
+
+// Random candidates tried per node before a rule gives up
+const ATTEMPTS_PER_NODE = 40;
+
+// Local lightweight mulberry32 PRNG (same as terrainSampler) so layouts are
+// reproducible from a numeric seed.
+function mulberry32(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Stable 32-bit hash of a string (mixes the area id into the terrain seed)
+function hashString(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Biomes a node without a placement rule (hand-placed layouts) may respawn on
+const LAND_BIOMES = Object.values(BIOMES).filter(biome => !biome.isWater).map(biome => biome.name);
+
+// Room a node needs around it so the drone can sit next to it and mine
+function nodeClearance(type) {
+  return (resourceConfigs[type] || resourceConfigs.default).footprintRadius + DRONE_COLLISION_RADIUS;
+}
+
+// Center and a ring at the node's clearance must all be on `biomes`, so nodes
+// never sit on a shoreline the drone can't reach around
+function isOnBiomes(seed, type, biomes, x, y) {
+  const clearance = nodeClearance(type);
+  const probes = [[0, 0], [clearance, 0], [-clearance, 0], [0, clearance], [0, -clearance]];
+  return probes.every(([dx, dy]) => biomes.includes(classifyWorldPosition(seed, x + dx, y + dy).name));
+}
+
+/**
+ * Generate a node layout from placement rules.
+ * @param {string} areaId - Mixed into the seed so areas sharing a terrain seed differ
+ * @param {{bounds: {x: number, y: number, width: number, height: number}, nodes: Array<object>}} rules
+ * @param {number} seed - Terrain seed the placement is evaluated against
+ * @returns {Array<{id: string, type: string, x: number, y: number}>}
+ */
+export function generateAreaNodes(areaId, rules, seed) {
+  const placed = [];
+  if (!rules || !rules.bounds || !Array.isArray(rules.nodes)) return placed;
+
+  const random = mulberry32((seed ^ hashString(areaId)) >>> 0);
+  const { bounds } = rules;
+  const between = (min, max) => min + random() * (max - min);
+  const counters = new Map(); // type -> next id number
+
+  const isValid = (rule, x, y) => {
+    if (x < bounds.x || y < bounds.y || x > bounds.x + bounds.width || y > bounds.y + bounds.height) return false;
+    if (!isOnBiomes(seed, rule.type, rule.biomes, x, y)) return false;
+    return !placed.some(n => Math.hypot(n.x - x, n.y - y) < rule.minSpacing);
+  };
+
+  const place = (rule, x, y) => {
+    const n = (counters.get(rule.type) || 0) + 1;
+    counters.set(rule.type, n);
+    placed.push({ id: `${rule.type}_${n}`, type: rule.type, x: Math.round(x), y: Math.round(y) });
+  };
+
+  // Random point within `radius` of (cx, cy)
+  const around = (cx, cy, radius) => {
+    const angle = random() * Math.PI * 2;
+    const dist = Math.sqrt(random()) * radius;
+    return { x: cx + Math.cos(angle) * dist, y: cy + Math.sin(angle) * dist };
+  };
+
+  for (const rule of rules.nodes) {
+    const count = Math.round((rule.density * bounds.width * bounds.height) / 1e6);
+    let made = 0;
+    let attempts = count * ATTEMPTS_PER_NODE;
+
+    while (made < count && attempts-- > 0) {
+      let candidate;
+      if (rule.near) {
+        const anchors = placed.filter(n => n.type === rule.near.type);
+        if (anchors.length === 0) break;
+        const anchor = anchors[Math.floor(random() * anchors.length)];
+        candidate = around(anchor.x, anchor.y, rule.near.radius);
+      } else {
+        candidate = { x: between(bounds.x, bounds.x + bounds.width), y: between(bounds.y, bounds.y + bounds.height) };
+      }
+      if (!isValid(rule, candidate.x, candidate.y)) continue;
+      place(rule, candidate.x, candidate.y);
+      made++;
+
+      // Grow a group around the first node of a cluster
+      if (rule.cluster) {
+        const [minSize, maxSize] = rule.cluster.size;
+        const size = minSize + Math.floor(random() * (maxSize - minSize + 1));
+        for (let i = 1; i < size && made < count; i++) {
+          for (let tries = 0; tries < ATTEMPTS_PER_NODE; tries++) {
+            const p = around(candidate.x, candidate.y, rule.cluster.radius);
+            if (!isValid(rule, p.x, p.y)) continue;
+            place(rule, p.x, p.y);
+            made++;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  return placed;
+}
+
+/**
+ * The resource node layout for an area: its hand-placed `resourceNodes` if
+ * the area pins one (e.g. exported from the area editor), otherwise the
+ * layout generated from its `resourceRules` and terrain seed.
+ * @param {string|object} areaOrId - Area id or area definition
+ * @returns {Array<{id: string, type: string, x: number, y: number}>}
+ */
+export function getAreaResourceLayout(areaOrId) {
+  const area = typeof areaOrId === 'string' ? getArea(areaOrId) : areaOrId;
+  if (!area) return [];
+  if (Array.isArray(area.resourceNodes)) {
+    return area.resourceNodes.map(({ id, type, x, y }) => ({ id, type, x, y }));
+  }
+  return generateAreaNodes(area.id, area.resourceRules, getAreaTerrainSeed(area));
+}
+
+/**
+ * Pick a spot for a depleted node's replacement (resourceRespawnRules): a
+ * random point between min/maxDistanceFromOrigin of where it was depleted, on
+ * the biomes its placement rule allows (any land without one) and at least
+ * minNodeSpacing from every other node.
+ * @param {string|object} areaOrId - Area id or area definition
+ * @param {{type: string, fromX: number, fromY: number}} entry - Respawn queue entry
+ * @param {Array<{x: number, y: number}>} nodes - The area's current nodes
+ * @param {() => number} [random=Math.random]
+ * @returns {{x: number, y: number}|null} null when no valid spot was found
+ */
+export function findRespawnPosition(areaOrId, entry, nodes, random = Math.random) {
+  const area = typeof areaOrId === 'string' ? getArea(areaOrId) : areaOrId;
+  const rules = resourceRespawnRules;
+  const seed = getAreaTerrainSeed(area);
+  const rule = (area.resourceRules?.nodes || []).find(r => r.type === entry.type);
+  const biomes = rule ? rule.biomes : LAND_BIOMES;
+  const pad = WORLD_PADDING + nodeClearance(entry.type);
+
+  for (let i = 0; i < rules.attempts; i++) {
+    const angle = random() * Math.PI * 2;
+    const dist = rules.minDistanceFromOrigin + random() * (rules.maxDistanceFromOrigin - rules.minDistanceFromOrigin);
+    const x = Math.round(entry.fromX + Math.cos(angle) * dist);
+    const y = Math.round(entry.fromY + Math.sin(angle) * dist);
+    if (x < pad || y < pad || x > WORLD_WIDTH - pad || y > WORLD_HEIGHT - pad) continue;
+    if (!isOnBiomes(seed, entry.type, biomes, x, y)) continue;
+    if (nodes.some(n => Math.hypot(n.x - x, n.y - y) < rules.minNodeSpacing)) continue;
+    return { x, y };
+  }
+  return null;
+}
+
+/**
+ * Short stable hash of a node layout. Stored as areas/{areaId}/layoutHash so
+ * a layout changed in code is re-synced while depletion state survives
+ * reloads.
+ * @param {Array<{id: string, type: string, x: number, y: number}>} nodes
+ * @returns {string}
+ */
+export function hashLayout(nodes) {
+  const text = JSON.stringify(nodes.map(n => [n.id, n.type, n.x, n.y]));
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h * 33) ^ text.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
@@ -0,0 +1,324 @@
+// src/game/pathfinding.js
+// Grid A* pathfinder for click-to-move.
+// The search runs on a PATH_CELL_SIZE grid over the streamed terrain. A cell
+// is blocked when the drone's collision circle would overlap impassable
+// terrain (per-biome rules, e.g. deep water) or an obstacle footprint
+// (resource nodes, solid decorations) - the same rules collision.js enforces
+// during movement, so planned routes are actually flyable.
+// Searches are bounded to a window around start and goal so cost does not
+// grow with world size.
+
+import { canOccupyTerrain, getObstaclesNear } from './collision.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+import { DRONE_COLLISION_RADIUS, PATH_CELL_SIZE, PATH_SEARCH_MARGIN, PATH_MAX_EXPANDED } from '../utils/constants.js';
+
+const GRID_W = Math.ceil(WORLD_WIDTH / PATH_CELL_SIZE);
+const GRID_H = Math.ceil(WORLD_HEIGHT / PATH_CELL_SIZE);
+
+// 8-way neighbourhood: [dx, dy, cost]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+function toCell(v) {
+  return Math.floor(v / PATH_CELL_SIZE);
+}
+
+function cellCenter(c) {
+  return c * PATH_CELL_SIZE + PATH_CELL_SIZE / 2;
+}
+
+// Octile distance heuristic (admissible for 8-way movement)
+function octile(ax, ay, bx, by) {
+  const dx = Math.abs(ax - bx);
+  const dy = Math.abs(ay - by);
+  return (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy);
+}
+
+// Minimal binary min-heap keyed on `f`
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (a[parent].f <= a[i].f) break;
+      [a[parent], a[i]] = [a[i], a[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length > 0) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].f < a[m].f) m = l;
+        if (r < a.length && a[r].f < a[m].f) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Build a blocked-cell test for a search window.
+ * Obstacles in the window are rasterised once; terrain is sampled lazily per
+ * cell and cached for the lifetime of the search.
+ * @returns {(cx: number, cy: number) => boolean}
+ */
+function createBlockedTest(minCx, minCy, maxCx, maxCy, radius, altitude) {
+  const obstacleCells = new Set();
+  const centerX = (cellCenter(minCx) + cellCenter(maxCx)) / 2;
+  const centerY = (cellCenter(minCy) + cellCenter(maxCy)) / 2;
+  const range = Math.hypot(cellCenter(maxCx) - centerX, cellCenter(maxCy) - centerY) + PATH_CELL_SIZE;
+
+  for (const o of getObstaclesNear(centerX, centerY, range)) {
+    const reach = o.r + radius;
+    const c0x = toCell(o.x - reach);
+    const c1x = toCell(o.x + reach);
+    const c0y = toCell(o.y - reach);
+    const c1y = toCell(o.y + reach);
+    for (let cy = c0y; cy <= c1y; cy++) {
+      for (let cx = c0x; cx <= c1x; cx++) {
+        if (Math.hypot(cellCenter(cx) - o.x, cellCenter(cy) - o.y) < reach) {
+          obstacleCells.add(cy * GRID_W + cx);
+        }
+      }
+    }
+  }
+
+  const terrainCache = new Map();
+  return (cx, cy) => {
+    if (cx < 0 || cy < 0 || cx >= GRID_W || cy >= GRID_H) return true;
+    const idx = cy * GRID_W + cx;
+    if (obstacleCells.has(idx)) return true;
+    let blocked = terrainCache.get(idx);
+    if (blocked === undefined) {
+      blocked = !canOccupyTerrain(cellCenter(cx), cellCenter(cy), radius, altitude);
+      terrainCache.set(idx, blocked);
+    }
+    return blocked;
+  };
+}
+
+// Whether a straight segment only crosses free cells (half-cell sampling)
+function segmentClear(ax, ay, bx, by, isBlocked) {
+  const dist = Math.hypot(bx - ax, by - ay);
+  const steps = Math.max(1, Math.ceil(dist / (PATH_CELL_SIZE / 2)));
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    if (isBlocked(toCell(ax + (bx - ax) * t), toCell(ay + (by - ay) * t))) return false;
+  }
+  return true;
+}
+
+// Find the free cell nearest to (cx, cy) within `maxRing` rings, or null
+function nearestFreeCell(cx, cy, maxRing, isBlocked) {
+  if (!isBlocked(cx, cy)) return { cx, cy };
+  for (let ring = 1; ring <= maxRing; ring++) {
+    let best = null;
+    let bestD = Infinity;
+    for (let dy = -ring; dy <= ring; dy++) {
+      for (let dx = -ring; dx <= ring; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+        if (isBlocked(cx + dx, cy + dy)) continue;
+        const d = dx * dx + dy * dy;
+        if (d < bestD) { bestD = d; best = { cx: cx + dx, cy: cy + dy }; }
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+/**
+ * Plan a route from start to goal around impassable terrain and obstacles.
+ * If the goal itself is blocked (e.g. a resource node's footprint or deep
+ * water) the route ends at the nearest free cell. If the goal cannot be
+ * reached within the search budget the route ends at the explored cell
+ * closest to it, so the drone still makes progress.
+ * @param {number} startX
+ * @param {number} startY
+ * @param {number} goalX
+ * @param {number} goalY
+ * @param {object} [options]
+ * @param {number} [options.radius=DRONE_COLLISION_RADIUS] - Entity collision radius
+ * @param {number} [options.altitude=0] - Entity hover height for terrain rules
+ * @returns {{waypoints: Array<{x: number, y: number}>, complete: boolean}|null}
+ *   Smoothed waypoints (excluding the start), whether the exact goal is reached,
+ *   or null if no progress is possible.
+ */
+export function findPath(startX, startY, goalX, goalY, options = {}) {
+  const radius = options.radius ?? DRONE_COLLISION_RADIUS;
+  const altitude = options.altitude ?? 0;
+
+  const sx = toCell(startX);
+  const sy = toCell(startY);
+  let gx = toCell(goalX);
+  let gy = toCell(goalY);
+
+  const minCx = Math.max(0, Math.min(sx, gx) - PATH_SEARCH_MARGIN);
+  const minCy = Math.max(0, Math.min(sy, gy) - PATH_SEARCH_MARGIN);
+  const maxCx = Math.min(GRID_W - 1, Math.max(sx, gx) + PATH_SEARCH_MARGIN);
+  const maxCy = Math.min(GRID_H - 1, Math.max(sy, gy) + PATH_SEARCH_MARGIN);
+  const worldBlocked = createBlockedTest(minCx, minCy, maxCx, maxCy, radius, altitude);
+  // The start cell is always enterable so a drone brushing an obstacle can leave it
+  const isBlocked = (cx, cy) => {
+    if (cx < minCx || cy < minCy || cx > maxCx || cy > maxCy) return true;
+    if (cx === sx && cy === sy) return false;
+    return worldBlocked(cx, cy);
+  };
+
+  // Redirect a blocked goal to the closest free cell
+  let goalIsExact = true;
+  if (isBlocked(gx, gy)) {
+    const free = nearestFreeCell(gx, gy, PATH_SEARCH_MARGIN, isBlocked);
+    if (!free) return null;
+    gx = free.cx;
+    gy = free.cy;
+    goalIsExact = false;
+  }
+
+  // Straight line is clear: skip the search entirely
+  const endX = goalIsExact ? goalX : cellCenter(gx);
+  const endY = goalIsExact ? goalY : cellCenter(gy);
+  if (segmentClear(startX, startY, endX, endY, isBlocked)) {
+    return { waypoints: [{ x: endX, y: endY }], complete: goalIsExact };
+  }
+
+  // --- A* ---
+  const key = (cx, cy) => cy * GRID_W + cx;
+  const open = new MinHeap();
+  const gScore = new Map();
+  const cameFrom = new Map();
+  const closed = new Set();
+
+  const startKey = key(sx, sy);
+  gScore.set(startKey, 0);
+  open.push({ cx: sx, cy: sy, f: octile(sx, sy, gx, gy) });
+
+  let bestKey = startKey;
+  let bestH = octile(sx, sy, gx, gy);
+  let found = false;
+  let expanded = 0;
+
+  while (open.size > 0 && expanded < PATH_MAX_EXPANDED) {
+    const cur = open.pop();
+    const curKey = key(cur.cx, cur.cy);
+    if (closed.has(curKey)) continue;
+    closed.add(curKey);
+    expanded++;
+
+    if (cur.cx === gx && cur.cy === gy) {
+      bestKey = curKey;
+      found = true;
+      break;
+    }
+
+    const h = octile(cur.cx, cur.cy, gx, gy);
+    if (h < bestH) { bestH = h; bestKey = curKey; }
+
+    const curG = gScore.get(curKey);
+    for (const [dx, dy, cost] of NEIGHBOURS) {
+      const nx = cur.cx + dx;
+      const ny = cur.cy + dy;
+      if (isBlocked(nx, ny)) continue;
+      // No corner cutting: diagonal moves need both orthogonal cells free
+      if (dx !== 0 && dy !== 0 && (isBlocked(cur.cx + dx, cur.cy) || isBlocked(cur.cx, cur.cy + dy))) continue;
+
+      const nKey = key(nx, ny);
+      if (closed.has(nKey)) continue;
+      const tentative = curG + cost;
+      if (tentative < (gScore.get(nKey) ?? Infinity)) {
+        gScore.set(nKey, tentative);
+        cameFrom.set(nKey, curKey);
+        open.push({ cx: nx, cy: ny, f: tentative + octile(nx, ny, gx, gy) });
+      }
+    }
+  }
+
+  if (bestKey === startKey) return null;
+
+  // Reconstruct cell path (goal -> start), then convert to world points
+  const cells = [];
+  for (let k = bestKey; k !== undefined && k !== startKey; k = cameFrom.get(k)) {
+    cells.push({ x: cellCenter(k % GRID_W), y: cellCenter(Math.floor(k / GRID_W)) });
+  }
+  cells.reverse();
+  const complete = found && goalIsExact;
+  if (complete) cells[cells.length - 1] = { x: goalX, y: goalY };
+
+  // String-pulling: drop waypoints that are visible from the previous anchor
+  const waypoints = [];
+  let anchorX = startX;
+  let anchorY = startY;
+  for (let i = 0; i < cells.length; i++) {
+    const next = cells[i + 1];
+    if (next && segmentClear(anchorX, anchorY, next.x, next.y, isBlocked)) continue;
+    waypoints.push(cells[i]);
+    anchorX = cells[i].x;
+    anchorY = cells[i].y;
+  }
+
+  return { waypoints, complete };
+}
+
+/**
+ * Whether the remaining route from (x, y) through `waypoints` is still clear.
+ * Used to detect routes blocked by newly spawned nodes or streamed terrain.
+ * @param {number} x - Current position
+ * @param {number} y
+ * @param {Array<{x: number, y: number}>} waypoints
+ * @param {object} [options] - Same as findPath
+ * @returns {boolean}
+ */
+export function isRouteClear(x, y, waypoints, options = {}) {
+  if (!waypoints || waypoints.length === 0) return true;
+  const radius = options.radius ?? DRONE_COLLISION_RADIUS;
+  const altitude = options.altitude ?? 0;
+
+  let minX = x, minY = y, maxX = x, maxY = y;
+  for (const w of waypoints) {
+    minX = Math.min(minX, w.x); minY = Math.min(minY, w.y);
+    maxX = Math.max(maxX, w.x); maxY = Math.max(maxY, w.y);
+  }
+  const startCx = toCell(x);
+  const startCy = toCell(y);
+  const worldBlocked = createBlockedTest(toCell(minX) - 1, toCell(minY) - 1, toCell(maxX) + 1, toCell(maxY) + 1, radius, altitude);
+  const isBlocked = (cx, cy) => !(cx === startCx && cy === startCy) && worldBlocked(cx, cy);
+
+  let ax = x;
+  let ay = y;
+  for (let i = 0; i < waypoints.length; i++) {
+    const w = waypoints[i];
+    // The final waypoint may legitimately sit on a blocked goal cell edge;
+    // only the segments leading to it have to be free
+    const isLast = i === waypoints.length - 1;
+    const bx = isLast ? ax + (w.x - ax) * 0.9 : w.x;
+    const by = isLast ? ay + (w.y - ay) * 0.9 : w.y;
+    if (!segmentClear(ax, ay, bx, by, isBlocked)) return false;
+    ax = w.x;
+    ay = w.y;
+  }
+  return true;
+}
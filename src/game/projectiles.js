@@ -188,7 +188,7 @@ export function updateProjectiles(dt) {
                 // AI: Apply damage for local projectiles (shooter's projectiles)
                 if (p.isLocal) {
                     // Send authoritative guaranteed-hit to server
-                    sendGuaranteedHit('beach', targetEnemy.id, p.playerId, DAMAGE_PER_HIT)
+                    sendGuaranteedHit(game.areaId, targetEnemy.id, p.playerId, DAMAGE_PER_HIT)
                       .then((res) => {
                           // play local hit feedback
                           playEnemyHitSound();
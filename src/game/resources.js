@@ -8,21 +8,115 @@ import { highlightManager } from './highlightManager.js';
 import { isInWater } from './world.js';
 // AI: Added 'onValue' to create a single, robust listener for resource node data.
 import { randi } from '../utils/math.js';
-import { database } from '../utils/firebaseClient.js';
-import { ref, get, set, update, runTransaction, serverTimestamp, onValue } from 'firebase/database';
-import { areaData } from '../data/areaData.js';
-import { resourceConfigs } from '../data/resourceConfigs.js';
+import { database, auth } from '../utils/firebaseClient.js';
+import { ref, update, remove, onValue, onChildAdded } from 'firebase/database';
+import { sendActionRequest } from '../services/actionService.js';
+import { applyGrantedItem } from '../ui/inventory.js';
+import { showItemPickupMessage } from './groundItemUI.js';
+import { playPickupSound } from '../utils/sfx.js';
+import { hashLayout } from './nodePlacement.js';
+import { resourceConfigs, harvestRules } from '../data/resourceConfigs.js';
+import { items, itemsById } from '../data/content.js';
+import { experienceManager } from './experienceManager.js';
+import { inventoryManager } from './inventoryManager.js';
+import { equipmentManager } from './equipmentManager.js';
 
 export function getResourceConfig(type) {
   return resourceConfigs[type] || resourceConfigs.default;
 }
 
+/**
+ * The local player's level in a skill and best tier of a tool kind.
+ * Tools count while they are anywhere in the inventory (the server applies
+ * the same rule when it validates a harvest).
+ * @param {string} skill - Skill name (e.g. 'mining')
+ * @param {string} tool - Tool kind (e.g. 'pickaxe')
+ * @returns {{level: number, toolTier: number}}
+ */
+export function getPlayerHarvestStats(skill, tool) {
+  const level = experienceManager.skills[skill]?.level || 1;
+  let toolTier = 0;
+  for (const slot of inventoryManager.getInventory()) {
+    const def = slot ? itemsById[slot.itemId] : null;
+    if (def && def.tool === tool) toolTier = Math.max(toolTier, def.toolTier || 0);
+  }
+  return { level, toolTier };
+}
+
+/**
+ * Why the local player can't harvest a node type yet.
+ * @param {string} type - Resource node type
+ * @returns {string|null} Player-facing reason, or null when it can be harvested
+ */
+export function getHarvestBlocker(type) {
+  const cfg = getResourceConfig(type);
+  const { level, toolTier } = getPlayerHarvestStats(cfg.skill, cfg.tool);
+  if (level < (cfg.minLevel || 1)) {
+    const skillName = cfg.skill.charAt(0).toUpperCase() + cfg.skill.slice(1);
+    return `Requires ${skillName} level ${cfg.minLevel}`;
+  }
+  if (toolTier < (cfg.toolTier || 0)) {
+    // Name the weakest tool that is good enough
+    const tool = items
+      .filter(item => item.tool === cfg.tool && (item.toolTier || 0) >= cfg.toolTier)
+      .sort((a, b) => a.toolTier - b.toolTier)[0];
+    return `Requires ${tool ? tool.name : `a tier ${cfg.toolTier} ${cfg.tool}`}`;
+  }
+  return null;
+}
+
+/**
+ * Cycle length and cycles per drop for the local player on a node type,
+ * scaled by tool tier and skill level above the node's requirements and by
+ * the stat sheet's miningSpeed (see `harvest` in resourceConfigs.json;
+ * mirrored by the harvest function).
+ * @param {string} type - Resource node type
+ * @param {number} [miningSpeed] - Defaults to the equipped stat sheet's value
+ * @returns {{cycleMs: number, cyclesNeeded: number}}
+ */
+export function getHarvestTiming(type, miningSpeed = equipmentManager.getStats().miningSpeed) {
+  const cfg = getResourceConfig(type);
+  const { level, toolTier } = getPlayerHarvestStats(cfg.skill, cfg.tool);
+  const extraTiers = Math.max(0, toolTier - (cfg.toolTier || 0));
+  const extraLevels = Math.max(0, level - (cfg.minLevel || 1));
+  const factor = Math.max(
+    harvestRules.minCycleFactor,
+    1 - extraTiers * harvestRules.toolCycleSpeedup - extraLevels * harvestRules.levelCycleSpeedup - (miningSpeed || 0)
+  );
+  return {
+    cycleMs: Math.round((cfg.cycleMs || 1700) * factor),
+    cyclesNeeded: Math.max(1, (cfg.cyclesNeeded || 1) - Math.floor(extraTiers / harvestRules.toolTiersPerCycleSaved)),
+  };
+}
+
+/**
+ * Roll a fresh node's item budget from its resource config.
+ * @param {string} type - Resource node type
+ * @returns {number}
+ */
+export function rollNodeYield(type) {
+  const cfg = getResourceConfig(type);
+  const min = cfg.yieldMin || 1;
+  return randi(min, Math.max(min, cfg.yieldMax || min));
+}
+
 export function drawResourceNodes() {
-  const { ctx } = game;
   if (!game.resourceNodes || game.resourceNodes.length === 0) {
     return;
   }
-  
+  for (const node of game.resourceNodes) {
+    drawResourceNode(node);
+  }
+}
+
+/**
+ * Draw a single resource node (icon, highlight outline and harvest progress).
+ * Exposed separately so the main loop can depth-sort nodes against players
+ * and decorations. Expects the camera transform to already be applied.
+ * @param {object} node - Resource node from game.resourceNodes
+ */
+export function drawResourceNode(node) {
+  const { ctx } = game;
   const iconScale = 2.0; // Larger scale for resource nodes
   const iconSize = 12 * iconScale; // 24px
   // Tiny progress bar config (cute bar above the node)
@@ -32,163 +126,192 @@ export function drawResourceNodes() {
   const barRadius = 1;
   const interactionRadius = 24;
 
-  for (const node of game.resourceNodes) {
-    const t = node.type;
-    // AI: The displayType mapping has been removed to directly use the node's type.
-    // This ensures that 'sandstone' and 'stone_deposit' are rendered with their correct icons.
-    
-    // Center icon on node.x,node.y
-    const halfSize = iconSize / 2;
-    // Add simple 3D shading by drawing a subtle highlight and extra shadow layers
-    const baseX = Math.round(node.x) - halfSize;
-    const baseY = Math.round(node.y) - halfSize;
-
-    // Draw subtle ambient occlusion below the node
-    ctx.beginPath();
-    ctx.ellipse(node.x, node.y + halfSize * 0.6, halfSize * 0.9, halfSize * 0.3, 0, 0, Math.PI * 2);
-    ctx.fillStyle = 'rgba(0,0,0,0.12)';
-    ctx.fill();
+  const t = node.type;
+  // AI: The displayType mapping has been removed to directly use the node's type.
+  // This ensures that 'sandstone' and 'stone_deposit' are rendered with their correct icons.
+  
+  // Center icon on node.x,node.y
+  const halfSize = iconSize / 2;
+  // Add simple 3D shading by drawing a subtle highlight and extra shadow layers
+  const baseX = Math.round(node.x) - halfSize;
+  const baseY = Math.round(node.y) - halfSize;
+
+  // Draw subtle ambient occlusion below the node
+  ctx.beginPath();
+  ctx.ellipse(node.x, node.y + halfSize * 0.6, halfSize * 0.9, halfSize * 0.3, 0, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(0,0,0,0.12)';
+  ctx.fill();
+
+  // Slight rim highlight (top-left) to give volume
+  ctx.beginPath();
+  ctx.ellipse(node.x - halfSize * 0.25, node.y - halfSize * 0.25, halfSize * 0.9, halfSize * 0.45, 0, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(255,255,255,0.03)';
+  ctx.fill();
+
+  // AI: The drawPixelIcon function returns a mask of the icon's pixels.
+  const mask = drawPixelIcon(ctx, t, baseX, baseY, {
+    outline: false,
+    scale: iconScale,
+    shadow: false // we've drawn custom shadow/highlight
+  });
 
-    // Slight rim highlight (top-left) to give volume
-    ctx.beginPath();
-    ctx.ellipse(node.x - halfSize * 0.25, node.y - halfSize * 0.25, halfSize * 0.9, halfSize * 0.45, 0, 0, Math.PI * 2);
-    ctx.fillStyle = 'rgba(255,255,255,0.03)';
-    ctx.fill();
+  // Check if this resource node is currently highlighted using the highlight manager
+  // This provides canvas-based highlighting without DOM dependencies
+  if (highlightManager.isHighlighted(node)) {
+    drawOutline(ctx, baseX, baseY, iconScale, mask);
+  }
 
-    // AI: The drawPixelIcon function returns a mask of the icon's pixels.
-    const mask = drawPixelIcon(ctx, t, baseX, baseY, {
-      outline: false,
-      scale: iconScale,
-      shadow: false // we've drawn custom shadow/highlight
-    });
+  // Draw a top-light to simulate sun from top-left
+  ctx.save();
+  // Clip to icon mask to avoid painting outside
+  const px = baseX, py = baseY, ps = 12 * iconScale;
+  ctx.beginPath();
+  // Create clip from mask pixels (fast approx: use rounded rect around icon)
+  ctx.rect(px, py, ps, ps);
+  ctx.clip();
+  // Gradient highlight
+  const grad = ctx.createLinearGradient(px, py, px + ps, py + ps);
+  grad.addColorStop(0, 'rgba(255,255,255,0.06)');
+  grad.addColorStop(0.6, 'rgba(255,255,255,0.00)');
+  ctx.fillStyle = grad;
+  ctx.fillRect(px, py, ps, ps);
+  ctx.restore();
 
-    // Check if this resource node is currently highlighted using the highlight manager
-    // This provides canvas-based highlighting without DOM dependencies
-    if (highlightManager.isHighlighted(node)) {
-      drawOutline(ctx, baseX, baseY, iconScale, mask);
-    }
 
-    // Draw a top-light to simulate sun from top-left
-    ctx.save();
-    // Clip to icon mask to avoid painting outside
-    const px = baseX, py = baseY, ps = 12 * iconScale;
-    ctx.beginPath();
-    // Create clip from mask pixels (fast approx: use rounded rect around icon)
-    ctx.rect(px, py, ps, ps);
-    ctx.clip();
-    // Gradient highlight
-    const grad = ctx.createLinearGradient(px, py, px + ps, py + ps);
-    grad.addColorStop(0, 'rgba(255,255,255,0.06)');
-    grad.addColorStop(0.6, 'rgba(255,255,255,0.00)');
-    ctx.fillStyle = grad;
-    ctx.fillRect(px, py, ps, ps);
-    ctx.restore();
-
-
-    
-    // Active harvesting glow effect
-    if (node.active) {
-      // const t = (performance.now() / 600) % 1;
-      // const alpha = 0.4 + 0.3 * Math.sin(t * Math.PI * 2);
-      // ctx.strokeStyle = `rgba(34,211,238,${alpha})`;
-      // ctx.lineWidth = 2;
-      // const r = Math.round(halfSize + 3);
-      // ctx.strokeRect(Math.round(node.x - r), Math.round(node.y - r), r * 2, r * 2);
-    }
+  
+  // Active harvesting glow effect
+  if (node.active) {
+    // const t = (performance.now() / 600) % 1;
+    // const alpha = 0.4 + 0.3 * Math.sin(t * Math.PI * 2);
+    // ctx.strokeStyle = `rgba(34,211,238,${alpha})`;
+    // ctx.lineWidth = 2;
+    // const r = Math.round(halfSize + 3);
+    // ctx.strokeRect(Math.round(node.x - r), Math.round(node.y - r), r * 2, r * 2);
+  }
 
-    // Show progress bar when actively harvesting
-    if (node.active) {
-      // Look up per-resource timing configuration
-      const cfg = getResourceConfig(node.type || 'default');
-      const duration = (cfg.cycleMs || 1700) / 1000; // seconds per harvest cycle
+  // Show progress bar when actively harvesting
+  if (node.active) {
+    // Per-resource timing, scaled by the player's tool and skill level
+    const timing = getHarvestTiming(node.type || 'default');
+    const duration = timing.cycleMs / 1000; // seconds per harvest cycle
 
-      // Determine how many cycles are required for this node type
-      const cyclesNeeded = cfg.cyclesNeeded || 1;
+    // Determine how many cycles are required for this node type
+    const cyclesNeeded = timing.cyclesNeeded;
 
-      // Progress within the current visual cycle (0..1)
-      const cycleProgress = Math.max(0, Math.min(1, (node.t || 0) / duration));
+    // Progress within the current visual cycle (0..1)
+    const cycleProgress = Math.max(0, Math.min(1, (node.t || 0) / duration));
 
-      // Only completed cycles contribute to the overall progress bar. The
-      // overall/top bar should NOT interpolate during the current cycle; it
-      // should step when a cycle completes. Use harvestProgress (completed cycles)
-      // to compute the overall progress.
-      const completedCycles = node.harvestProgress || 0;
-      const totalProgress = Math.max(0, Math.min(1, (completedCycles) / cyclesNeeded));
+    // Only completed cycles contribute to the overall progress bar. The
+    // overall/top bar should NOT interpolate during the current cycle; it
+    // should step when a cycle completes. Use harvestProgress (completed cycles)
+    // to compute the overall progress.
+    const completedCycles = node.harvestProgress || 0;
+    const totalProgress = Math.max(0, Math.min(1, (completedCycles) / cyclesNeeded));
 
-      const bx = Math.round(node.x - barWidth / 2);
-      const by = Math.round(node.y - halfSize - 8);
+    const bx = Math.round(node.x - barWidth / 2);
+    const by = Math.round(node.y - halfSize - 8);
 
-      // Track (background)
-      ctx.beginPath();
-      ctx.moveTo(bx + barRadius, by);
-      ctx.lineTo(bx + barWidth - barRadius, by);
-      ctx.quadraticCurveTo(bx + barWidth, by, bx + barWidth, by + barRadius);
-      ctx.lineTo(bx + barWidth, by + barHeight - barRadius);
-      ctx.quadraticCurveTo(bx + barWidth, by + barHeight, bx + barWidth - barRadius, by + barHeight);
-      ctx.lineTo(bx + barRadius, by + barHeight);
-      ctx.quadraticCurveTo(bx, by + barHeight, bx, by + barHeight - barRadius);
-      ctx.lineTo(bx, by + barRadius);
-      ctx.quadraticCurveTo(bx, by, bx + barRadius, by);
-      ctx.closePath();
-      ctx.fillStyle = 'rgba(15,23,42,0.6)';
-      ctx.fill();
-      ctx.strokeStyle = 'rgba(56,189,248,0.85)';
-      ctx.lineWidth = 1;
-      ctx.stroke();
-      // Draw an overall progress indicator (multi-cycle progress).
-      // This is a thin bar above the main cycle bar that fills according to
-      // totalProgress (completedCycles + current cycle) / cyclesNeeded.
-      const overallBarHeight = 3;
-      // Place overall bar directly above the main cycle bar (no extra gap)
-      const overallBy = by - overallBarHeight; 
-      const overallFx = bx + 1;
-      const overallFy = overallBy + 1;
-      const overallFw = Math.max(0, Math.min(barWidth - 2, Math.floor((barWidth - 2) * totalProgress)));
-      // Background for overall bar
+    // Track (background)
+    ctx.beginPath();
+    ctx.moveTo(bx + barRadius, by);
+    ctx.lineTo(bx + barWidth - barRadius, by);
+    ctx.quadraticCurveTo(bx + barWidth, by, bx + barWidth, by + barRadius);
+    ctx.lineTo(bx + barWidth, by + barHeight - barRadius);
+    ctx.quadraticCurveTo(bx + barWidth, by + barHeight, bx + barWidth - barRadius, by + barHeight);
+    ctx.lineTo(bx + barRadius, by + barHeight);
+    ctx.quadraticCurveTo(bx, by + barHeight, bx, by + barHeight - barRadius);
+    ctx.lineTo(bx, by + barRadius);
+    ctx.quadraticCurveTo(bx, by, bx + barRadius, by);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(15,23,42,0.6)';
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(56,189,248,0.85)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    // Draw an overall progress indicator (multi-cycle progress).
+    // This is a thin bar above the main cycle bar that fills according to
+    // totalProgress (completedCycles + current cycle) / cyclesNeeded.
+    const overallBarHeight = 3;
+    // Place overall bar directly above the main cycle bar (no extra gap)
+    const overallBy = by - overallBarHeight; 
+    const overallFx = bx + 1;
+    const overallFy = overallBy + 1;
+    const overallFw = Math.max(0, Math.min(barWidth - 2, Math.floor((barWidth - 2) * totalProgress)));
+    // Background for overall bar
+    ctx.beginPath();
+    ctx.moveTo(bx + barRadius, overallBy);
+    ctx.lineTo(bx + barWidth - barRadius, overallBy);
+    ctx.quadraticCurveTo(bx + barWidth, overallBy, bx + barWidth, overallBy + barRadius);
+    ctx.lineTo(bx + barWidth, overallBy + overallBarHeight - barRadius);
+    ctx.quadraticCurveTo(bx + barWidth, overallBy + overallBarHeight, bx + barWidth - barRadius, overallBy + overallBarHeight);
+    ctx.lineTo(bx + barRadius, overallBy + overallBarHeight);
+    ctx.quadraticCurveTo(bx, overallBy + overallBarHeight, bx, overallBy + overallBarHeight - barRadius);
+    ctx.lineTo(bx, overallBy + barRadius);
+    ctx.quadraticCurveTo(bx, overallBy, bx + barRadius, overallBy);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(2,6,23,0.6)';
+    ctx.fill();
+    // Fill overall progress
+    if (overallFw > 0) {
+      ctx.fillStyle = 'rgba(99,102,241,0.95)'; // indigo-ish for overall progress
+      ctx.fillRect(overallFx, overallFy, overallFw, overallBarHeight - 2);
+    }
+
+    // Fill (current cycle progress) - visually larger main bar
+    const prog = cycleProgress; // show current cycle progress inside main bar
+    if (prog > 0) {
+      const fx = bx + 1;
+      const fy = by + 1;
+      const fw = Math.max(0, Math.min(barWidth - 2, Math.floor((barWidth - 2) * prog)));
+      const fh = barHeight - 2;
+      const rr = Math.max(0, barRadius - 1);
       ctx.beginPath();
-      ctx.moveTo(bx + barRadius, overallBy);
-      ctx.lineTo(bx + barWidth - barRadius, overallBy);
-      ctx.quadraticCurveTo(bx + barWidth, overallBy, bx + barWidth, overallBy + barRadius);
-      ctx.lineTo(bx + barWidth, overallBy + overallBarHeight - barRadius);
-      ctx.quadraticCurveTo(bx + barWidth, overallBy + overallBarHeight, bx + barWidth - barRadius, overallBy + overallBarHeight);
-      ctx.lineTo(bx + barRadius, overallBy + overallBarHeight);
-      ctx.quadraticCurveTo(bx, overallBy + overallBarHeight, bx, overallBy + overallBarHeight - barRadius);
-      ctx.lineTo(bx, overallBy + barRadius);
-      ctx.quadraticCurveTo(bx, overallBy, bx + barRadius, overallBy);
+      ctx.moveTo(fx + rr, fy);
+      ctx.lineTo(fx + fw - rr, fy);
+      ctx.quadraticCurveTo(fx + fw, fy, fx + fw, fy + rr);
+      ctx.lineTo(fx + fw, fy + fh - rr);
+      ctx.quadraticCurveTo(fx + fw, fy + fh, fx + fw - rr, fy + fh);
+      ctx.lineTo(fx + rr, fy + fh);
+      ctx.quadraticCurveTo(fx, fy + fh, fx, fy + fh - rr);
+      ctx.lineTo(fx, fy + rr);
+      ctx.quadraticCurveTo(fx, fy, fx + rr, fy);
       ctx.closePath();
-      ctx.fillStyle = 'rgba(2,6,23,0.6)';
+      // Yellow progress bar for cycle
+      ctx.fillStyle = 'rgba(251,191,36,0.95)'; // amber-400
       ctx.fill();
-      // Fill overall progress
-      if (overallFw > 0) {
-        ctx.fillStyle = 'rgba(99,102,241,0.95)'; // indigo-ish for overall progress
-        ctx.fillRect(overallFx, overallFy, overallFw, overallBarHeight - 2);
-      }
-
-      // Fill (current cycle progress) - visually larger main bar
-      const prog = cycleProgress; // show current cycle progress inside main bar
-      if (prog > 0) {
-        const fx = bx + 1;
-        const fy = by + 1;
-        const fw = Math.max(0, Math.min(barWidth - 2, Math.floor((barWidth - 2) * prog)));
-        const fh = barHeight - 2;
-        const rr = Math.max(0, barRadius - 1);
-        ctx.beginPath();
-        ctx.moveTo(fx + rr, fy);
-        ctx.lineTo(fx + fw - rr, fy);
-        ctx.quadraticCurveTo(fx + fw, fy, fx + fw, fy + rr);
-        ctx.lineTo(fx + fw, fy + fh - rr);
-        ctx.quadraticCurveTo(fx + fw, fy + fh, fx + fw - rr, fy + fh);
-        ctx.lineTo(fx + rr, fy + fh);
-        ctx.quadraticCurveTo(fx, fy + fh, fx, fy + fh - rr);
-        ctx.lineTo(fx, fy + rr);
-        ctx.quadraticCurveTo(fx, fy, fx + rr, fy);
-        ctx.closePath();
-        // Yellow progress bar for cycle
-        ctx.fillStyle = 'rgba(251,191,36,0.95)'; // amber-400
-        ctx.fill();
-      }
     }
   }
+
+  // Tooltip while hovered, or briefly after a refused mining attempt
+  if (highlightManager.isHighlighted(node) || (node.blockedNoticeUntil && Date.now() < node.blockedNoticeUntil)) {
+    drawNodeTooltip(ctx, node, baseY);
+  }
+}
+
+// Hover tooltip above a node: its name, plus (in red) why the player can't
+// harvest it yet. `top` is the node icon's top edge in world pixels.
+function drawNodeTooltip(ctx, node, top) {
+  const cfg = getResourceConfig(node.type);
+  const blocker = getHarvestBlocker(node.type);
+  const lines = [cfg.name || node.type];
+  if (blocker) lines.push(blocker);
+
+  ctx.save();
+  ctx.font = 'bold 10px Arial';
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 10;
+  const height = lines.length * 12 + 4;
+  // Sit above the harvest progress bars
+  const x = Math.round(node.x - width / 2);
+  const y = Math.round(top - 14 - height);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.fillRect(x, y, width, height);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 0 ? '#fff' : '#f87171';
+    ctx.fillText(line, node.x, y + 8 + i * 12);
+  });
+  ctx.restore();
 }
 
 export function spawnResourceNode(type) {
@@ -223,87 +346,117 @@ export function spawnIdleNode(type = 'sand_mound') {
   game.idleNodes.push({ x, y, type, active: false, t: 0 });
 }
 
-export async function harvestNode(areaId, nodeId, uid, cooldownMs) {
-  // AI: Enhanced harvest with multi-cycle support for specific node types.
-  // Returns an object { committed, dropped, snapshot } where `dropped` is true
-  // only when the node produced an item for this harvest call.
-  const nodeRef = ref(database, `areas/${areaId}/resources/${nodeId}`);
-  const now = Date.now();
-
-  const res = await runTransaction(nodeRef, (node) => {
-    if (!node) {
-      // Initialize node if missing
-      return {
-        type: 'wood',
-        harvestProgress: 0,
-        cooldownUntil: 0,
-        lastHarvested: 0,
-        lastHarvestedBy: null,
-      };
-    }
-
-    // Abort if still cooling down
-    if (node.cooldownUntil && now < node.cooldownUntil) {
-      return node; // no-op -> transaction not committed
-    }
-
-    // Determine cycles needed using centralized config so server & client agree
-    const cfg = getResourceConfig(node.type || 'default');
-    const cyclesNeeded = cfg.cyclesNeeded || 1;
-
-    // Increment progress (treat harvestProgress as completed cycles count)
-    const progress = (node.harvestProgress || 0) + 1;
+/**
+ * Ask the server to run one harvest cycle on a node.
+ * The request is written to actions/harvestRequests/{areaId} and handled by
+ * the handleHarvestRequest Cloud Function, which checks range and pacing,
+ * adds the cycle to the node's shared harvest progress (removing it and
+ * queueing a respawn when its yield runs out) and grants the drop and
+ * experience. When several players mined the node, the drop is split by
+ * cycles contributed (`contributors` is how many shared it); `items` and
+ * `xp` are this player's share, the others get theirs through
+ * subscribeHarvestShares. Items come from the node's loot table (see
+ * loot.js), with `bonus` set on rare extras.
+ * @param {string} areaId
+ * @param {string} nodeId
+ * @param {string} uid
+ * @returns {Promise<{success: boolean, dropped?: boolean, depleted?: boolean, seed?: string, contributors?: number, items?: Array<{type: string, count: number, bonus: boolean}>, inventoryFull?: boolean, xp?: {skill: string, amount: number}|null, error?: string}>}
+ *   Resolves with the server's result; rejects when no result arrives in time
+ */
+export function harvestNode(areaId, nodeId, uid) {
+  return sendActionRequest('harvest', areaId, { nodeId, uid }, harvestRules.resultTimeoutMs);
+}
 
-    if (progress < cyclesNeeded) {
-      // Not ready yet: increment progress and persist progress only.
-      // Do NOT set a cooldown so subsequent cycles can occur naturally.
-      node.harvestProgress = progress;
-      return node;
+/**
+ * Mirror a harvest grant (own result or a cooperative share) that the server
+ * already saved: add the items locally, call out rare extras and apply XP.
+ * @param {{items?: Array<{type: string, count: number, bonus: boolean}>, xp?: {skill: string, amount: number}|null}} grant
+ * @param {number} x - World position for pickup messages (the node)
+ * @param {number} y
+ * @param {boolean} [announceAll=false] - Show a message for every item, not just bonus ones
+ * @returns {boolean} Whether any item was added
+ */
+export function applyHarvestGrant(grant, x, y, announceAll = false) {
+  let added = false;
+  for (const item of grant.items || []) {
+    if (item.count > 0 && applyGrantedItem(item.type, item.count, item.instances || null)) {
+      added = true;
+      // Call out rare loot table extras (gems, fossils, ...)
+      if (announceAll || item.bonus) showItemPickupMessage(item.type, item.count, x, y);
     }
+  }
+  if (grant.xp) experienceManager.applyGrantedExp(grant.xp.skill, grant.xp.amount);
+  return added;
+}
 
-    // Ready to drop: reset progress, record harvest metadata and set cooldown
-    node.harvestProgress = 0;
-    node.lastHarvested = serverTimestamp();
-    node.lastHarvestedBy = uid;
-    // Use cfg cycle duration for cooldown if provided (fallback to provided cooldownMs)
-    const cooldownToUse = cfg.cycleMs || cooldownMs;
-    node.cooldownUntil = now + (cooldownToUse || cooldownMs);
-    return node;
+/**
+ * Receive shares of drops this player helped mine but someone else finished.
+ * The server writes them to actions/harvestShares/{areaId}/{uid}; each one is
+ * mirrored once and then removed.
+ * @param {string} areaId
+ * @returns {function} Unsubscribe
+ */
+export function subscribeHarvestShares(areaId) {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return () => {};
+  const base = ref(database, `actions/harvestShares/${areaId}/${uid}`);
+  return onChildAdded(base, (snap) => {
+    const share = snap.val();
+    remove(snap.ref).catch(() => {});
+    if (share && applyHarvestGrant(share, share.x, share.y, true)) playPickupSound();
   });
+}
 
-  const snapshotVal = res && res.snapshot ? res.snapshot.val() : null;
-  // Dropped if transaction committed and the progress was reset and the lastHarvestedBy matches requester
-  const dropped = !!(res.committed && snapshotVal && snapshotVal.harvestProgress === 0 && snapshotVal.lastHarvestedBy === uid);
-  return { committed: !!res.committed, dropped, snapshot: snapshotVal };
+/**
+ * Make sure an area's resource layout is in RTDB before subscribing to it.
+ * The seed Cloud Function writes the layout generated from the area's rules
+ * in `areaData.js` whenever that layout changes, keeping the code the single
+ * source of truth for resource locations; an unchanged layout is left alone
+ * so depleted/respawned nodes persist between sessions. Never throws: without
+ * an answer the area just shows whatever nodes are already stored.
+ * @param {string} areaId
+ * @returns {Promise<void>}
+ */
+export async function ensureAreaSeeded(areaId) {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return;
+  try {
+    const res = await sendActionRequest('seed', areaId, { uid }, harvestRules.resultTimeoutMs);
+    if (!res.success) console.warn(`Resource layout sync for ${areaId} failed:`, res.error);
+  } catch (error) {
+    console.warn(`Resource layout sync for ${areaId} failed:`, error?.message || error);
+  }
 }
 
-  export function ensureAreaSeeded(areaId) {
-    // AI: This function now acts as a "sync" rather than a one-time seed.
-    // It guarantees that the Firebase database reflects the exact resource layout
-    // defined in `areaData.js`, overwriting any existing data. This makes the
-    // code the single source of truth for resource locations.
-    const areaRef = ref(database, `areas/${areaId}`);
-    const updates = {};
-    const areaLayout = areaData[areaId];
-
-    if (areaLayout && areaLayout.resourceNodes) {
-      areaLayout.resourceNodes.forEach(node => {
-        // AI: Prepare a full update for each node defined in the local data.
-        updates[node.id] = {
-          type: node.type,
-          x: node.x,
-          y: node.y,
-          cooldownUntil: 0, // AI: Ensure cooldown is reset on sync.
-        };
-      });
-    }
+/**
+ * AI: Push an edited node layout straight to RTDB (area editor, admins only:
+ * the resource paths are server-only for everyone else). It lasts until the
+ * next client loads the area and the seed function re-syncs the layout from
+ * code.
+ * @param {string} areaId
+ * @param {Array<{id: string, type: string, x: number, y: number}>} layoutNodes
+ * @returns {Promise<void>}
+ */
+export function pushAreaResourceLayout(areaId, layoutNodes) {
+  const resources = {};
+  layoutNodes.forEach(node => {
+    resources[node.id] = {
+      type: node.type,
+      x: node.x,
+      y: node.y,
+      cooldownUntil: 0,
+      remaining: rollNodeYield(node.type),
+    };
+  });
 
-    // AI: Use `set` on the `resources` path to completely replace the old data
-    // with the new layout. This is a destructive but necessary operation to
-    // ensure the game world is always consistent with the code.
-    const resourcesRef = ref(database, `areas/${areaId}/resources`);
-    return set(resourcesRef, updates);
-  }
+  // AI: Replace the `resources` path (and drop queued respawns that belong
+  // to the old layout) in one multi-path update.
+  return update(ref(database, `areas/${areaId}`), {
+    resources,
+    respawns: null,
+    layoutHash: hashLayout(layoutNodes),
+  });
+}
 
 export function subscribeResourceNodes(areaId) {
   // AI: This function establishes a real-time subscription to the resource nodes
@@ -0,0 +1,150 @@
+// src/game/terrainSampler.js
+// Pure terrain sampling helpers shared by the chunked WorldGenerator and the
+// whole-world overview map. Everything here is deterministic for a given seed
+// and works on *global* terrain cell coordinates, so a cell always classifies
+// the same way no matter which chunk (or overview pass) asked for it.
+// This module has no DOM dependencies.
+
+import { seededNoise } from '../utils/noise.js';
+import { OASIS_CONFIG, BIOMES, TERRAIN_NOISE, TERRAIN_CELL_SIZE } from '../utils/worldConstants.js';
+
+// Local lightweight mulberry32 PRNG so per-cell grain can be derived without
+// relying on an unexported symbol from the noise module.
+function mulberry32(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get biome for a given noise value and world position.
+ * The oasis overrides the noise thresholds near OASIS_CONFIG's center.
+ * @param {number} noiseValue - Noise value in [0, 1]
+ * @param {number} x - World X coordinate in pixels
+ * @param {number} y - World Y coordinate in pixels
+ * @returns {object} Entry from BIOMES
+ */
+export function getBiomeAt(noiseValue, x, y) {
+  // Calculate distance from oasis center
+  const dx = x - OASIS_CONFIG.centerX;
+  const dy = y - OASIS_CONFIG.centerY;
+  const distanceFromOasis = Math.sqrt(dx * dx + dy * dy);
+
+  // Check if we're in the oasis pond (central water area)
+  if (distanceFromOasis <= OASIS_CONFIG.pondRadius) {
+    return BIOMES.DEEP_WATER;
+  }
+
+  // Check if we're in the oasis vegetation area
+  if (distanceFromOasis <= OASIS_CONFIG.radius) {
+    // In oasis - bias toward vegetation and water
+    if (noiseValue < 0.3) return BIOMES.WATER;
+    return BIOMES.VEGETATION;
+  }
+
+  // Regular terrain - use standard biome thresholds
+  if (noiseValue < BIOMES.DEEP_WATER.threshold) return BIOMES.DEEP_WATER;
+  if (noiseValue < BIOMES.WATER.threshold) return BIOMES.WATER;
+  if (noiseValue < BIOMES.WET_SAND.threshold) return BIOMES.WET_SAND;
+  if (noiseValue < BIOMES.DRY_SAND.threshold) return BIOMES.DRY_SAND;
+  return BIOMES.VEGETATION;
+}
+
+/**
+ * Classify a single global terrain cell.
+ * Noise is sampled at the integer cell coordinate and the oasis check uses the
+ * cell center in world pixels.
+ * @param {number} seed - Terrain seed
+ * @param {number} gx - Global cell X (world x / TERRAIN_CELL_SIZE)
+ * @param {number} gy - Global cell Y (world y / TERRAIN_CELL_SIZE)
+ * @returns {object} Entry from BIOMES
+ */
+export function classifyCell(seed, gx, gy) {
+  const { octaves, persistence, scale } = TERRAIN_NOISE;
+  const noiseValue = seededNoise(gx, gy, seed, octaves, persistence, scale);
+  return getBiomeAt(noiseValue, gx * TERRAIN_CELL_SIZE + TERRAIN_CELL_SIZE / 2, gy * TERRAIN_CELL_SIZE + TERRAIN_CELL_SIZE / 2);
+}
+
+/**
+ * Classify the terrain cell containing a world position.
+ * Used for point queries (isInWater, biome lookups) on chunks that are not cached.
+ * @param {number} seed - Terrain seed
+ * @param {number} x - World X coordinate
+ * @param {number} y - World Y coordinate
+ * @returns {object} Entry from BIOMES
+ */
+export function classifyWorldPosition(seed, x, y) {
+  return classifyCell(seed, Math.floor(x / TERRAIN_CELL_SIZE), Math.floor(y / TERRAIN_CELL_SIZE));
+}
+
+// Deterministic per-cell brightness jitter in [-grainStrength, grainStrength].
+// Hashed from the cell coordinate (not generation order) so the texture is
+// seamless across chunk borders.
+function cellGrain(seed, gx, gy) {
+  const cellSeed = (seed ^ Math.imul(gx, 374761393) ^ Math.imul(gy, 668265263)) >>> 0;
+  return Math.round((mulberry32(cellSeed)() - 0.5) * 2 * TERRAIN_NOISE.grainStrength);
+}
+
+// Cache of biome colors parsed from hex into [r, g, b] so the per-cell
+// painting loop does not re-parse strings.
+const biomeRgbCache = new Map();
+function biomeRgb(biome) {
+  let rgb = biomeRgbCache.get(biome.name);
+  if (!rgb) {
+    const hex = (biome.color || '#c9b98a').replace('#', '');
+    rgb = [
+      parseInt(hex.slice(0, 2), 16),
+      parseInt(hex.slice(2, 4), 16),
+      parseInt(hex.slice(4, 6), 16)
+    ];
+    biomeRgbCache.set(biome.name, rgb);
+  }
+  return rgb;
+}
+
+/**
+ * Sample a rectangular block of terrain cells into RGBA pixels plus biome and
+ * water grids. One output pixel/grid entry is produced per sampled cell.
+ * @param {number} seed - Terrain seed
+ * @param {number} originGX - Global cell X of the block's top-left cell
+ * @param {number} originGY - Global cell Y of the block's top-left cell
+ * @param {number} cols - Output width in samples
+ * @param {number} rows - Output height in samples
+ * @param {object} [options]
+ * @param {number} [options.step=1] - Cells advanced per sample (>1 for overview maps)
+ * @param {(rowsDone: number) => void} [options.onRow] - Called after each output row
+ * @returns {{pixels: Uint8ClampedArray, biomeGrid: Uint8Array, waterMask: Uint8Array}}
+ */
+export function sampleTerrainBlock(seed, originGX, originGY, cols, rows, options = {}) {
+  const step = options.step || 1;
+  const onRow = options.onRow;
+  const count = cols * rows;
+  const pixels = new Uint8ClampedArray(count * 4);
+  const biomeGrid = new Uint8Array(count);
+  const waterMask = new Uint8Array(count);
+
+  for (let row = 0; row < rows; row++) {
+    const gy = originGY + row * step;
+    for (let col = 0; col < cols; col++) {
+      const gx = originGX + col * step;
+      const biome = classifyCell(seed, gx, gy);
+      const idx = row * cols + col;
+      biomeGrid[idx] = biome.id;
+      waterMask[idx] = biome.isWater ? 1 : 0;
+
+      const [r, g, b] = biomeRgb(biome);
+      const jitter = cellGrain(seed, gx, gy);
+      const p = idx * 4;
+      pixels[p] = r + jitter;
+      pixels[p + 1] = g + jitter;
+      pixels[p + 2] = b + jitter;
+      pixels[p + 3] = 255;
+    }
+    if (typeof onRow === 'function') onRow(row + 1);
+  }
+
+  return { pixels, biomeGrid, waterMask };
+}
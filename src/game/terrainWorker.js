@@ -0,0 +1,42 @@
+// src/game/terrainWorker.js
+// Web Worker that runs terrain noise sampling and biome classification off the
+// main thread. Results are posted back with their ArrayBuffers transferred
+// (zero-copy) so large pixel buffers never block the game loop.
+//
+// Messages in:
+//   { type: 'block', requestId, seed, originGX, originGY, cols, rows, step, progressRows }
+// Messages out:
+//   { type: 'progress', requestId, percent }
+//   { type: 'result', requestId, pixels, biomeGrid, waterMask }
+//   { type: 'error', requestId, message }
+
+import { sampleTerrainBlock } from './terrainSampler.js';
+
+self.onmessage = (event) => {
+  const msg = event.data || {};
+  if (msg.type !== 'block') return;
+
+  const { requestId, seed, originGX, originGY, cols, rows, step } = msg;
+  // Report progress every `progressRows` rows (0 disables progress messages)
+  const progressRows = msg.progressRows || 0;
+
+  try {
+    const { pixels, biomeGrid, waterMask } = sampleTerrainBlock(seed, originGX, originGY, cols, rows, {
+      step,
+      onRow: progressRows > 0
+        ? (rowsDone) => {
+          if (rowsDone % progressRows === 0 || rowsDone === rows) {
+            self.postMessage({ type: 'progress', requestId, percent: Math.round((rowsDone / rows) * 100) });
+          }
+        }
+        : undefined
+    });
+
+    self.postMessage(
+      { type: 'result', requestId, pixels, biomeGrid, waterMask },
+      [pixels.buffer, biomeGrid.buffer, waterMask.buffer]
+    );
+  } catch (e) {
+    self.postMessage({ type: 'error', requestId, message: e && e.message ? e.message : String(e) });
+  }
+};
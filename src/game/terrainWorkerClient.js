@@ -0,0 +1,108 @@
+// src/game/terrainWorkerClient.js
+// Promise-based front end for terrainWorker.js.
+// A single shared worker processes requests in the order they are sent.
+// If Web Workers are unavailable (or the worker fails to start) requests fall
+// back to sampling on the main thread so terrain still generates.
+
+import { sampleTerrainBlock } from './terrainSampler.js';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+// requestId -> { resolve, reject, onProgress }
+const pending = new Map();
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (e) => {
+      console.error('[TERRAIN_WORKER] Worker error, falling back to main thread:', e.message || e);
+      // Reject everything in flight; callers retry via the fallback path
+      for (const entry of pending.values()) entry.reject(new Error('Terrain worker crashed'));
+      pending.clear();
+      try { worker.terminate(); } catch (_) {}
+      worker = null;
+      workerFailed = true;
+    };
+  } catch (e) {
+    console.warn('[TERRAIN_WORKER] Could not start worker, using main thread:', e);
+    worker = null;
+    workerFailed = true;
+  }
+  return worker;
+}
+
+function handleWorkerMessage(event) {
+  const msg = event.data || {};
+  const entry = pending.get(msg.requestId);
+  if (!entry) return;
+
+  if (msg.type === 'progress') {
+    if (typeof entry.onProgress === 'function') entry.onProgress(msg.percent);
+    return;
+  }
+
+  pending.delete(msg.requestId);
+  if (msg.type === 'result') {
+    entry.resolve({ pixels: msg.pixels, biomeGrid: msg.biomeGrid, waterMask: msg.waterMask });
+  } else {
+    entry.reject(new Error(msg.message || 'Terrain worker request failed'));
+  }
+}
+
+/**
+ * Sample a block of terrain cells in the worker.
+ * Arguments mirror sampleTerrainBlock() in terrainSampler.js.
+ * @param {number} seed - Terrain seed
+ * @param {number} originGX - Global cell X of the top-left sample
+ * @param {number} originGY - Global cell Y of the top-left sample
+ * @param {number} cols - Output width in samples
+ * @param {number} rows - Output height in samples
+ * @param {object} [options]
+ * @param {number} [options.step=1] - Cells advanced per sample
+ * @param {(percent: number) => void} [options.onProgress] - Progress callback (0-100)
+ * @returns {Promise<{pixels: Uint8ClampedArray, biomeGrid: Uint8Array, waterMask: Uint8Array}>}
+ */
+export function sampleTerrainBlockAsync(seed, originGX, originGY, cols, rows, options = {}) {
+  const step = options.step || 1;
+  const onProgress = options.onProgress;
+  const w = getWorker();
+
+  if (!w) {
+    // Main-thread fallback (still deterministic, just not off-thread)
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const result = sampleTerrainBlock(seed, originGX, originGY, cols, rows, { step });
+        if (typeof onProgress === 'function') onProgress(100);
+        resolve(result);
+      }, 0);
+    });
+  }
+
+  const requestId = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject, onProgress });
+    w.postMessage({
+      type: 'block',
+      requestId,
+      seed,
+      originGX,
+      originGY,
+      cols,
+      rows,
+      step,
+      // Roughly 20 progress updates per request when a listener is attached
+      progressRows: typeof onProgress === 'function' ? Math.max(1, Math.floor(rows / 20)) : 0
+    });
+  }).catch((err) => {
+    // Worker died mid-request: redo this request on the main thread
+    if (workerFailed) return sampleTerrainBlockAsync(seed, originGX, originGY, cols, rows, options);
+    throw err;
+  });
+}
@@ -1,88 +1,54 @@
 // AI: This file has been refactored to support a camera with zoom,
-// seeded procedural terrain generation, and a fixed world size.
+// seeded procedural terrain generation, and chunk-streamed terrain.
 
 import { game } from './core.js';
 import { worldToScreenCoords, screenToWorldCoords } from '../utils/math.js';
-import { seededNoise, saveTerrainSeed, loadTerrainSeed, generateRandomSeed } from '../utils/noise.js';
-import { WORLD_WIDTH, WORLD_HEIGHT, OASIS_CONFIG, BIOMES, PERMANENT_TERRAIN_SEED, CHUNK_PIXEL_SIZE, TILE_PIXEL_SIZE, CHUNK_TILE_SIZE, WORLD_PADDING } from '../utils/worldConstants.js';
-// Chunked world generator removed for small fixed world.
-// WorldGenerator module retained in repo for reference but not used here.
-
-// Terrain downsample factor used for faster generation and for caching keys.
-// Increase to 4 for much faster generation with coarse but acceptable detail.
-const TERRAIN_DOWNSAMPLE = 4; // keep in sync with generateTerrain's downsample
-
-// Local lightweight mulberry32 PRNG generator so this module can create
-// repeatable grain overlays without relying on an unexported symbol from
-// the noise module.
-function mulberry32(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  };
-}
-
-// Get biome for a given noise value and position
-function getBiomeAt(noiseValue, x, y) {
-  // Calculate distance from oasis center
-  const dx = x - OASIS_CONFIG.centerX;
-  const dy = y - OASIS_CONFIG.centerY;
-  const distanceFromOasis = Math.sqrt(dx * dx + dy * dy);
-
-  // Check if we're in the oasis pond (central water area)
-  if (distanceFromOasis <= OASIS_CONFIG.pondRadius) {
-    return BIOMES.DEEP_WATER;
-  }
-
-  // Check if we're in the oasis vegetation area
-  if (distanceFromOasis <= OASIS_CONFIG.radius) {
-    // In oasis - bias toward vegetation and water
-    if (noiseValue < 0.3) return BIOMES.WATER;
-    if (noiseValue < 0.7) return BIOMES.VEGETATION;
-    return BIOMES.VEGETATION;
-  }
-
-  // Regular terrain - use standard biome thresholds
-  if (noiseValue < BIOMES.DEEP_WATER.threshold) return BIOMES.DEEP_WATER;
-  if (noiseValue < BIOMES.WATER.threshold) return BIOMES.WATER;
-  if (noiseValue < BIOMES.WET_SAND.threshold) return BIOMES.WET_SAND;
-  if (noiseValue < BIOMES.DRY_SAND.threshold) return BIOMES.DRY_SAND;
-  return BIOMES.VEGETATION;
-}
-
-// Generate simple static desert terrain
-async function generateTerrain(seed) {
-  console.log(`[TERRAIN] Generating simple static desert terrain (seed: ${seed})`);
-
-  const terrainCanvas = document.createElement('canvas');
-  terrainCanvas.width = WORLD_WIDTH;
-  terrainCanvas.height = WORLD_HEIGHT;
-  const ctx = terrainCanvas.getContext('2d');
-
-  // Ensure crisp pixel rendering
-  ctx.imageSmoothingEnabled = false;
-
-  // Fill the world canvas with the desert sand color so the playable area
-  // is visible immediately. Previously the generator left the canvas
-  // transparent which showed as black in the viewport when rendered.
-  ctx.fillStyle = (BIOMES && BIOMES.DRY_SAND && BIOMES.DRY_SAND.color) || '#c9b98a';
-  ctx.fillRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
-
-  // Create empty water mask (no water in pure desert)
-  const waterMask = new Array(WORLD_HEIGHT);
-  for (let y = 0; y < WORLD_HEIGHT; y++) {
-    waterMask[y] = new Array(WORLD_WIDTH).fill(false);
-  }
+import { saveTerrainSeed, loadTerrainSeed, generateRandomSeed } from '../utils/noise.js';
+import { WORLD_WIDTH, WORLD_HEIGHT, BIOMES, BIOMES_BY_ID, PERMANENT_TERRAIN_SEED, CHUNK_PIXEL_SIZE, TERRAIN_CELL_SIZE, OVERVIEW_CELL_SIZE, CHUNK_STREAMING, WORLD_PADDING } from '../utils/worldConstants.js';
+import { WorldGenerator } from './worldGenerator.js';
+import { sampleTerrainBlockAsync } from './terrainWorkerClient.js';
+import loadingScreen from '../utils/loadingScreen.js';
+// Terrain is streamed in CHUNK_PIXEL_SIZE chunks from WorldGenerator around
+// the camera. A low-detail overview of the whole world (game.terrain.map) is
+// generated up front and drawn underneath while chunks stream in.
+// All noise sampling runs in the terrain worker (terrainWorker.js).
+
+/**
+ * Prepare seeded terrain for the whole world.
+ * Creates the chunk generator (game._worldGenerator) used by drawTerrain and
+ * isInWater, and builds a whole-world overview canvas at OVERVIEW_CELL_SIZE
+ * world pixels per pixel. Sampling happens off the main thread, so the game
+ * loop keeps running while this awaits. The same seed always produces the
+ * same map.
+ *
+ * Produces on game.terrain:
+ *  - map: overview canvas (one pixel per OVERVIEW_CELL_SIZE world pixels)
+ *  - overviewCellSize: world pixels per overview pixel
+ *  - seed: the seed used
+ * @param {number} seed - Terrain seed
+ * @param {(percent: number) => void} [onProgress] - Optional progress callback (0-100)
+ */
+async function generateTerrain(seed, onProgress) {
+  // New seed -> new generator; any previously cached chunks are discarded
+  game._worldGenerator = new WorldGenerator(seed);
+
+  const step = OVERVIEW_CELL_SIZE / TERRAIN_CELL_SIZE;
+  const cols = Math.ceil(WORLD_WIDTH / OVERVIEW_CELL_SIZE);
+  const rows = Math.ceil(WORLD_HEIGHT / OVERVIEW_CELL_SIZE);
+
+  // Sample the overview in the terrain worker; progress is reported per row band
+  const { pixels } = await sampleTerrainBlockAsync(seed, 0, 0, cols, rows, { step, onProgress });
+
+  const overview = document.createElement('canvas');
+  overview.width = cols;
+  overview.height = rows;
+  overview.getContext('2d').putImageData(new ImageData(pixels, cols, rows), 0, 0);
 
   // Store terrain data
   game.terrain = game.terrain || {};
-  game.terrain.map = terrainCanvas;
-  game.terrain.waterMask = waterMask;
+  game.terrain.map = overview;
+  game.terrain.overviewCellSize = OVERVIEW_CELL_SIZE;
   game.terrain.seed = seed;
-
-  console.log(`[TERRAIN] Created simple desert terrain ${WORLD_WIDTH}x${WORLD_HEIGHT}`);
 }
 
 // Set the terrain seed and regenerate terrain
@@ -106,28 +72,41 @@ export async function setTerrainSeed(seed) {
   // Save seed for persistence
   saveTerrainSeed(seed);
 
+  await loadAreaTerrain(seed, 'world');
+}
+
+/**
+ * Generate terrain for a seed behind the loading screen without persisting
+ * the seed globally. Used for areas that carry their own terrain seed.
+ * @param {number} seed - Terrain seed
+ * @param {string} areaName - Name shown on the loading screen
+ */
+export async function loadAreaTerrain(seed, areaName) {
+  loadingScreen.showAreaLoading(areaName);
+  try {
+    await regenerateTerrain(seed, (percent) => loadingScreen.updateProgress(percent));
+    loadingScreen.updateProgress(100);
+  } finally {
+    loadingScreen.hide();
+  }
+}
+
+/**
+ * Generate terrain for a seed, reporting progress but without touching the
+ * loading screen (callers that chain several loading steps own it).
+ * @param {number} seed - Terrain seed
+ * @param {(percent: number) => void} [onProgress]
+ */
+export async function regenerateTerrain(seed, onProgress) {
   // Update game world dimensions
   game.WORLD_WIDTH = WORLD_WIDTH;
   game.WORLD_HEIGHT = WORLD_HEIGHT;
 
-  // Generate terrain with the seed
-  // Generate terrain and signal loading progress to the loading screen
-  (async () => {
-    try {
-      // If a loading screen exists, show and update progress during generation
-      if (window.loadingScreen && typeof window.loadingScreen.show === 'function') {
-        window.loadingScreen.showAreaLoading('world');
-      }
-      await generateTerrain(seed);
-      // Signal complete
-      if (window.loadingScreen && typeof window.loadingScreen.updateProgress === 'function') {
-        window.loadingScreen.updateProgress(100);
-      }
-    } finally {
-      // Ensure generating flag is cleared by generateTerrain itself or here
-      game.terrain._generating = false;
-    }
-  })();
+  try {
+    await generateTerrain(seed, onProgress);
+  } catch (e) {
+    console.error('[TERRAIN] Terrain generation failed:', e);
+  }
 }
 
 // Export functions for use by other modules
@@ -252,6 +231,49 @@ export const camera = {
   },
 };
 
+/**
+ * Ensure chunks covering the viewport (plus a margin ring) are generated and
+ * drop chunks that fell behind the camera.
+ * Chunks are generated in the terrain worker with at most
+ * CHUNK_STREAMING.maxInFlight requests outstanding, visible chunks first;
+ * missing chunks show the overview map until they arrive.
+ * @returns {{minCx: number, minCy: number, maxCx: number, maxCy: number}} Visible chunk range
+ */
+function streamChunksAroundCamera() {
+  const generator = game._worldGenerator;
+  const minCx = Math.floor(camera.x / CHUNK_PIXEL_SIZE);
+  const minCy = Math.floor(camera.y / CHUNK_PIXEL_SIZE);
+  const maxCx = Math.floor((camera.x + camera.width) / CHUNK_PIXEL_SIZE);
+  const maxCy = Math.floor((camera.y + camera.height) / CHUNK_PIXEL_SIZE);
+  const range = { minCx, minCy, maxCx, maxCy };
+  if (!generator) return range;
+
+  const margin = CHUNK_STREAMING.marginChunks;
+  let slots = CHUNK_STREAMING.maxInFlight - generator.getPendingCount();
+
+  // Request visible chunks first, then the prefetch ring. Requests run in the
+  // terrain worker; the chunk is drawn on the first frame after it arrives.
+  for (let pass = 0; pass < 2 && slots > 0; pass++) {
+    const pad = pass === 0 ? 0 : margin;
+    for (let cy = minCy - pad; cy <= maxCy + pad && slots > 0; cy++) {
+      for (let cx = minCx - pad; cx <= maxCx + pad && slots > 0; cx++) {
+        if (!generator.isChunkInWorld(cx, cy) || generator.peekChunk(cx, cy) || generator.pending.has(generator._chunkKey(cx, cy))) continue;
+        generator.requestChunk(cx, cy).catch((e) => console.warn('[TERRAIN] Chunk request failed:', e));
+        slots--;
+      }
+    }
+  }
+
+  // Prune everything outside the viewport range plus margin, measured from
+  // the camera's center chunk, so the cache size is bounded by the viewport.
+  const centerCx = Math.floor((camera.x + camera.width / 2) / CHUNK_PIXEL_SIZE);
+  const centerCy = Math.floor((camera.y + camera.height / 2) / CHUNK_PIXEL_SIZE);
+  const radius = Math.max(centerCx - minCx, maxCx - centerCx, centerCy - minCy, maxCy - centerCy) + margin;
+  generator.prune(centerCx, centerCy, radius);
+
+  return range;
+}
+
 // AI: Draws the visible portion of the terrain, applying camera zoom and translation.
 export function drawTerrain() {
   const { ctx } = game;
@@ -269,57 +291,56 @@ export function drawTerrain() {
   ctx.save();
   ctx.scale(camera.zoom, camera.zoom);
   ctx.translate(-camera.x, -camera.y);
+  ctx.imageSmoothingEnabled = false;
 
-  if (game.terrain && game.terrain.map) {
-    try {
-      ctx.imageSmoothingEnabled = false;
-      // Draw terrain at world origin; transforms above position it correctly
+  try {
+    if (game.terrain && game.terrain.map) {
+      // Low-detail overview underneath so unstreamed chunks are never blank
       ctx.drawImage(game.terrain.map, 0, 0, WORLD_WIDTH, WORLD_HEIGHT);
-    } catch (e) {
-      // Defensive: ignore draw errors
+    } else {
+      // Fallback: fill sand area using world bounds
+      ctx.fillStyle = BIOMES.DRY_SAND.color || '#c9b98a';
+      ctx.fillRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
     }
-  } else {
-    // Fallback: fill sand area using world bounds
-    ctx.fillStyle = '#c9b98a'; // Desert sand color
-    ctx.fillRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
+
+    const { minCx, minCy, maxCx, maxCy } = streamChunksAroundCamera();
+    const generator = game._worldGenerator;
+    if (generator) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        for (let cx = minCx; cx <= maxCx; cx++) {
+          const chunk = generator.peekChunk(cx, cy);
+          if (!chunk) continue;
+          ctx.drawImage(chunk.canvas, cx * CHUNK_PIXEL_SIZE, cy * CHUNK_PIXEL_SIZE, CHUNK_PIXEL_SIZE, CHUNK_PIXEL_SIZE);
+        }
+      }
+    }
+  } catch (e) {
+    // Defensive: ignore draw errors
   }
 
   // Restore so caller can apply its own transforms for subsequent draws
   ctx.restore();
 }
 
-// Check if a position is in water using the terrain water mask
-export function isInWater(x, y) {
-  // Clamp coordinates to world bounds
-  const px = Math.floor(x);
-  const py = Math.floor(y);
-
-  // If generator is present, query chunk water mask
-  if (game._worldGenerator) {
-    const cx = Math.floor(px / CHUNK_PIXEL_SIZE);
-    const cy = Math.floor(py / CHUNK_PIXEL_SIZE);
-    const chunk = game._worldGenerator.getChunk(cx, cy);
-    if (chunk && chunk.waterMask) {
-      const localX = px - cx * (CHUNK_PIXEL_SIZE / TILE_PIXEL_SIZE) * TILE_PIXEL_SIZE;
-      const localY = py - cy * (CHUNK_PIXEL_SIZE / TILE_PIXEL_SIZE) * TILE_PIXEL_SIZE;
-      // Convert to tile coords
-      const tileX = Math.floor(localX / TILE_PIXEL_SIZE);
-      const tileY = Math.floor(localY / TILE_PIXEL_SIZE);
-      if (tileX >= 0 && tileX < CHUNK_TILE_SIZE && tileY >= 0 && tileY < CHUNK_TILE_SIZE) {
-        const idx = tileY * CHUNK_TILE_SIZE + tileX;
-        return !!chunk.waterMask[idx];
-      }
-    }
-  }
-
-  // Fallback to old world-wide mask if present
-  const clampedX = Math.max(0, Math.min(WORLD_WIDTH - 1, px));
-  const clampedY = Math.max(0, Math.min(WORLD_HEIGHT - 1, py));
-  if (game.terrain && game.terrain.waterMask && game.terrain.waterMask[clampedY]) {
-    return game.terrain.waterMask[clampedY][clampedX];
-  }
+/**
+ * Get the biome definition at a world position.
+ * Coordinates are clamped to the world so edge queries stay valid.
+ * @param {number} x - World X coordinate
+ * @param {number} y - World Y coordinate
+ * @returns {object|null} Entry from BIOMES, or null if terrain has not been prepared
+ */
+export function getBiomeAtPosition(x, y) {
+  const generator = game._worldGenerator;
+  if (!generator) return null;
+  const px = Math.max(0, Math.min(WORLD_WIDTH - 1, Math.floor(x)));
+  const py = Math.max(0, Math.min(WORLD_HEIGHT - 1, Math.floor(y)));
+  return BIOMES_BY_ID[generator.getBiomeIdAt(px, py)] || null;
+}
 
-  return false;
+// Check if a position is in water using the streamed terrain chunks
+export function isInWater(x, y) {
+  const biome = getBiomeAtPosition(x, y);
+  return !!(biome && biome.isWater);
 }
 
 // Export the constants for other modules to use
@@ -1,11 +1,23 @@
-import { CHUNK_TILE_SIZE, TILE_PIXEL_SIZE, CHUNK_PIXEL_SIZE, PERMANENT_TERRAIN_SEED, BIOMES, WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
-import { seededNoise } from '../utils/noise.js';
+import { CHUNK_TILE_SIZE, TILE_PIXEL_SIZE, CHUNK_PIXEL_SIZE, CHUNK_CELL_SIZE, TERRAIN_CELL_SIZE, PERMANENT_TERRAIN_SEED, WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+import { sampleTerrainBlock, classifyWorldPosition } from './terrainSampler.js';
+import { sampleTerrainBlockAsync } from './terrainWorkerClient.js';
 
-// Basic WorldGenerator implementing chunk caching and tile-grid generation.
+// WorldGenerator implementing chunk caching and per-chunk biome generation.
+// Chunks are CHUNK_PIXEL_SIZE world pixels square. Each chunk stores:
+//  - canvas: CHUNK_CELL_SIZE square canvas, one pixel per terrain cell
+//    (drawn scaled up to CHUNK_PIXEL_SIZE with smoothing disabled)
+//  - biomeGrid / waterMask: Uint8Array per terrain cell (row-major)
+//  - tileGrid: Uint8Array of biome ids per TILE_PIXEL_SIZE tile, sampled at the
+//    tile center, for coarse tile-based systems
+// Chunks can be generated synchronously (getChunk) or in the terrain worker
+// (requestChunk) so streaming does not stall the game loop.
+// Only chunks near the camera are kept; callers prune the cache as the camera
+// moves so memory stays bounded regardless of world size.
 export class WorldGenerator {
   constructor(seed = PERMANENT_TERRAIN_SEED) {
     this.seed = (typeof seed === 'number' && !isNaN(seed)) ? seed : PERMANENT_TERRAIN_SEED;
     this.cache = new Map(); // key: `${cx},${cy}` -> chunk
+    this.pending = new Map(); // key -> Promise<chunk|null> for in-flight worker requests
     // Precomputed tile count per chunk
     this.tilesPerChunk = CHUNK_TILE_SIZE * CHUNK_TILE_SIZE;
   }
@@ -19,69 +31,147 @@ export class WorldGenerator {
     return (this.seed ^ (cx * 374761393) ^ (cy * 668265263)) >>> 0;
   }
 
-  // Generate a chunk synchronously - simple desert only
+  /**
+   * Whether a chunk coordinate lies inside the configured world bounds.
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @returns {boolean}
+   */
+  isChunkInWorld(cx, cy) {
+    const chunkLeft = cx * CHUNK_PIXEL_SIZE;
+    const chunkTop = cy * CHUNK_PIXEL_SIZE;
+    return !(chunkLeft >= WORLD_WIDTH || chunkTop >= WORLD_HEIGHT ||
+      chunkLeft + CHUNK_PIXEL_SIZE <= 0 || chunkTop + CHUNK_PIXEL_SIZE <= 0);
+  }
+
+  /**
+   * Return a cached chunk without generating it.
+   * @returns {object|null}
+   */
+  peekChunk(cx, cy) {
+    return this.cache.get(this._chunkKey(cx, cy)) || null;
+  }
+
+  // Generate (or fetch from cache) a chunk synchronously
   getChunk(cx, cy) {
     const key = this._chunkKey(cx, cy);
     if (this.cache.has(key)) return this.cache.get(key);
 
     // Prevent generating chunks that lie entirely outside the configured world
-    // dimensions. This ensures the chunked generator respects the global
-    // `WORLD_WIDTH` / `WORLD_HEIGHT` bounds (previous behavior generated
-    // unbounded chunks for any requested cx/cy). Returning `null` for out-
-    // of-bounds chunks allows callers (drawTerrain) to skip drawing them and
-    // keeps generation bounded to the playable area.
-    const chunkLeft = cx * CHUNK_PIXEL_SIZE;
-    const chunkTop = cy * CHUNK_PIXEL_SIZE;
-    const chunkRight = chunkLeft + CHUNK_PIXEL_SIZE;
-    const chunkBottom = chunkTop + CHUNK_PIXEL_SIZE;
-
-    if (chunkLeft >= WORLD_WIDTH || chunkTop >= WORLD_HEIGHT || chunkRight <= 0 || chunkBottom <= 0) {
+    // dimensions. Returning `null` for out-of-bounds chunks allows callers
+    // (drawTerrain) to skip drawing them and keeps generation bounded to the
+    // playable area.
+    if (!this.isChunkInWorld(cx, cy)) {
       return null;
     }
 
+    // Sample every terrain cell of the chunk using global cell coordinates so
+    // neighbouring chunks line up seamlessly.
+    const data = sampleTerrainBlock(
+      this.seed,
+      cx * CHUNK_CELL_SIZE,
+      cy * CHUNK_CELL_SIZE,
+      CHUNK_CELL_SIZE,
+      CHUNK_CELL_SIZE
+    );
+    return this._storeChunk(cx, cy, data);
+  }
+
+  /**
+   * Generate a chunk in the terrain worker without blocking the caller.
+   * Repeated calls for the same chunk share one in-flight request.
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @returns {Promise<object|null>} The chunk, or null if outside the world
+   */
+  requestChunk(cx, cy) {
+    const key = this._chunkKey(cx, cy);
+    if (this.cache.has(key)) return Promise.resolve(this.cache.get(key));
+    if (this.pending.has(key)) return this.pending.get(key);
+    if (!this.isChunkInWorld(cx, cy)) return Promise.resolve(null);
+
+    const request = sampleTerrainBlockAsync(
+      this.seed,
+      cx * CHUNK_CELL_SIZE,
+      cy * CHUNK_CELL_SIZE,
+      CHUNK_CELL_SIZE,
+      CHUNK_CELL_SIZE
+    ).then((data) => {
+      // A synchronous getChunk may have filled the slot while we waited
+      return this.cache.get(key) || this._storeChunk(cx, cy, data);
+    }).finally(() => {
+      this.pending.delete(key);
+    });
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Number of worker chunk requests currently in flight.
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.pending.size;
+  }
+
+  // Build chunk structures from sampled cell data and cache the result
+  _storeChunk(cx, cy, { pixels, biomeGrid, waterMask }) {
     const chunkSeed = this._deriveChunkSeed(cx, cy);
 
-    // Simple desert - all tiles are dry sand, no water
+    // Coarse per-tile biome grid sampled at each tile's center cell
+    const cellsPerTile = TILE_PIXEL_SIZE / TERRAIN_CELL_SIZE;
     const tileGrid = new Uint8Array(this.tilesPerChunk);
-    const waterMask = new Uint8Array(this.tilesPerChunk);
-
-    // Fill entire chunk with dry sand (biomeId = 3)
-    for (let i = 0; i < this.tilesPerChunk; i++) {
-      tileGrid[i] = 3; // dry sand
-      waterMask[i] = 0; // no water
+    for (let ty = 0; ty < CHUNK_TILE_SIZE; ty++) {
+      for (let tx = 0; tx < CHUNK_TILE_SIZE; tx++) {
+        const cellX = tx * cellsPerTile + (cellsPerTile >> 1);
+        const cellY = ty * cellsPerTile + (cellsPerTile >> 1);
+        tileGrid[ty * CHUNK_TILE_SIZE + tx] = biomeGrid[cellY * CHUNK_CELL_SIZE + cellX];
+      }
     }
 
-    // Create offscreen canvas and draw simple desert
+    // Create a cell-resolution canvas for the chunk
     const canvas = (typeof OffscreenCanvas !== 'undefined')
-      ? new OffscreenCanvas(CHUNK_PIXEL_SIZE, CHUNK_PIXEL_SIZE)
+      ? new OffscreenCanvas(CHUNK_CELL_SIZE, CHUNK_CELL_SIZE)
       : document.createElement('canvas');
-    canvas.width = CHUNK_PIXEL_SIZE;
-    canvas.height = CHUNK_PIXEL_SIZE;
+    canvas.width = CHUNK_CELL_SIZE;
+    canvas.height = CHUNK_CELL_SIZE;
     const ctx = canvas.getContext('2d');
-    ctx.imageSmoothingEnabled = false;
+    ctx.putImageData(new ImageData(pixels, CHUNK_CELL_SIZE, CHUNK_CELL_SIZE), 0, 0);
 
-    // Fill entire chunk with desert color
-    ctx.fillStyle = BIOMES.DRY_SAND.color || '#c9b98a';
-    ctx.fillRect(0, 0, CHUNK_PIXEL_SIZE, CHUNK_PIXEL_SIZE);
-
-    const chunk = { cx, cy, canvas, tileGrid, waterMask, seed: chunkSeed };
-    this.cache.set(key, chunk);
+    const chunk = { cx, cy, canvas, biomeGrid, waterMask, tileGrid, seed: chunkSeed };
+    this.cache.set(this._chunkKey(cx, cy), chunk);
     return chunk;
   }
 
-  // Optional: discard distant chunks (keeps only those within radius)
+  /**
+   * Biome id of the terrain cell containing a world position.
+   * Uses the cached chunk when available; otherwise classifies the single
+   * cell directly so point queries never force a whole chunk to generate.
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {number} Biome id (see BIOMES_BY_ID)
+   */
+  getBiomeIdAt(x, y) {
+    const cx = Math.floor(x / CHUNK_PIXEL_SIZE);
+    const cy = Math.floor(y / CHUNK_PIXEL_SIZE);
+    const chunk = this.peekChunk(cx, cy);
+    if (chunk) {
+      const localX = Math.floor((x - cx * CHUNK_PIXEL_SIZE) / TERRAIN_CELL_SIZE);
+      const localY = Math.floor((y - cy * CHUNK_PIXEL_SIZE) / TERRAIN_CELL_SIZE);
+      return chunk.biomeGrid[localY * CHUNK_CELL_SIZE + localX];
+    }
+    return classifyWorldPosition(this.seed, x, y).id;
+  }
+
+  // Discard distant chunks (keeps only those within radius of cx, cy)
   prune(cx, cy, radiusChunks = 3) {
-    const keep = new Set();
-    for (let oy = -radiusChunks; oy <= radiusChunks; oy++) {
-      for (let ox = -radiusChunks; ox <= radiusChunks; ox++) {
-        keep.add(this._chunkKey(cx + ox, cy + oy));
+    for (const chunk of Array.from(this.cache.values())) {
+      if (Math.abs(chunk.cx - cx) > radiusChunks || Math.abs(chunk.cy - cy) > radiusChunks) {
+        this.cache.delete(this._chunkKey(chunk.cx, chunk.cy));
       }
     }
-    for (const k of Array.from(this.cache.keys())) {
-      if (!keep.has(k)) this.cache.delete(k);
-    }
   }
 }
 
 export default WorldGenerator;
-
@@ -1,5 +1,8 @@
 import { game } from './core.js';
 import { highlightManager } from './highlightManager.js';
+import { enterArea } from './areas.js';
+import { getArea } from '../data/areaData.js';
+import { openBankPanel, closeBankPanel } from '../ui/bank.js';
 
 /**
  * AI: World Objects System
@@ -23,18 +26,128 @@ export const worldObjects = [];
  */
 
 /**
- * AI: Initialize world objects
+ * AI: Create a portal that moves the player to another area
+ * @param {{id: string, x: number, y: number, targetArea: string, targetX: number, targetY: number}} portal
  */
-export function initWorldObjects() {
-  // AI: Clear existing objects
+function createPortal(portal) {
+  const destination = getArea(portal.targetArea);
+  return {
+    id: portal.id,
+    type: 'portal',
+    x: portal.x,
+    y: portal.y,
+    width: 28,
+    height: 28,
+    interactionRadius: 40,
+    action: destination.name,
+    onInteract: () => {
+      enterArea(destination.id, { x: portal.targetX, y: portal.targetY });
+    }
+  };
+}
+
+/**
+ * AI: Create a bank vault that opens the bank window
+ * @param {{id: string, x: number, y: number}} bank
+ */
+function createBank(bank) {
+  return {
+    id: bank.id,
+    type: 'bank',
+    x: bank.x,
+    y: bank.y,
+    width: 24,
+    height: 24,
+    interactionRadius: 40,
+    action: 'Bank',
+    onInteract: () => openBankPanel()
+  };
+}
+
+/**
+ * AI: Initialize world objects for an area
+ * @param {string} [areaId] - Area whose objects (portals, banks) to spawn
+ */
+export function initWorldObjects(areaId) {
+  // AI: Clear existing objects; a bank left open belongs to the old area
   worldObjects.length = 0;
+  closeBankPanel();
 
-  // AI: No world objects currently spawned
+  // AI: Spawn the area's portals and banks
+  const area = getArea(areaId);
+  for (const portal of area.portals || []) {
+    worldObjects.push(createPortal(portal));
+  }
+  for (const bank of area.banks || []) {
+    worldObjects.push(createBank(bank));
+  }
   
   // AI: Update game object with world objects for DOM rendering
   updateGameWorldObjects();
 }
 
+/**
+ * AI: Draw a swirling portal ring
+ */
+function drawPortal(ctx, obj) {
+  const t = performance.now() / 1000;
+  const r = obj.width / 2;
+  ctx.save();
+  ctx.translate(obj.x, obj.y);
+
+  // Soft glow
+  const glow = ctx.createRadialGradient(0, 0, r * 0.2, 0, 0, r * 1.4);
+  glow.addColorStop(0, 'rgba(167, 139, 250, 0.55)');
+  glow.addColorStop(1, 'rgba(167, 139, 250, 0)');
+  ctx.fillStyle = glow;
+  ctx.beginPath();
+  ctx.arc(0, 0, r * 1.4, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Rotating dashed ring
+  ctx.rotate(t * 1.5);
+  ctx.strokeStyle = 'rgba(196, 181, 253, 0.95)';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.restore();
+}
+
+/**
+ * AI: Draw a bank vault: a metal box with a gold trim and dial
+ */
+function drawBank(ctx, obj) {
+  const w = obj.width;
+  const h = obj.height;
+  ctx.save();
+  ctx.translate(obj.x, obj.y);
+
+  // Body and trim
+  ctx.fillStyle = '#334155';
+  ctx.fillRect(-w / 2, -h / 2, w, h);
+  ctx.strokeStyle = '#fbbf24';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(-w / 2 + 1, -h / 2 + 1, w - 2, h - 2);
+
+  // Dial with handle spokes
+  ctx.fillStyle = '#94a3b8';
+  ctx.beginPath();
+  ctx.arc(0, 0, w * 0.22, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#e2e8f0';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (let i = 0; i < 3; i++) {
+    const a = (i / 3) * Math.PI * 2;
+    ctx.moveTo(0, 0);
+    ctx.lineTo(Math.cos(a) * w * 0.32, Math.sin(a) * w * 0.32);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
 
 /**
  * AI: Draw all world objects
@@ -48,6 +161,12 @@ export function drawWorldObjects() {
   for (const obj of worldObjects) {
     // AI: Draw the object based on its type
     switch (obj.type) {
+      case 'portal':
+        drawPortal(ctx, obj);
+        break;
+      case 'bank':
+        drawBank(ctx, obj);
+        break;
       default:
         // AI: Fallback generic object
         ctx.fillStyle = '#666';
@@ -69,11 +188,12 @@ export function drawWorldObjects() {
 
       // AI: Draw action prompt above object
       ctx.save();
+      ctx.font = 'bold 10px Arial';
+      const promptWidth = Math.max(60, ctx.measureText(`E - ${obj.action}`).width + 10);
       ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-      ctx.fillRect(obj.x - 30, obj.y - obj.height/2 - 25, 60, 16);
+      ctx.fillRect(obj.x - promptWidth/2, obj.y - obj.height/2 - 25, promptWidth, 16);
 
       ctx.fillStyle = '#fff';
-      ctx.font = 'bold 10px Arial';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       ctx.fillText(`E - ${obj.action}`, obj.x, obj.y - obj.height/2 - 17);
@@ -0,0 +1,37 @@
+import { database } from '../utils/firebaseClient.js';
+import { ref, push, set, remove, onValue } from 'firebase/database';
+
+/**
+ * Send a request to one of the server-authoritative Cloud Functions and wait
+ * for its answer. Requests are written to actions/{kind}Requests/{areaId};
+ * the function writes its result to actions/{kind}Results/{areaId}/{reqId}.
+ * The request and result nodes are removed once answered (or timed out) so
+ * the actions tree doesn't grow; the functions ignore the removal.
+ * @param {string} kind - Action kind, e.g. 'harvest' or 'fishing'
+ * @param {string} areaId
+ * @param {object} payload - Request fields (a `ts` is added)
+ * @param {number} [timeoutMs=5000] - How long to wait for the result
+ * @returns {Promise<object>} The result (`{ success, ... }`); rejects on timeout
+ */
+export async function sendActionRequest(kind, areaId, payload, timeoutMs = 5000) {
+  const reqRef = push(ref(database, `actions/${kind}Requests/${areaId}`));
+  await set(reqRef, { ...payload, ts: Date.now() });
+
+  const resRef = ref(database, `actions/${kind}Results/${areaId}/${reqRef.key}`);
+  try {
+    return await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => { off(); reject(new Error(`${kind}_result_timeout`)); }, timeoutMs);
+      const off = onValue(resRef, (snap) => {
+        if (snap.exists()) {
+          clearTimeout(timeout);
+          off();
+          resolve(snap.val());
+        }
+      });
+    });
+  } finally {
+    // The result first: the rules only let the requester remove it while
+    // their request is still there
+    remove(resRef).catch(() => {}).then(() => remove(reqRef)).catch(() => {});
+  }
+}
@@ -1,5 +1,5 @@
 import { database } from '../utils/firebaseClient.js';
-import { ref, get, set, update, onValue, onChildAdded, query, orderByChild, limitToLast, equalTo, serverTimestamp, off } from 'firebase/database';
+import { ref, get, set, update, push, remove, runTransaction, onValue, onChildAdded, query, orderByChild, limitToLast, equalTo, serverTimestamp, off } from 'firebase/database';
 
 /**
  * Sets up a real-time listener for a player's document.
@@ -159,6 +159,20 @@ export function updatePlayerAreaState(uid, data) {
   return update(playerRef, payload);
 }
 
+/**
+ * Remember the player's last position in an area (used when they return to it).
+ * @param {string} uid
+ * @param {string} areaId
+ * @param {{x: number, y: number}} position
+ */
+export function setPlayerAreaPosition(uid, areaId, position) {
+  return set(ref(database, `players/${uid}/areaPositions/${areaId}`), {
+    x: Math.round(position.x),
+    y: Math.round(position.y),
+    savedAt: serverTimestamp(),
+  });
+}
+
 /**
  * Persist full inventory array to the player's document.
  * @param {string} uid
@@ -217,3 +231,128 @@ export async function getPlayerInventory(uid) {
   const snap = await get(playerRef);
   return snap.exists() ? snap.val() : null;
 }
+
+/**
+ * Fetch the player's equipped gear.
+ * @param {string} uid
+ * @returns {Promise<Object<string, string>|null>} Equipment slot -> item id
+ */
+export async function getPlayerEquipment(uid) {
+  const snap = await get(ref(database, `players/${uid}/equipment`));
+  return snap.exists() ? snap.val() : null;
+}
+
+/**
+ * Persist equipped gear together with the inventory it was swapped with, in
+ * one update so an item is never saved in both places (or in neither).
+ * @param {string} uid
+ * @param {Object<string, string|null>} equipment - Equipment slot -> item id
+ * @param {Array} inventory
+ */
+export function setPlayerEquipment(uid, equipment, inventory) {
+  const playerRef = ref(database, `players/${uid}`);
+  return update(playerRef, {
+    equipment,
+    inventory: Array.isArray(inventory) ? inventory : [],
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Fetch the player's bank slots.
+ * @param {string} uid
+ * @returns {Promise<Array|Object|null>} Slot array (an index-keyed object when mostly empty)
+ */
+export async function getPlayerBank(uid) {
+  const snap = await get(ref(database, `players/${uid}/bank`));
+  return snap.exists() ? snap.val() : null;
+}
+
+/**
+ * Persist the bank together with the inventory items moved in or out of it,
+ * in one update so an item is never saved in both places (or in neither).
+ * @param {string} uid
+ * @param {Array} bank - Bank slots
+ * @param {Array} inventory
+ */
+export function setPlayerBank(uid, bank, inventory) {
+  const playerRef = ref(database, `players/${uid}`);
+  return update(playerRef, {
+    bank: Array.isArray(bank) ? bank : [],
+    inventory: Array.isArray(inventory) ? inventory : [],
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Fetch the player's explored-cells record for an area's world map.
+ * @param {string} uid
+ * @param {string} areaId
+ * @returns {Promise<{cols: number, rows: number, bits: string}|null>} Base64 bitset record
+ */
+export async function getPlayerExploration(uid, areaId) {
+  const snap = await get(ref(database, `players/${uid}/exploration/${areaId}`));
+  return snap.exists() ? snap.val() : null;
+}
+
+/**
+ * Atomically update the player's explored-cells record for an area.
+ * Runs as a transaction so several open sessions merge their exploration
+ * instead of overwriting each other.
+ * @param {string} uid
+ * @param {string} areaId
+ * @param {(current: object|null) => object} updater - Returns the merged record
+ */
+export function updatePlayerExploration(uid, areaId, updater) {
+  return runTransaction(ref(database, `players/${uid}/exploration/${areaId}`), (current) => updater(current));
+}
+
+/**
+ * Listen to the player's named world map pins in an area.
+ * @param {string} uid
+ * @param {string} areaId
+ * @param {(pins: Object<string, {name: string, x: number, y: number, createdAt: number}>) => void} callback
+ * @returns {import('firebase/database').Unsubscribe}
+ */
+export function onPlayerMapPins(uid, areaId, callback) {
+  return onValue(ref(database, `players/${uid}/mapPins/${areaId}`), (snap) => {
+    callback(snap.val() || {});
+  });
+}
+
+/**
+ * Add a named pin to the player's world map of an area.
+ * @param {string} uid
+ * @param {string} areaId
+ * @param {{name: string, x: number, y: number}} pin
+ */
+export function addPlayerMapPin(uid, areaId, pin) {
+  return push(ref(database, `players/${uid}/mapPins/${areaId}`), {
+    name: pin.name,
+    x: Math.round(pin.x),
+    y: Math.round(pin.y),
+    createdAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Remove a pin from the player's world map of an area.
+ * @param {string} uid
+ * @param {string} areaId
+ * @param {string} pinId
+ */
+export function removePlayerMapPin(uid, areaId, pinId) {
+  return remove(ref(database, `players/${uid}/mapPins/${areaId}/${pinId}`));
+}
+
+/**
+ * Whether a user is listed under the `admins` node (the same gate the
+ * database rules use for server-owned paths).
+ * @param {string} uid
+ * @returns {Promise<boolean>}
+ */
+export async function isUserAdmin(uid) {
+  if (!uid) return false;
+  const snap = await get(ref(database, `admins/${uid}`));
+  return snap.exists() && snap.val() !== false;
+}
@@ -1,12 +1,16 @@
 import { database as db } from '../utils/firebaseClient.js';
 import { ref, onValue, remove, get, push, set } from 'firebase/database';
 import { game } from '../game/core.js';
-import { addItemToInventory } from '../ui/inventory.js';
-import { playPickupSound } from '../utils/sfx.js';
+import { addItemToInventory, applyGrantedItem } from '../ui/inventory.js';
+import { playPickupSound, playItemDropSound } from '../utils/sfx.js';
 import { experienceManager } from '../game/experienceManager.js';
-import { showItemPickupMessage } from '../game/groundItemUI.js';
+import { showItemPickupMessage, showFloatingText } from '../game/groundItemUI.js';
 import { auth } from '../utils/firebaseClient.js';
 import { itemsById } from '../data/content.js';
+import { DEFAULT_AREA_ID } from '../data/areaData.js';
+import { inventoryManager } from '../game/inventoryManager.js';
+import { sendActionRequest } from './actionService.js';
+import { getPlayerInventory } from './firestoreService.js';
 
 /**
  * Get item definition from items.json
@@ -31,6 +35,7 @@ function getItemDefinition(itemId) {
  * SERVER RESPONSIBILITIES:
  * - Manages ground item persistence in Firebase RTDB
  * - Handles loot dropping from enemy deaths
+ * - Moves items players drop from their inventory onto the ground
  * - Processes pickup transactions with atomic operations
  * - Validates pickup distance and ownership restrictions
  * - Removes items from ground after successful pickup
@@ -41,6 +46,7 @@ function getItemDefinition(itemId) {
  * - Handles immediate visual feedback for pickup attempts
  * - Updates local state only after server confirms transaction
  * - Provides canvas-based highlighting via highlightManager
+ * - Requests drops and mirrors them in the inventory once confirmed
  *
  * SYNCHRONIZATION FLOW:
  * 1. Server drops loot → Firebase RTDB updated
@@ -66,6 +72,8 @@ function getItemDefinition(itemId) {
 
 // Track pickup attempts to prevent spamming
 const activePickupAttempts = new Set();
+// Inventory slots with a drop request in flight
+const activeDropSlots = new Set();
 
 /**
  * Subscribes to ground items for the current area.
@@ -82,9 +90,14 @@ const activePickupAttempts = new Set();
  */
 export function subscribeGroundItems(areaId) {
     const groundItemsRef = ref(db, `areas/${areaId}/groundItems`);
+    let allGroundItems = [];
+    let releaseTimer = null;
 
-    return onValue(groundItemsRef, (snapshot) => {
-        const groundItemsData = snapshot.val() || {};
+    // Show the items visible to the current player, and filter again when the
+    // next hidden item is released to everyone
+    const applyVisibility = () => {
+        if (releaseTimer) clearTimeout(releaseTimer);
+        releaseTimer = null;
 
         // Get current player ID for visibility filtering
         const currentPlayerId = auth.currentUser?.uid;
@@ -94,32 +107,33 @@ export function subscribeGroundItems(areaId) {
             return;
         }
 
+        // Update game state with filtered visible items
+        game.groundItems = allGroundItems.filter(item => isItemVisibleToPlayer(item, currentPlayerId));
+
+        const now = Date.now();
+        const nextRelease = allGroundItems
+            .filter(item => typeof item.releaseAt === 'number' && item.releaseAt > now && !isItemVisibleToPlayer(item, currentPlayerId))
+            .reduce((next, item) => Math.min(next, item.releaseAt), Infinity);
+        if (nextRelease !== Infinity) {
+            releaseTimer = setTimeout(applyVisibility, nextRelease - now);
+        }
+    };
+
+    const unsubscribe = onValue(groundItemsRef, (snapshot) => {
+        const groundItemsData = snapshot.val() || {};
+
         // Convert Firebase data structure to array format for game rendering
-        // Only include items that are visible to the current player
-        const allGroundItems = Object.entries(groundItemsData).map(([id, item]) => ({
+        allGroundItems = Object.entries(groundItemsData).map(([id, item]) => ({
             id,
             ...item
         }));
-
-        // Filter items based on visibility restrictions
-        const visibleItems = allGroundItems.filter(item => {
-            // If item has visibleTo array, check if current player is included
-            if (item.visibleTo && Array.isArray(item.visibleTo)) {
-                return item.visibleTo.includes(currentPlayerId);
-            }
-
-            // Fallback to old ownership system for backward compatibility
-            if (item.ownerId) {
-                return item.ownerId === currentPlayerId;
-            }
-
-            // If no ownership/visibility restrictions, item is visible to everyone
-            return true;
-        });
-
-        // Update game state with filtered visible items
-        game.groundItems = visibleItems;
+        applyVisibility();
     });
+
+    return () => {
+        if (releaseTimer) clearTimeout(releaseTimer);
+        unsubscribe();
+    };
 }
 
 /**
@@ -176,7 +190,7 @@ export async function pickupGroundItem(itemId, playerId, playerX, playerY) {
         // Use Firebase Realtime Database actions (handled by Cloud Functions)
         let result;
         try {
-            const areaId = window.gameInstance?.areaId || 'beach';
+            const areaId = window.gameInstance?.areaId || DEFAULT_AREA_ID;
             const reqRef = push(ref(db, `actions/pickupRequests/${areaId}`));
             const reqId = reqRef.key;
             await set(reqRef, { itemId, uid: safePlayerId, playerX: worldX, playerY: worldY, ts: Date.now() });
@@ -199,7 +213,27 @@ export async function pickupGroundItem(itemId, playerId, playerX, playerY) {
             result = await attemptDirectPickup(itemId, safePlayerId, worldX, worldY);
         }
 
-        if (result.success) {
+        if (result.success && Array.isArray(result.items)) {
+            // The server already stacked the item into the saved inventory
+            // (and granted gathering XP for forage); mirror it locally
+            let granted = 0;
+            for (const item of result.items) {
+                if (item.count > 0 && applyGrantedItem(item.type, item.count, item.instances || null)) granted += item.count;
+            }
+            if (granted > 0) {
+                playPickupSound();
+                showItemPickupMessage(pickedUpItem.type, granted, pickedUpItem.x, pickedUpItem.y);
+            }
+            if (result.xp) experienceManager.applyGrantedExp(result.xp.skill, result.xp.amount);
+
+            // Whatever didn't fit stays on the ground; the sync updates its count
+            if (result.inventoryFull) {
+                showFloatingText('Inventory full', pickedUpItem.x, pickedUpItem.y - 12, '#f87171');
+            } else {
+                game.groundItems = game.groundItems.filter(item => item.id !== itemId);
+            }
+            return true;
+        } else if (result.success) {
             // Grant item to player inventory (addItemToInventory now handles currency items automatically)
             try {
                 // Validate item data before adding to inventory
@@ -231,7 +265,7 @@ export async function pickupGroundItem(itemId, playerId, playerX, playerY) {
                 });
 
                 // Use canonical type when adding to inventory
-                const added = await addItemToInventory(canonicalType, itemCount);
+                const added = await addItemToInventory(canonicalType, itemCount, pickedUpItem.instance ? [pickedUpItem.instance] : null);
 
                 if (added === true || (typeof added === 'object' && added.success)) {
                     // Play pickup sound for successful inventory addition
@@ -276,6 +310,9 @@ export async function pickupGroundItem(itemId, playerId, playerX, playerY) {
 
             return true;
         } else {
+            if (result.error === 'inventory_full') {
+                showFloatingText('Inventory full', pickedUpItem.x, pickedUpItem.y - 12, '#f87171');
+            }
             return false;
         }
 
@@ -303,6 +340,72 @@ export async function pickupGroundItem(itemId, playerId, playerX, playerY) {
     }
 }
 
+/**
+ * Drops items from an inventory slot onto the ground at the player's drone.
+ * The server takes them out of the saved inventory and creates the ground
+ * item, owned by the player for a short time before it is released to
+ * everyone; the inventory is only changed locally once the server confirms.
+ *
+ * @param {number} slotIndex - Inventory slot to drop from
+ * @param {number} [quantity] - How many to drop (defaults to the whole stack)
+ * @returns {Promise<boolean>} Whether the items were dropped
+ */
+export async function dropInventoryItem(slotIndex, quantity = null) {
+    const uid = auth.currentUser?.uid;
+    const slot = inventoryManager.getSlot(slotIndex);
+    if (!uid || !slot || activeDropSlots.has(slotIndex)) {
+        return false;
+    }
+
+    activeDropSlots.add(slotIndex);
+    try {
+        const areaId = window.gameInstance?.areaId || DEFAULT_AREA_ID;
+        const result = await sendActionRequest('drop', areaId, {
+            uid,
+            slotIndex,
+            itemId: slot.itemId,
+            instanceId: slot.instanceId || null,
+            quantity,
+        });
+        if (!result.success) {
+            console.warn('[DROP] Drop rejected by server:', result.error);
+            await reloadInventoryFromServer(uid);
+            return false;
+        }
+
+        // The server already removed the items from the saved inventory;
+        // mirror it locally (this also shows the drop notification)
+        inventoryManager.dropItem(slot.itemId, result.item.count, slotIndex);
+        playItemDropSound();
+        return true;
+    } catch (error) {
+        // The server may still have taken the items (e.g. a slow cold start)
+        console.warn('[DROP] Drop request failed:', error?.message || error);
+        await reloadInventoryFromServer(uid);
+        return false;
+    } finally {
+        activeDropSlots.delete(slotIndex);
+    }
+}
+
+/**
+ * Replaces the local inventory with the saved one after a drop whose outcome
+ * is unknown, so the next full-inventory save can't write back (and
+ * duplicate) items the server already dropped.
+ *
+ * @param {string} uid - The player's user ID
+ */
+async function reloadInventoryFromServer(uid) {
+    try {
+        const saved = await getPlayerInventory(uid);
+        // Mostly empty arrays come back as index-keyed objects
+        const slots = Array.from({ length: inventoryManager.MAX_SLOTS }, (_, i) => (saved && saved[i]) || null);
+        inventoryManager.initialize(slots);
+    } catch (error) {
+        console.error('[DROP] Failed to reload inventory from server:', error);
+    }
+}
+
 /**
  * Attempts direct pickup when server is unavailable.
  * This is a fallback mechanism for local player pickups.
@@ -333,8 +436,8 @@ async function attemptDirectPickup(itemId, playerId, playerX, playerY) {
             return { success: false, error: 'Too far from item' };
         }
 
-        // Get area ID from game state (assuming beach for now, but this should be dynamic)
-        const areaId = window.gameInstance?.areaId || 'beach';
+        // Get area ID from game state (the area the player is currently in)
+        const areaId = window.gameInstance?.areaId || DEFAULT_AREA_ID;
 
         // Direct Firebase removal (no server transaction)
         const itemRef = ref(db, `areas/${areaId}/groundItems/${itemId}`);
@@ -389,6 +492,8 @@ export function canPickupItem(item, playerX, playerY, maxDistance = 50) {
  * Used for interaction validation before attempting pickup.
  *
  * VISIBILITY LOGIC:
+ * - Items whose `releaseAt` has passed are visible to everyone (the server
+ *   lets anyone pick them up from then on)
  * - Items with `visibleTo` array are only visible to players in that array
  * - Items with `ownerId` are only visible to that specific player (backward compatibility)
  * - Items without restrictions are visible to everyone
@@ -402,6 +507,11 @@ export function isItemVisibleToPlayer(item, playerId) {
         return false;
     }
 
+    // Released items (e.g. a player's drop after its owner time) are public
+    if (typeof item.releaseAt === 'number' && item.releaseAt <= Date.now()) {
+        return true;
+    }
+
     // If item has visibleTo array, check if player is included
     if (item.visibleTo && Array.isArray(item.visibleTo)) {
         return item.visibleTo.includes(playerId);
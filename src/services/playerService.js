@@ -1,4 +1,4 @@
-import { getPlayerInventory, setPlayerInventory, updatePlayerAreaState } from './firestoreService.js';
+import { getPlayerInventory, setPlayerInventory, updatePlayerAreaState, setPlayerAreaPosition } from './firestoreService.js';
 import { get, ref } from 'firebase/database';
 import { database } from '../utils/firebaseClient.js';
 import { gameState } from '../app/state.js';
@@ -10,6 +10,10 @@ import { game } from '../game/core.js';
 import { showPlayerTyping, hidePlayerBubble, showPlayerMessage, removePlayerBubble } from '../game/character.js';
 import { worldToScreenCoords } from '../utils/math.js';
 import { experienceManager } from '../game/experienceManager.js';
+import { DEFAULT_AREA_ID } from '../data/areaData.js';
+import { explorationManager } from '../game/explorationManager.js';
+import { equipmentManager } from '../game/equipmentManager.js';
+import { bankManager } from '../game/bankManager.js';
 
 // AI: Increased save interval to reduce Firebase Realtime Database write operations for player position.
 // Clients are expected to interpolate player movement for smoothness between server updates.
@@ -19,7 +23,7 @@ class PlayerService {
   constructor() {
     this.uid = null;
     this.areaState = {
-      areaId: 'beach',
+      areaId: DEFAULT_AREA_ID,
       x: null, // AI: Let game center the player initially
       y: null, // AI: Let game center the player initially  
       action: null,
@@ -27,6 +31,8 @@ class PlayerService {
     this.saveIntervalId = null;
     this.lastSavedState = null;
     this._initialized = false;
+    // Last known position per area: areaId -> { x, y } (players/{uid}/areaPositions)
+    this.areaPositions = {};
   }
 
   /**
@@ -44,6 +50,9 @@ class PlayerService {
     }
     this.uid = uid;
     experienceManager.initialize(uid); // AI: Initialize the experience manager with the UID.
+    explorationManager.initialize(uid); // Load world map exploration and pins
+    equipmentManager.initialize(uid); // Load equipped gear for the stat sheet
+    bankManager.initialize(uid); // Load bank storage
     if (this.saveIntervalId) {
       try { clearInterval(this.saveIntervalId); } catch (_) {}
       this.saveIntervalId = null;
@@ -70,6 +79,33 @@ class PlayerService {
     this.areaState = { ...this.areaState, ...newState };
   }
 
+  /**
+   * Remember where the player was in an area so returning to it (other than
+   * through a portal) puts them back there.
+   * @param {string} areaId
+   * @param {number} x
+   * @param {number} y
+   */
+  rememberAreaPosition(areaId, x, y) {
+    if (!areaId || typeof x !== 'number' || typeof y !== 'number') return;
+    this.areaPositions[areaId] = { x, y };
+    if (this.uid) {
+      setPlayerAreaPosition(this.uid, areaId, { x, y }).catch((error) => {
+        console.error('[PlayerService] Failed to save area position:', error);
+      });
+    }
+  }
+
+  /**
+   * Last remembered position in an area, if any.
+   * @param {string} areaId
+   * @returns {{x: number, y: number}|null}
+   */
+  getRememberedPosition(areaId) {
+    const pos = this.areaPositions[areaId];
+    return pos && typeof pos.x === 'number' && typeof pos.y === 'number' ? { x: pos.x, y: pos.y } : null;
+  }
+
   /**
    * Saves the player's state to Firestore and localStorage if it has changed.
    * @private
@@ -135,6 +171,9 @@ class PlayerService {
       const snap = await get(ref(database, `players/${this.uid}`));
       if (snap.exists()) {
         const remoteData = snap.val();
+        if (remoteData && remoteData.areaPositions && typeof remoteData.areaPositions === 'object') {
+          this.areaPositions = { ...remoteData.areaPositions };
+        }
         if (remoteData && remoteData.areaId) {
           let rx, ry;
           if (typeof remoteData.ax === 'number' && typeof remoteData.ay === 'number') {
@@ -18,6 +18,15 @@ export async function joinArea(areaId, uid, initial) {
   } catch (_) {}
 }
 
+// Remove presence from an area we are leaving and cancel its disconnect hook
+export async function leaveArea(areaId, uid) {
+  try {
+    const r = playerRef(areaId, uid);
+    await onDisconnect(r).cancel();
+    await set(r, null);
+  } catch (_) {}
+}
+
 export async function updateAreaPlayer(areaId, uid, data) {
   try {
     const r = playerRef(areaId, uid);
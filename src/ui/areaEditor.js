@@ -0,0 +1,675 @@
+import { camera } from '../game/world.js';
+import { pushAreaResourceLayout } from '../game/resources.js';
+import { initWorldObjects } from '../game/worldObjects.js';
+import { isUserAdmin } from '../services/firestoreService.js';
+import { eventToWorldCoords } from '../utils/math.js';
+import { getAreaResourceLayout } from '../game/nodePlacement.js';
+import { areaData, getArea } from '../data/areaData.js';
+import { resourceConfigs } from '../data/resourceConfigs.js';
+import { areaEditorConfig } from '../data/areaEditorConfig.js';
+
+const TOOLS = [
+  { id: 'select', label: 'Select' },
+  { id: 'node', label: 'Node' },
+  { id: 'portal', label: 'Portal' },
+  { id: 'spawn', label: 'Spawn' }
+];
+
+const NODE_TYPES = Object.keys(resourceConfigs).filter(type => type !== 'default');
+
+// Deep copy of an area entry so edits never touch areaData until pushed
+const cloneArea = (area) => JSON.parse(JSON.stringify(area));
+
+/**
+ * AI: Area editor (admin only)
+ * Edits the current area's layout on the live canvas: place, drag and delete
+ * resource nodes, portals and the spawn point, optionally snapped to a grid.
+ * The edited layout can be pushed to RTDB through `pushAreaResourceLayout` (and
+ * applied to this session's portals/spawn) or exported as an
+ * `areaData`-compatible JSON object or JS module to commit to
+ * `src/data/areaData.js`. Exported areas carry an explicit `resourceNodes`
+ * list, which pins that layout in place of the area's generated
+ * `resourceRules` layout. Pushed layouts are re-synced from code the next
+ * time a client loads the area, so exporting is what makes them permanent.
+ *
+ * Only users listed under the `admins` RTDB node get the toggle key and panel.
+ */
+class AreaEditor {
+  constructor() {
+    this.game = null;
+    this.canvas = null;
+    this.element = null;
+    this.isAdmin = false;
+    this.enabled = false;
+
+    this.areaId = null;
+    this.layout = null; // Edited copy of areaData[areaId]
+    this.tool = 'select';
+    this.nodeType = NODE_TYPES[0] || 'sandstone';
+    this.snap = true;
+    this.gridSize = areaEditorConfig.defaultGridSize;
+    this.selected = null; // { kind: 'node'|'portal'|'spawn', index }
+    this.dragging = false;
+    this.dirty = false;
+    this.pointer = null; // Last world position under the mouse
+
+    this.ui = {};
+  }
+
+  /**
+   * AI: Check admin rights and, for admins, build the panel and bind input
+   * @param {object} game - Game state (areaId, player)
+   * @param {HTMLCanvasElement} canvas - Game canvas
+   * @param {string} uid - Signed-in user's ID
+   */
+  async init(game, canvas, uid) {
+    this.game = game;
+    this.canvas = canvas;
+    try {
+      this.isAdmin = await isUserAdmin(uid);
+    } catch (error) {
+      console.warn('[AreaEditor] Admin check failed:', error);
+      this.isAdmin = false;
+    }
+    if (!this.isAdmin || this.element) return;
+    this.createElement();
+    this.bindInput();
+  }
+
+  /**
+   * AI: Open or close the editor
+   */
+  toggle() {
+    if (!this.isAdmin) return;
+    this.enabled = !this.enabled;
+    if (this.enabled) {
+      this.loadLayout(this.game.areaId);
+    } else {
+      this.dragging = false;
+    }
+    this.element.classList.toggle('hidden', !this.enabled);
+  }
+
+  /**
+   * AI: Start editing an area from its areaData definition
+   * @param {string} areaId
+   */
+  loadLayout(areaId) {
+    const area = getArea(areaId);
+    this.areaId = area.id;
+    const { id: _id, ...entry } = area;
+    this.layout = cloneArea(entry);
+    this.layout.portals = this.layout.portals || [];
+    // Start from the generated (or pinned) layout; exporting pins it
+    this.layout.resourceNodes = getAreaResourceLayout(area);
+    this.selected = null;
+    this.dirty = false;
+    this.updateTitle();
+    this.renderInspector();
+    this.setStatus(`Editing ${area.id}`);
+  }
+
+  snapValue(v) {
+    return this.snap ? Math.round(v / this.gridSize) * this.gridSize : Math.round(v);
+  }
+
+  // Marker at a world position (spawn first, then portals, then nodes)
+  hitTest(x, y) {
+    const r = areaEditorConfig.hitRadius;
+    const near = (p) => Math.hypot(p.x - x, p.y - y) <= r;
+    if (near(this.layout.spawn)) return { kind: 'spawn', index: 0 };
+    const portal = this.layout.portals.findIndex(near);
+    if (portal !== -1) return { kind: 'portal', index: portal };
+    const node = this.layout.resourceNodes.findIndex(near);
+    if (node !== -1) return { kind: 'node', index: node };
+    return null;
+  }
+
+  getSelectedEntry() {
+    if (!this.selected) return null;
+    const { kind, index } = this.selected;
+    if (kind === 'spawn') return this.layout.spawn;
+    if (kind === 'portal') return this.layout.portals[index] || null;
+    return this.layout.resourceNodes[index] || null;
+  }
+
+  // First unused `${prefix}_${n}` id in a list
+  nextId(list, prefix) {
+    const used = new Set(list.map(entry => entry.id));
+    let n = 1;
+    while (used.has(`${prefix}_${n}`)) n++;
+    return `${prefix}_${n}`;
+  }
+
+  placeNode(x, y) {
+    const nodes = this.layout.resourceNodes;
+    nodes.push({ id: this.nextId(nodes, this.nodeType), type: this.nodeType, x, y, cooldownUntil: 0 });
+    this.markDirty();
+    this.select({ kind: 'node', index: nodes.length - 1 });
+  }
+
+  placePortal(x, y) {
+    const portals = this.layout.portals;
+    // Default destination: the first other area's spawn point
+    const targetId = Object.keys(areaData).find(id => id !== this.areaId) || this.areaId;
+    const target = getArea(targetId);
+    portals.push({
+      id: this.nextId(portals, `${this.areaId}_portal`),
+      x,
+      y,
+      targetArea: target.id,
+      targetX: target.spawn.x,
+      targetY: target.spawn.y
+    });
+    this.markDirty();
+    this.select({ kind: 'portal', index: portals.length - 1 });
+  }
+
+  deleteAt(target) {
+    if (!target || target.kind === 'spawn') return; // Every area keeps a spawn point
+    const list = target.kind === 'portal' ? this.layout.portals : this.layout.resourceNodes;
+    const [removed] = list.splice(target.index, 1);
+    this.selected = null;
+    this.markDirty();
+    this.renderInspector();
+    if (removed) this.setStatus(`Deleted ${removed.id}`);
+  }
+
+  select(target) {
+    this.selected = target;
+    this.renderInspector();
+  }
+
+  markDirty() {
+    if (this.dirty) return;
+    this.dirty = true;
+    this.updateTitle();
+  }
+
+  // Title shows the area being edited and a marker for unpushed changes
+  updateTitle() {
+    const area = getArea(this.areaId);
+    this.ui.title.textContent = `Area Editor: ${area.name}${this.dirty ? ' *' : ''}`;
+  }
+
+  /**
+   * AI: The edited area merged into the full areaData object
+   */
+  getExportData() {
+    const merged = {};
+    for (const [id, area] of Object.entries(areaData)) {
+      merged[id] = id === this.areaId ? this.layout : area;
+    }
+    return merged;
+  }
+
+  getModuleSource() {
+    return [
+      '// Exported from the in-game area editor.',
+      '// Replace the `areaData` object in src/data/areaData.js with this one.',
+      `export const areaData = ${JSON.stringify(this.getExportData(), null, 2)};`,
+      ''
+    ].join('\n');
+  }
+
+  async copyJson() {
+    const json = JSON.stringify({ [this.areaId]: this.layout }, null, 2);
+    try {
+      await navigator.clipboard.writeText(json);
+      this.setStatus('Layout JSON copied to clipboard');
+    } catch (error) {
+      console.warn('[AreaEditor] Clipboard write failed:', error);
+      this.setStatus('Clipboard unavailable; use Download instead');
+    }
+  }
+
+  downloadModule() {
+    const blob = new window.Blob([this.getModuleSource()], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'areaData.js';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.setStatus('Downloaded areaData.js');
+  }
+
+  /**
+   * AI: Sync the edited nodes to RTDB and apply portals/spawn to this session
+   */
+  async pushLayout() {
+    const areaId = this.areaId;
+    this.setStatus('Pushing layout…');
+    try {
+      await pushAreaResourceLayout(areaId, this.layout.resourceNodes);
+      Object.assign(areaData[areaId], cloneArea(this.layout));
+      if (this.game.areaId === areaId) {
+        this.game.areaData = getArea(areaId);
+        initWorldObjects(areaId);
+      }
+      this.dirty = false;
+      this.updateTitle();
+      this.setStatus('Pushed. Export and commit areaData.js to keep it.');
+    } catch (error) {
+      console.error('[AreaEditor] Failed to push layout:', error);
+      this.setStatus('Push failed (see console)');
+    }
+  }
+
+  setStatus(text) {
+    if (this.ui.status) this.ui.status.textContent = text;
+  }
+
+  /**
+   * AI: Route canvas mouse input to the editor while it is open
+   */
+  bindInput() {
+    const isCanvasEvent = (e) => this.enabled && e.target === this.canvas;
+    const worldAt = (e) => eventToWorldCoords(e, this.canvas, camera);
+
+    // Capture phase on window so the game's own canvas handlers (move,
+    // mine, interact) never see clicks meant for the editor
+    window.addEventListener('mousedown', (e) => {
+      if (!isCanvasEvent(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.game.areaId !== this.areaId) this.loadLayout(this.game.areaId);
+      const world = worldAt(e);
+      if (!world) return;
+      const hit = this.hitTest(world.x, world.y);
+
+      if (e.button === 2) {
+        this.deleteAt(hit);
+        return;
+      }
+      if (e.button !== 0) return;
+
+      const x = this.snapValue(world.x);
+      const y = this.snapValue(world.y);
+      if (this.tool === 'node') {
+        this.placeNode(x, y);
+      } else if (this.tool === 'portal') {
+        this.placePortal(x, y);
+      } else if (this.tool === 'spawn') {
+        this.layout.spawn = { x, y };
+        this.markDirty();
+        this.select({ kind: 'spawn', index: 0 });
+      } else {
+        this.selected = hit;
+        this.dragging = !!hit;
+        this.renderInspector();
+      }
+    }, true);
+
+    window.addEventListener('mousemove', (e) => {
+      if (!this.enabled) return;
+      const world = worldAt(e);
+      if (world) this.pointer = world;
+      if (!this.dragging || !world) return;
+      const entry = this.getSelectedEntry();
+      if (!entry) return;
+      entry.x = this.snapValue(world.x);
+      entry.y = this.snapValue(world.y);
+      this.markDirty();
+      this.renderInspector();
+    });
+
+    window.addEventListener('mouseup', () => {
+      this.dragging = false;
+    });
+
+    window.addEventListener('contextmenu', (e) => {
+      if (isCanvasEvent(e)) e.preventDefault();
+    }, true);
+
+    window.addEventListener('keydown', (e) => {
+      const active = document.activeElement;
+      if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.tagName === 'SELECT' || active.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === areaEditorConfig.toggleKey) {
+        e.preventDefault();
+        this.toggle();
+      } else if (this.enabled && (key === 'delete' || key === 'backspace')) {
+        e.preventDefault();
+        this.deleteAt(this.selected);
+      } else if (this.enabled && key === 'escape') {
+        this.selected = null;
+        this.renderInspector();
+      }
+    });
+  }
+
+  /**
+   * AI: Create the editor panel DOM
+   */
+  createElement() {
+    this.element = document.createElement('div');
+    this.element.id = 'area-editor';
+    this.element.className = 'area-editor hidden';
+
+    const title = document.createElement('div');
+    title.className = 'area-editor-title';
+    this.ui.title = title;
+
+    // Tool buttons
+    const tools = document.createElement('div');
+    tools.className = 'area-editor-row';
+    this.ui.toolButtons = {};
+    for (const tool of TOOLS) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'area-editor-button';
+      button.textContent = tool.label;
+      button.addEventListener('click', () => this.setTool(tool.id));
+      this.ui.toolButtons[tool.id] = button;
+      tools.appendChild(button);
+    }
+
+    // Node type for the Node tool
+    const typeRow = document.createElement('label');
+    typeRow.className = 'area-editor-row';
+    typeRow.textContent = 'Node type ';
+    const typeSelect = this.createSelect(NODE_TYPES, this.nodeType, (value) => {
+      this.nodeType = value;
+    });
+    typeRow.appendChild(typeSelect);
+
+    // Grid snapping
+    const snapRow = document.createElement('label');
+    snapRow.className = 'area-editor-row';
+    const snapToggle = document.createElement('input');
+    snapToggle.type = 'checkbox';
+    snapToggle.checked = this.snap;
+    snapToggle.addEventListener('change', () => {
+      this.snap = snapToggle.checked;
+    });
+    snapRow.appendChild(snapToggle);
+    snapRow.appendChild(document.createTextNode(' Snap to grid '));
+    snapRow.appendChild(this.createSelect(areaEditorConfig.gridSizes.map(String), String(this.gridSize), (value) => {
+      this.gridSize = Number(value);
+    }));
+
+    const inspector = document.createElement('div');
+    inspector.className = 'area-editor-inspector';
+    this.ui.inspector = inspector;
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'area-editor-row';
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'area-editor-button';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    };
+    addAction('Push', () => this.pushLayout());
+    addAction('Copy JSON', () => this.copyJson());
+    addAction('Download', () => this.downloadModule());
+    addAction('Revert', () => this.loadLayout(this.areaId));
+
+    const status = document.createElement('div');
+    status.className = 'area-editor-status';
+    this.ui.status = status;
+
+    const help = document.createElement('div');
+    help.className = 'area-editor-help';
+    help.textContent = `Right-click or Del deletes. ${areaEditorConfig.toggleKey.toUpperCase()} closes.`;
+
+    this.element.appendChild(title);
+    this.element.appendChild(tools);
+    this.element.appendChild(typeRow);
+    this.element.appendChild(snapRow);
+    this.element.appendChild(inspector);
+    this.element.appendChild(actions);
+    this.element.appendChild(status);
+    this.element.appendChild(help);
+
+    this.addStyles();
+    document.body.appendChild(this.element);
+    this.setTool(this.tool);
+  }
+
+  createSelect(values, current, onChange) {
+    const select = document.createElement('select');
+    select.className = 'area-editor-input';
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.value = current;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  createNumberInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'area-editor-input area-editor-number';
+    input.value = String(value);
+    input.addEventListener('change', () => {
+      const n = Number(input.value);
+      if (Number.isFinite(n)) onChange(Math.round(n));
+    });
+    return input;
+  }
+
+  setTool(toolId) {
+    this.tool = toolId;
+    for (const [id, button] of Object.entries(this.ui.toolButtons)) {
+      button.classList.toggle('active', id === toolId);
+    }
+  }
+
+  /**
+   * AI: Show editable fields for the selected marker
+   */
+  renderInspector() {
+    const el = this.ui.inspector;
+    if (!el) return;
+    // Don't rebuild while the user is typing into one of the fields
+    if (el.contains(document.activeElement) && !this.dragging) return;
+    el.innerHTML = '';
+
+    const entry = this.getSelectedEntry();
+    if (!entry || !this.selected) {
+      el.textContent = 'Nothing selected';
+      return;
+    }
+
+    const heading = document.createElement('div');
+    heading.textContent = this.selected.kind === 'spawn' ? 'Spawn point' : entry.id;
+    el.appendChild(heading);
+
+    const row = document.createElement('div');
+    row.className = 'area-editor-row';
+    row.appendChild(document.createTextNode('x '));
+    row.appendChild(this.createNumberInput(entry.x, (v) => { entry.x = v; this.markDirty(); }));
+    row.appendChild(document.createTextNode(' y '));
+    row.appendChild(this.createNumberInput(entry.y, (v) => { entry.y = v; this.markDirty(); }));
+    el.appendChild(row);
+
+    if (this.selected.kind === 'node') {
+      const typeRow = document.createElement('div');
+      typeRow.className = 'area-editor-row';
+      typeRow.appendChild(document.createTextNode('type '));
+      typeRow.appendChild(this.createSelect(NODE_TYPES, entry.type, (value) => { entry.type = value; this.markDirty(); }));
+      el.appendChild(typeRow);
+    } else if (this.selected.kind === 'portal') {
+      const targetRow = document.createElement('div');
+      targetRow.className = 'area-editor-row';
+      targetRow.appendChild(document.createTextNode('to '));
+      targetRow.appendChild(this.createSelect(Object.keys(areaData), entry.targetArea, (value) => { entry.targetArea = value; this.markDirty(); }));
+      el.appendChild(targetRow);
+
+      const arrivalRow = document.createElement('div');
+      arrivalRow.className = 'area-editor-row';
+      arrivalRow.appendChild(document.createTextNode('arrive x '));
+      arrivalRow.appendChild(this.createNumberInput(entry.targetX, (v) => { entry.targetX = v; this.markDirty(); }));
+      arrivalRow.appendChild(document.createTextNode(' y '));
+      arrivalRow.appendChild(this.createNumberInput(entry.targetY, (v) => { entry.targetY = v; this.markDirty(); }));
+      el.appendChild(arrivalRow);
+    }
+  }
+
+  /**
+   * AI: Draw the grid and edited layout. Expects the camera transform to be applied.
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawOverlay(ctx) {
+    if (!this.enabled || !this.layout) return;
+    const { colors, hitRadius } = areaEditorConfig;
+
+    ctx.save();
+
+    // Snap grid across the visible viewport
+    if (this.snap) {
+      const step = this.gridSize;
+      const x0 = Math.floor(camera.x / step) * step;
+      const y0 = Math.floor(camera.y / step) * step;
+      const x1 = camera.x + camera.width;
+      const y1 = camera.y + camera.height;
+      ctx.strokeStyle = colors.grid;
+      ctx.lineWidth = 1 / camera.zoom;
+      ctx.beginPath();
+      for (let x = x0; x <= x1; x += step) {
+        ctx.moveTo(x, y0);
+        ctx.lineTo(x, y1);
+      }
+      for (let y = y0; y <= y1; y += step) {
+        ctx.moveTo(x0, y);
+        ctx.lineTo(x1, y);
+      }
+      ctx.stroke();
+    }
+
+    ctx.font = '9px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const isSelected = (kind, index) => !!this.selected && this.selected.kind === kind && this.selected.index === index;
+    const marker = (x, y, color, label, selected, square) => {
+      ctx.strokeStyle = selected ? colors.selected : color;
+      ctx.lineWidth = selected ? 2.5 : 1.5;
+      ctx.beginPath();
+      if (square) {
+        ctx.rect(x - hitRadius * 0.7, y - hitRadius * 0.7, hitRadius * 1.4, hitRadius * 1.4);
+      } else {
+        ctx.arc(x, y, hitRadius * 0.8, 0, Math.PI * 2);
+      }
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillText(label, x + 1, y - hitRadius + 1);
+      ctx.fillStyle = selected ? colors.selected : color;
+      ctx.fillText(label, x, y - hitRadius);
+    };
+
+    this.layout.resourceNodes.forEach((node, i) => {
+      marker(node.x, node.y, colors.node, node.type, isSelected('node', i), false);
+    });
+    this.layout.portals.forEach((portal, i) => {
+      marker(portal.x, portal.y, colors.portal, `→ ${portal.targetArea}`, isSelected('portal', i), true);
+    });
+    const { spawn } = this.layout;
+    marker(spawn.x, spawn.y, colors.spawn, 'spawn', isSelected('spawn', 0), true);
+
+    // Placement preview under the cursor
+    if (this.pointer && this.tool !== 'select') {
+      ctx.globalAlpha = 0.5;
+      ctx.strokeStyle = colors[this.tool] || colors.node;
+      ctx.beginPath();
+      ctx.arc(this.snapValue(this.pointer.x), this.snapValue(this.pointer.y), hitRadius * 0.8, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * AI: Add CSS styles for the editor panel
+   */
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .area-editor {
+        position: fixed;
+        top: 20px;
+        left: 20px;
+        z-index: 60;
+        width: 250px;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        background: rgba(0, 0, 0, 0.85);
+        border: 1px solid rgba(167, 139, 250, 0.4);
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        font-family: 'Arial', sans-serif;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.85);
+      }
+
+      .area-editor.hidden {
+        display: none;
+      }
+
+      .area-editor-title {
+        font-weight: bold;
+        font-size: 12px;
+        color: #c4b5fd;
+      }
+
+      .area-editor-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+      }
+
+      .area-editor-button {
+        padding: 2px 6px;
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        color: inherit;
+        cursor: pointer;
+      }
+
+      .area-editor-button:hover,
+      .area-editor-button.active {
+        background: rgba(167, 139, 250, 0.35);
+        border-color: rgba(167, 139, 250, 0.8);
+      }
+
+      .area-editor-input {
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        color: inherit;
+        font-size: 11px;
+      }
+
+      .area-editor-number {
+        width: 56px;
+      }
+
+      .area-editor-inspector {
+        padding: 4px;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.04);
+      }
+
+      .area-editor-status,
+      .area-editor-help {
+        color: rgba(255, 255, 255, 0.6);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// AI: Export singleton instance
+export const areaEditor = new AreaEditor();
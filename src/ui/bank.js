@@ -0,0 +1,227 @@
+// Module: bank window
+// Purpose: Show the bank (`bankManager`) next to the inventory, with tabs,
+// search, deposit-all and withdraw-X.
+//
+// - Opened from a bank world object (worldObjects.js). Opening also shows the
+//   main panel's Inventory tab so items can be dragged between bag and bank;
+//   those drops are routed in dragDrop.js (bank slots are drop targets).
+// - Clicking a bank slot withdraws the Withdraw amount; shift-click withdraws
+//   the whole stack.
+// - A search shows the matching items from every tab instead of one tab.
+
+import { bankManager } from '../game/bankManager.js';
+import { bankConfig } from '../data/bankConfig.js';
+import { itemsById } from '../data/content.js';
+import { raritiesById } from '../data/affixConfig.js';
+import { createPixelIconForItem } from '../data/pixelIcons.js';
+import { makeDraggable, makeItemDraggable } from '../utils/draggable.js';
+import { showInventoryTooltip, hideInventoryTooltip } from '../utils/domUtils.js';
+import { renderInventory } from './inventory.js';
+import { handleItemDrop } from './dragDrop.js';
+
+const STATUS_ERROR_CLASS = 'text-red-400';
+const TAB_ACTIVE_CLASSES = ['bg-sky-400/20', 'text-white', 'border-sky-400/30'];
+
+let activeTab = 0;
+let searchText = '';
+
+// Helper: safe DOM query with a descriptive warning when missing
+function q(id) {
+  const el = document.getElementById(id);
+  if (!el) {
+    console.warn(`[bank] Missing DOM element: ${id}`);
+  }
+  return el;
+}
+
+function setStatus(text, isError = false) {
+  const el = q('bank-status');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle(STATUS_ERROR_CLASS, isError);
+}
+
+// Bank stacks can get large; keep the slot label short
+function formatQuantity(quantity) {
+  if (quantity >= 1000000) return `${Math.floor(quantity / 1000000)}M`;
+  if (quantity >= 10000) return `${Math.floor(quantity / 1000)}k`;
+  return String(quantity);
+}
+
+function getWithdrawAmount() {
+  const value = Number.parseInt(q('bank-withdraw-amount')?.value, 10);
+  return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+function withdraw(index, quantity) {
+  const result = bankManager.withdraw(index, quantity);
+  if (result.withdrawn > 0) renderInventory();
+  if (!result.success || result.message === 'Inventory full') setStatus(result.message, true);
+}
+
+function createBankSlot(index) {
+  const slotEl = document.createElement('div');
+  slotEl.className = 'bank-slot';
+  slotEl.dataset.bankSlotIndex = String(index);
+
+  const entry = bankManager.getSlot(index);
+  const def = entry && itemsById[entry.itemId];
+  if (!def) return slotEl;
+
+  slotEl.appendChild(createPixelIconForItem(def, { cssSize: 24, scale: 2 }));
+  if (entry.quantity > 1) {
+    const quantitySpan = document.createElement('span');
+    quantitySpan.className = 'absolute bottom-0 right-0 bg-slate-700/80 text-slate-200 text-[10px] px-0.5 rounded-tl';
+    quantitySpan.textContent = formatQuantity(entry.quantity);
+    slotEl.appendChild(quantitySpan);
+  }
+  // Rolled equipment is outlined in its rarity color, as in the inventory
+  const rarity = entry.rarity && raritiesById[entry.rarity];
+  if (rarity && rarity.affixes > 0) slotEl.style.borderColor = rarity.color;
+
+  makeItemDraggable(slotEl, entry, 'bank', handleItemDrop, index);
+  const showTooltip = (e) => showInventoryTooltip(def, e.clientX, e.clientY, entry);
+  slotEl.addEventListener('mouseenter', showTooltip);
+  slotEl.addEventListener('mousemove', showTooltip);
+  slotEl.addEventListener('mouseleave', () => hideInventoryTooltip());
+  slotEl.addEventListener('click', (e) => {
+    hideInventoryTooltip();
+    withdraw(index, e.shiftKey ? Infinity : getWithdrawAmount());
+  });
+  return slotEl;
+}
+
+// Slots to show: the active tab, or every matching slot while searching
+function getVisibleSlots() {
+  const query = searchText.trim().toLowerCase();
+  if (!query) {
+    const start = activeTab * bankConfig.slotsPerTab;
+    return Array.from({ length: bankConfig.slotsPerTab }, (_, i) => start + i);
+  }
+  const matches = [];
+  for (let i = 0; i < bankManager.SLOT_COUNT; i++) {
+    const entry = bankManager.slots[i];
+    const name = entry && (itemsById[entry.itemId]?.name || entry.itemId);
+    if (name && name.toLowerCase().includes(query)) matches.push(i);
+  }
+  return matches;
+}
+
+function renderTabs() {
+  const tabsEl = q('bank-tabs');
+  if (!tabsEl) return;
+  const searching = !!searchText.trim();
+  tabsEl.querySelectorAll('button').forEach((button, tab) => {
+    const active = !searching && tab === activeTab;
+    TAB_ACTIVE_CLASSES.forEach(cls => button.classList.toggle(cls, active));
+    button.classList.toggle('text-slate-400', !active);
+  });
+}
+
+function renderBank() {
+  const grid = q('bank-grid');
+  if (!grid) return;
+  hideInventoryTooltip();
+  grid.innerHTML = '';
+  const slots = getVisibleSlots();
+  slots.forEach(index => grid.appendChild(createBankSlot(index)));
+  if (searchText.trim() && slots.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'col-span-8 text-sm text-slate-500';
+    empty.textContent = 'No matching items in the bank.';
+    grid.appendChild(empty);
+  }
+  renderTabs();
+}
+
+/**
+ * Whether the bank window is open.
+ * @returns {boolean}
+ */
+export function isBankOpen() {
+  const panel = document.getElementById('bank-panel');
+  return !!panel && !panel.classList.contains('hidden');
+}
+
+/**
+ * Open the bank window together with the main panel's Inventory tab.
+ */
+export function openBankPanel() {
+  const panel = q('bank-panel');
+  if (!panel) return;
+  panel.classList.remove('hidden');
+  // Retry a failed load; the bank stays locked until it succeeds
+  if (!bankManager.loaded && bankManager.uid) bankManager.initialize(bankManager.uid);
+
+  const mainPanel = document.getElementById('main-panel-container');
+  if (mainPanel && mainPanel.classList.contains('hidden') && typeof window.toggleMainPanel === 'function') {
+    window.toggleMainPanel();
+  }
+  document.getElementById('tab-button-inventory')?.click();
+  // Inventory slots only become draggable while the main panel is visible
+  renderInventory();
+  setStatus('Drag items between your inventory and the bank.');
+  renderBank();
+}
+
+export function closeBankPanel() {
+  document.getElementById('bank-panel')?.classList.add('hidden');
+  hideInventoryTooltip();
+}
+
+// Initialize bank window
+export function initBankPanel() {
+  const panel = q('bank-panel');
+  const header = q('bank-header');
+  if (!panel || !header) return;
+  makeDraggable(panel, header);
+  q('bank-close')?.addEventListener('click', closeBankPanel);
+
+  const tabsEl = q('bank-tabs');
+  if (tabsEl) {
+    for (let tab = 0; tab < bankConfig.tabs; tab++) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'w-8 h-8 rounded-lg text-sm font-medium border border-transparent hover:bg-slate-700/50 transition-colors';
+      button.textContent = String(tab + 1);
+      button.title = `Bank tab ${tab + 1}`;
+      button.addEventListener('click', () => {
+        activeTab = tab;
+        searchText = '';
+        const search = q('bank-search');
+        if (search) search.value = '';
+        renderBank();
+      });
+      tabsEl.appendChild(button);
+    }
+  }
+
+  q('bank-search')?.addEventListener('input', (e) => {
+    searchText = e.target.value;
+    renderBank();
+  });
+
+  const amountInput = q('bank-withdraw-amount');
+  const presetsEl = q('bank-withdraw-presets');
+  if (presetsEl && amountInput) {
+    for (const amount of bankConfig.withdrawAmounts) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'px-2 py-1 rounded-lg bg-slate-800/80 hover:bg-slate-700/80 text-slate-300 border border-slate-600/30 transition-colors';
+      button.textContent = String(amount);
+      button.addEventListener('click', () => { amountInput.value = String(amount); });
+      presetsEl.appendChild(button);
+    }
+  }
+
+  q('bank-deposit-all')?.addEventListener('click', () => {
+    const result = bankManager.depositAll(activeTab);
+    if (result.deposited > 0) renderInventory();
+    setStatus(result.message, !result.success || result.message === 'Bank is full');
+  });
+
+  bankManager.subscribe(() => {
+    if (isBankOpen()) renderBank();
+  });
+  renderBank();
+}
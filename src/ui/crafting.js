@@ -0,0 +1,163 @@
+// Module: crafting tab
+// Purpose: List the recipes from recipes.json in the main panel and start
+// crafts through `craftingManager`.
+//
+// - Each recipe row shows its output, the materials needed (with how many the
+//   player has), the required crafting level and craft time.
+// - Rows are rebuilt whenever the inventory, crafting level or crafting state
+//   changes; the active craft's progress bar animates with a CSS transition
+//   so nothing needs to tick while a craft runs.
+
+import { craftingManager } from '../game/crafting.js';
+import { inventoryManager } from '../game/inventoryManager.js';
+import { experienceManager } from '../game/experienceManager.js';
+import { craftingConfig } from '../data/craftingConfig.js';
+import { itemsById } from '../data/content.js';
+import { createPixelIconForItem } from '../data/pixelIcons.js';
+
+const STATUS_ERROR_CLASS = 'text-red-400';
+
+// Helper: safe DOM query with a descriptive warning when missing
+function q(id) {
+  const el = document.getElementById(id);
+  if (!el) {
+    console.warn(`[crafting] Missing DOM element: ${id}`);
+  }
+  return el;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1).replace(/\.0$/, '')}s`;
+}
+
+function setStatus(text, isError = false) {
+  const el = q('crafting-status');
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle(STATUS_ERROR_CLASS, isError);
+}
+
+function createItemIcon(itemId, cssSize) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'flex-shrink-0';
+  const def = itemsById[itemId];
+  if (def) wrapper.appendChild(createPixelIconForItem(def, { cssSize, scale: 1 }));
+  return wrapper;
+}
+
+// One "3/5 Sand" material chip; red when the player doesn't have enough
+function createInputChip(input) {
+  const have = inventoryManager.getItemCount(input.item);
+  const chip = document.createElement('span');
+  chip.className = 'flex items-center gap-1 px-2 py-1 rounded-lg bg-slate-900/50 border border-slate-700/40 text-xs';
+  chip.classList.add(have >= input.quantity ? 'text-slate-300' : 'text-red-400');
+  chip.appendChild(createItemIcon(input.item, 14));
+  const text = document.createElement('span');
+  text.textContent = `${have}/${input.quantity} ${itemsById[input.item]?.name || input.item}`;
+  chip.appendChild(text);
+  return chip;
+}
+
+function createRecipeRow(recipe) {
+  const active = craftingManager.active;
+  const isActive = !!active && active.recipe === recipe;
+  const blocker = craftingManager.getBlocker(recipe);
+  const output = recipe.outputs[0];
+
+  const row = document.createElement('li');
+  row.className = 'flex flex-col gap-2 p-3 rounded-xl bg-slate-900/50 border border-slate-700/40';
+  if (blocker === 'level') row.classList.add('opacity-50');
+
+  const top = document.createElement('div');
+  top.className = 'flex items-center gap-3';
+  top.appendChild(createItemIcon(output.item, 28));
+
+  const info = document.createElement('div');
+  info.className = 'flex-1 min-w-0';
+  const title = document.createElement('div');
+  title.className = 'text-sm font-semibold text-slate-200 truncate';
+  title.textContent = output.quantity > 1 ? `${recipe.name} ×${output.quantity}` : recipe.name;
+  const meta = document.createElement('div');
+  meta.className = 'text-xs text-slate-400';
+  meta.textContent = `Level ${recipe.level} · ${formatSeconds(recipe.craftMs)} · +${recipe.xp} XP`;
+  info.appendChild(title);
+  info.appendChild(meta);
+  top.appendChild(info);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.dataset.noDrag = '';
+  button.className = 'px-3 py-2 rounded-lg text-sm font-medium transition-colors';
+  if (isActive) {
+    button.textContent = 'Cancel';
+    button.classList.add('bg-slate-700', 'hover:bg-slate-600', 'text-slate-200');
+    button.addEventListener('click', () => craftingManager.cancel());
+  } else {
+    button.textContent = 'Craft';
+    button.classList.add('bg-sky-600', 'hover:bg-sky-500', 'text-white', 'disabled:opacity-40');
+    button.disabled = !!blocker;
+    button.addEventListener('click', () => {
+      const result = craftingManager.start(recipe.id);
+      if (!result.success) setStatus(result.message, true);
+    });
+  }
+  top.appendChild(button);
+  row.appendChild(top);
+
+  const inputs = document.createElement('div');
+  inputs.className = 'flex flex-wrap gap-2';
+  recipe.inputs.forEach(input => inputs.appendChild(createInputChip(input)));
+  row.appendChild(inputs);
+
+  if (isActive) {
+    const track = document.createElement('div');
+    track.className = 'relative w-full h-2 bg-slate-900/80 rounded overflow-hidden border border-slate-600/30';
+    const fill = document.createElement('div');
+    fill.className = 'progress-bar-fill progress-bar-fill--sta h-full rounded';
+    // Start from the current progress and let CSS run the rest of the craft
+    fill.style.width = `${craftingManager.getProgress() * 100}%`;
+    track.appendChild(fill);
+    row.appendChild(track);
+    requestAnimationFrame(() => {
+      fill.style.transition = `width ${Math.max(0, active.endsAt - Date.now())}ms linear`;
+      fill.style.width = '100%';
+    });
+  }
+
+  return row;
+}
+
+function renderRecipes() {
+  const list = q('crafting-recipe-list');
+  if (!list) return;
+  list.innerHTML = '';
+  craftingConfig.recipes.forEach(recipe => list.appendChild(createRecipeRow(recipe)));
+
+  const levelEl = q('crafting-level');
+  if (levelEl) levelEl.textContent = `Crafting level ${craftingManager.getLevel()}`;
+}
+
+// Initialize crafting tab
+export function initCraftingPanel() {
+  if (!q('crafting-recipe-list')) return;
+
+  craftingManager.subscribe((event) => {
+    const name = event.recipe?.name || 'item';
+    if (event.type === 'started') setStatus(`Crafting ${name}...`);
+    if (event.type === 'completed') setStatus(`Crafted ${name}.`);
+    if (event.type === 'cancelled') setStatus(`Stopped crafting ${name}.`);
+    if (event.type === 'failed') setStatus(`Could not craft ${name}: ${event.message}`, true);
+    renderRecipes();
+  });
+
+  // Material counts follow the inventory; level locks follow the skill
+  inventoryManager.subscribe(() => renderRecipes());
+  experienceManager.subscribe((event) => {
+    if (event.type === 'loaded' || (event.type === 'skillUpdate' && event.skill === craftingConfig.skill)) {
+      renderRecipes();
+    }
+  });
+
+  setStatus('Pick a recipe to craft.');
+  renderRecipes();
+}
@@ -22,6 +22,11 @@ import { sendGlobalMessage, setTypingStatus } from '../game/ui.js'; // AI: Impor
 import { multiplayerManager } from '../game/multiplayerManager.js';
 import { initSettingsPanel } from './settings.js';
 import { initSkillsPanel } from './skills.js';
+import { initWorldMapPanel } from './worldMap.js';
+import { initCraftingPanel } from './crafting.js';
+import { initEquipmentPanel } from './equipment.js';
+import { initOfflineSummaryPanel } from './offlineSummary.js';
+import { initBankPanel } from './bank.js';
 import { ensureNotificationContainer, showDesktopNotification } from '../utils/domUtils.js';
 // import { SPAWN_CHANCE_PER_TICK, EXPLORE_TICK_INTERVAL_MS } from './utils/constants.js';
 import { coerceTs, formatChatTime } from '../utils/math.js';
@@ -74,6 +79,16 @@ export function initDesktopScreen() {
   initSettingsPanel();
   // Initialize skills panel UI to sync with experience manager
   initSkillsPanel();
+  // World map tab (fog of war + pins)
+  initWorldMapPanel();
+  // Equipment tab (slots + stat sheet)
+  initEquipmentPanel();
+  // Crafting tab (recipes from recipes.json)
+  initCraftingPanel();
+  // "While you were away" offline gains panel
+  initOfflineSummaryPanel();
+  // Bank window (opened from bank world objects)
+  initBankPanel();
   // No DOM-based item highlights; items are drawn in canvas
   // Initialize robust RTDB presence (mirrored to Firestore by CFN)
   initRealtimePresence();
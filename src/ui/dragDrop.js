@@ -5,6 +5,10 @@ import { setPlayerInventory } from '../services/firestoreService.js';
 import { auth } from '../utils/firebaseClient.js';
 import { inventoryManager } from '../game/inventoryManager.js';
 import { within } from '../utils/math.js';
+import { equipmentManager } from '../game/equipmentManager.js';
+import { bankManager } from '../game/bankManager.js';
+import { showDesktopNotification } from '../utils/domUtils.js';
+import { dropInventoryItem } from '../services/groundItemService.js';
 
 let desktopScreen;
 
@@ -51,10 +55,21 @@ export function handleItemDrop(itemId, source, targetElement, clientX, clientY,
   const dropY = clientY - desktopRect.top;
 
   const isDropToSlot = targetElement?.classList.contains('inventory-slot');
-  const isDropToDesktop = false; // Disabled: no dropping to desktop/world via drag
+  const isDropToEquipment = targetElement?.classList.contains('equipment-slot');
+  const isDropToBank = targetElement?.classList.contains('bank-slot');
+  const isDropToGround = targetElement?.id === 'area-canvas';
+  const targetBankSlotIndex = isDropToBank ? Number.parseInt(targetElement.dataset.bankSlotIndex, 10) : -1;
 
-  if (source === 'inventory') {
-    handleInventoryDrop(itemId, { isDropToSlot, isDropToDesktop, sourceSlotIndex, targetSlotIndex: normalizedTargetSlotIndex, dropX, dropY, shiftKey, item });
+  if (source === 'inventory' && isDropToEquipment) {
+    handleEquipmentDrop(targetElement.dataset.slotType, sourceSlotIndex);
+  } else if (source === 'inventory' && isDropToGround) {
+    handleGroundDrop(sourceSlotIndex);
+  } else if (source === 'inventory' && isDropToBank) {
+    handleBankDeposit(sourceSlotIndex, targetBankSlotIndex);
+  } else if (source === 'bank') {
+    handleBankDrop(sourceSlotIndex, { isDropToSlot, isDropToBank, targetBankSlotIndex });
+  } else if (source === 'inventory') {
+    handleInventoryDrop(itemId, { isDropToSlot, sourceSlotIndex, targetSlotIndex: normalizedTargetSlotIndex, dropX, dropY, shiftKey, item });
   } else if (source === 'ground') {
     // Dragging ground items into inventory/desktop is disabled (auto-magnet pickup)
     return;
@@ -62,7 +77,7 @@ export function handleItemDrop(itemId, source, targetElement, clientX, clientY,
 }
 
 function handleInventoryDrop(itemId, context) {
-  const { isDropToSlot, isDropToDesktop, sourceSlotIndex, targetSlotIndex, dropX, dropY, shiftKey, item } = context;
+  const { isDropToSlot, sourceSlotIndex, targetSlotIndex, dropX, dropY, shiftKey, item } = context;
   
   // AI: OLD CODE: Drop handling was implemented but lacked comprehensive logging
   // NEW APPROACH: Detailed logging for all inventory drop operations
@@ -70,8 +85,7 @@ function handleInventoryDrop(itemId, context) {
     itemId, 
     sourceSlotIndex, 
     targetSlotIndex, 
-    isDropToSlot, 
-    isDropToDesktop 
+    isDropToSlot 
   });
 
   if (sourceSlotIndex === -1) {
@@ -104,4 +118,59 @@ function handleInventoryDrop(itemId, context) {
   }
 }
 
-// Ground drop handling removed
+// AI: Equip an inventory item by dropping it on an Equipment tab slot.
+// equipmentManager swaps it with whatever was equipped and saves both.
+function handleEquipmentDrop(slotType, sourceSlotIndex) {
+  if (sourceSlotIndex === -1) {
+    console.warn('Inventory item dropped from unknown source slot.');
+    return;
+  }
+  const result = equipmentManager.equip(slotType, sourceSlotIndex);
+  if (result.success) {
+    renderInventory();
+  } else {
+    showDesktopNotification(result.message);
+  }
+}
+
+// AI: Deposit an inventory stack by dropping it on a bank slot.
+// bankManager stacks it with the same item if the bank already has some.
+function handleBankDeposit(sourceSlotIndex, targetBankSlotIndex) {
+  if (sourceSlotIndex === -1) {
+    console.warn('Inventory item dropped from unknown source slot.');
+    return;
+  }
+  const result = bankManager.deposit(sourceSlotIndex, { bankSlotIndex: targetBankSlotIndex, tab: bankManager.tabOf(targetBankSlotIndex) });
+  if (result.success) {
+    renderInventory();
+  } else {
+    showDesktopNotification(result.message);
+  }
+}
+
+// AI: Bank slot dragged onto the inventory (withdraw the stack) or onto
+// another bank slot (rearrange).
+function handleBankDrop(sourceBankSlotIndex, context) {
+  const { isDropToSlot, isDropToBank, targetBankSlotIndex } = context;
+  if (isDropToSlot) {
+    const result = bankManager.withdraw(sourceBankSlotIndex);
+    if (result.withdrawn > 0) renderInventory();
+    if (!result.success || result.message === 'Inventory full') showDesktopNotification(result.message);
+  } else if (isDropToBank) {
+    const result = bankManager.move(sourceBankSlotIndex, targetBankSlotIndex);
+    if (!result.success) console.warn(result.message);
+  }
+}
+
+// AI: Inventory slot dragged onto the game canvas: drop it on the ground at
+// the drone. The server takes it out of the saved inventory and creates the
+// ground item.
+function handleGroundDrop(sourceSlotIndex) {
+  if (sourceSlotIndex === -1) {
+    console.warn('Inventory item dropped from unknown source slot.');
+    return;
+  }
+  dropInventoryItem(sourceSlotIndex).then((dropped) => {
+    if (!dropped) showDesktopNotification('Could not drop that item');
+  });
+}
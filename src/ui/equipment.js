@@ -0,0 +1,99 @@
+// Module: equipment tab
+// Purpose: Show equipped gear in the Equipment tab's slots and the resulting
+// stat sheet, both read from `equipmentManager`.
+//
+// - Slots are the static `.equipment-slot[data-slot-type]` cards in
+//   game.html. Their placeholder art stays in the markup and is hidden while
+//   something is equipped; the item is drawn in an overlay next to it.
+// - Dropping an inventory item on a slot is handled in dragDrop.js; clicking
+//   an occupied slot unequips it back into the inventory.
+// - Equipped pieces are outlined in their rarity color and show the same
+//   tooltip (base stats and rolled affixes) as in the inventory.
+
+import { equipmentManager } from '../game/equipmentManager.js';
+import { itemsById } from '../data/content.js';
+import { createPixelIconForItem } from '../data/pixelIcons.js';
+import { renderInventory } from './inventory.js';
+import { raritiesById } from '../data/affixConfig.js';
+import { showDesktopNotification, showInventoryTooltip, hideInventoryTooltip } from '../utils/domUtils.js';
+
+// Stat sheet fields: stat key -> how to print it
+const STAT_FORMATS = {
+  atk: (value) => String(value),
+  miningSpeed: (value) => `+${Math.round(value * 100)}%`,
+  moveSpeed: (value) => String(Math.round(value)),
+};
+
+function renderSlot(slotEl) {
+  const slot = slotEl.dataset.slotType;
+  const equipped = equipmentManager.slots[slot];
+  const placeholder = slotEl.firstElementChild;
+  let overlay = slotEl.querySelector('.equipment-slot-item');
+
+  if (!equipped) {
+    if (overlay) overlay.remove();
+    if (placeholder) placeholder.classList.remove('hidden');
+    slotEl.title = '';
+    return;
+  }
+
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'equipment-slot-item w-full h-full rounded-xl border border-sky-400/40 flex flex-col items-center justify-center gap-2';
+    slotEl.appendChild(overlay);
+  }
+  if (placeholder && placeholder !== overlay) placeholder.classList.add('hidden');
+
+  const def = itemsById[equipped.itemId];
+  const rarity = raritiesById[equipped.rarity];
+  overlay.style.borderColor = rarity && rarity.affixes > 0 ? rarity.color : '';
+  overlay.innerHTML = '';
+  if (def) overlay.appendChild(createPixelIconForItem(def, { cssSize: 32, scale: 1 }));
+  const label = document.createElement('span');
+  label.className = 'text-sm font-medium text-slate-200';
+  label.textContent = def?.name || equipped.itemId;
+  overlay.appendChild(label);
+  slotEl.title = 'Click to unequip';
+}
+
+function renderStats() {
+  const stats = equipmentManager.getStats();
+  for (const [stat, format] of Object.entries(STAT_FORMATS)) {
+    const el = document.getElementById(`stat-${stat}`);
+    if (el) el.textContent = format(stats[stat] || 0);
+  }
+}
+
+function renderEquipment() {
+  document.querySelectorAll('.equipment-slot[data-slot-type]').forEach(renderSlot);
+  renderStats();
+}
+
+// Initialize equipment tab
+export function initEquipmentPanel() {
+  document.querySelectorAll('.equipment-slot[data-slot-type]').forEach((slotEl) => {
+    const showTooltip = (e) => {
+      const equipped = equipmentManager.slots[slotEl.dataset.slotType];
+      const def = equipped && itemsById[equipped.itemId];
+      if (def) showInventoryTooltip(def, e.clientX, e.clientY, equipped);
+    };
+    slotEl.addEventListener('mouseenter', showTooltip);
+    slotEl.addEventListener('mousemove', showTooltip);
+    slotEl.addEventListener('mouseleave', () => hideInventoryTooltip());
+
+    slotEl.addEventListener('click', () => {
+      const slot = slotEl.dataset.slotType;
+      if (!equipmentManager.slots[slot]) return;
+      hideInventoryTooltip();
+      const result = equipmentManager.unequip(slot);
+      if (result.success) {
+        renderInventory();
+      } else {
+        showDesktopNotification(result.message);
+      }
+    });
+  });
+
+  equipmentManager.subscribe(() => renderEquipment());
+  renderEquipment();
+}
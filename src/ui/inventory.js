@@ -1,7 +1,8 @@
 import { gameState } from '../app/state.js';
 import { itemsById } from '../data/content.js';
+import { raritiesById } from '../data/affixConfig.js';
 import { makeItemDraggable } from '../utils/draggable.js';
-import { addWorldItemAtPlayer } from '../game/items.js';
+import { dropInventoryItem } from '../services/groundItemService.js';
 import { setPlayerInventory } from '../services/firestoreService.js';
 import { auth } from '../utils/firebaseClient.js';
 import { createPixelIconForItem } from '../data/pixelIcons.js';
@@ -367,7 +368,7 @@ function isCurrency(itemId) {
 }
 
 // AI: Add item to player inventory using centralized manager
-export async function addItemToInventory(itemId, quantity = 1) {
+export async function addItemToInventory(itemId, quantity = 1, instances = null) {
   // Validate input parameters
   if (!itemId || typeof itemId !== 'string') {
     console.error('[INVENTORY] Invalid itemId:', itemId);
@@ -394,7 +395,7 @@ export async function addItemToInventory(itemId, quantity = 1) {
 
   let result;
   try {
-    result = inventoryManager.addItem(itemId, quantity);
+    result = inventoryManager.addItem(itemId, quantity, instances);
   } catch (managerError) {
     console.error('[INVENTORY] Error in inventoryManager.addItem:', managerError, { itemId, quantity });
     return false;
@@ -428,6 +429,35 @@ export async function addItemToInventory(itemId, quantity = 1) {
   return result.success;
 }
 
+// AI: Mirror an item the server already granted and saved (e.g. harvest results).
+// Same as addItemToInventory but without writing the inventory back, so the
+// server's copy stays authoritative. Equipment keeps the server-rolled
+// `instances` (ids, rarity, affixes).
+export function applyGrantedItem(itemId, quantity = 1, instances = null) {
+  if (!itemId || typeof quantity !== 'number' || quantity <= 0) return false;
+
+  // Currency was credited to the saved token balance
+  if (isCurrency(itemId)) {
+    gameState.galacticTokens = (gameState.galacticTokens || 0) + quantity;
+    gameState.playerCoins = gameState.galacticTokens;
+    updateCoinDisplay(gameState.galacticTokens);
+    return true;
+  }
+
+  let result;
+  try {
+    result = inventoryManager.addItem(itemId, quantity, instances);
+  } catch (managerError) {
+    console.error('[INVENTORY] Error mirroring granted item:', managerError, { itemId, quantity });
+    return false;
+  }
+
+  if (result.success && result.addedAmount > 0) {
+    renderInventory();
+  }
+  return result.success;
+}
+
 // AI: Remove item from player inventory using centralized manager
 export function removeItemFromInventory(itemId, quantity = 1, slotIndex = -1) {
   const result = inventoryManager.removeItem(itemId, quantity, slotIndex);
@@ -440,6 +470,26 @@ export function removeItemFromInventory(itemId, quantity = 1, slotIndex = -1) {
   return result.success;
 }
 
+// AI: Exchange items atomically using centralized manager (crafting)
+// Returns the manager's { success, message } result
+export function exchangeInventoryItems(inputs, outputs) {
+  const result = inventoryManager.exchangeItems(inputs, outputs);
+
+  if (result.success) {
+    renderInventory();
+
+    // AI: Persist changes to database
+    const user = auth.currentUser;
+    if (user) {
+      saveInventoryToDatabase().catch(error => {
+        console.warn('Failed to save inventory after exchanging items:', error);
+      });
+    }
+  }
+
+  return result;
+}
+
 // AI: Render inventory using data from inventory manager
 export function renderInventory() {
   if (!inventoryGrid) return;
@@ -462,6 +512,7 @@ export function renderInventory() {
     // Always clear the slot first to ensure a clean re-render
     slot.innerHTML = '';
     slot.title = '';
+    slot.style.boxShadow = '';
     delete slot.dataset.itemId;
     delete slot.dataset.quantity;
     // Remove all event listeners to prevent duplicates
@@ -480,6 +531,9 @@ export function renderInventory() {
 
         const icon = createPixelIconForItem(item, { cssSize: 24, scale: 2 });
         slot.appendChild(icon);
+        // Rolled equipment is outlined in its rarity color
+        const rarity = slotContent.rarity && raritiesById[slotContent.rarity];
+        if (rarity && rarity.affixes > 0) slot.style.boxShadow = `inset 0 0 0 1px ${rarity.color}`;
         // Remove native title tooltip; use front-UI tooltip overlay instead
         slot.removeAttribute('title');
         
@@ -510,13 +564,13 @@ export function renderInventory() {
         slot.onmouseenter = (e) => {
           const item = getItemDefinition(slotContent.itemId);
           if (item) {
-            showInventoryTooltip(item, e.clientX, e.clientY);
+            showInventoryTooltip(item, e.clientX, e.clientY, slotContent);
           }
         };
         slot.onmousemove = (e) => {
           const item = getItemDefinition(slotContent.itemId);
           if (item) {
-            showInventoryTooltip(item, e.clientX, e.clientY);
+            showInventoryTooltip(item, e.clientX, e.clientY, slotContent);
           }
         };
         slot.onmouseleave = () => hideInventoryTooltip();
@@ -547,7 +601,8 @@ export function renderInventory() {
           }
         };
 
-        // Right-Click: drop entire stack into world at player position
+        // Right-Click: drop entire stack on the ground at the player's drone
+        // (same server request as dragging the slot onto the game canvas)
         // Use property assignment to avoid duplicate handlers across re-renders
         slot.oncontextmenu = null;
         slot.oncontextmenu = (e) => {
@@ -557,27 +612,11 @@ export function renderInventory() {
           try { hideInventoryTooltip(); } catch (_) {}
           if (!slotContent || !slotContent.itemId || slotContent.quantity <= 0) return;
 
-          const qty = slotContent.quantity;
-          const itemId = slotContent.itemId;
-          const user = auth.currentUser;
-          if (!user) { 
+          if (!auth.currentUser) { 
             console.warn('No user; cannot drop items to world.'); 
             return; 
           }
-
-          // AI: Use inventoryManager to remove items from specific slot
-          const result = inventoryManager.removeItem(itemId, qty, i);
-          if (result.success) {
-            renderInventory();
-
-            // Add item to world at player position
-            try { addWorldItemAtPlayer(itemId, qty); } catch (err) { console.warn('Failed to add world item', err); }
-
-            // Persist changes to database
-            saveInventoryToDatabase().catch(error => { console.warn('Failed to save inventory after dropping item:', error); });
-          } else {
-            console.warn(result.message);
-          }
+          dropInventoryItem(i);
           return false;
         };
       }
@@ -0,0 +1,329 @@
+import { camera } from '../game/world.js';
+import { multiplayerManager } from '../game/multiplayerManager.js';
+import { getColorFromUID } from '../utils/color.js';
+import { minimapConfig } from '../data/minimapConfig.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+
+/**
+ * AI: Minimap overlay
+ * Corner map drawn from the terrain overview (`game.terrain.map`, one pixel
+ * per overview cell) with markers for the local player, remote players (in
+ * their UID colors), resource nodes and ground items. Supports discrete zoom
+ * levels centered on the player, click-to-move and a toggle key.
+ */
+class Minimap {
+  constructor() {
+    this.element = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.zoomLabel = null;
+    this.game = null;
+    this.onSetMoveTarget = null; // (worldX, worldY) => void, provided by the game
+    this.zoomIndex = Math.max(0, minimapConfig.zoomLevels.indexOf(minimapConfig.defaultZoom));
+    this.isVisible = localStorage.getItem('minimapVisible') !== 'false';
+    this.lastRender = 0;
+    this.view = { x: 0, y: 0, w: WORLD_WIDTH, h: WORLD_HEIGHT }; // World rect currently shown
+  }
+
+  /**
+   * AI: Initialize the minimap UI
+   * @param {object} game - Game state (player, terrain, resourceNodes, groundItems)
+   * @param {object} [options]
+   * @param {(x: number, y: number) => void} [options.onSetMoveTarget] - Called with
+   *   world coordinates when the minimap is clicked
+   */
+  init(game, options = {}) {
+    this.game = game;
+    this.onSetMoveTarget = options.onSetMoveTarget || null;
+    if (!this.element) {
+      this.createElement();
+    }
+    this.applyVisibility();
+  }
+
+  /**
+   * AI: Create minimap DOM elements
+   */
+  createElement() {
+    const { size } = minimapConfig;
+
+    this.element = document.createElement('div');
+    this.element.id = 'minimap';
+    this.element.className = 'minimap';
+
+    // Backing store matches device pixels so markers stay crisp on HiDPI
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'minimap-canvas';
+    this.canvas.width = Math.round(size * dpr);
+    this.canvas.height = Math.round(size * dpr);
+    this.canvas.style.width = `${size}px`;
+    this.canvas.style.height = `${size}px`;
+    this.ctx = this.canvas.getContext('2d');
+    this.ctx.scale(dpr, dpr);
+
+    // Zoom controls
+    const controls = document.createElement('div');
+    controls.className = 'minimap-controls';
+    const zoomOut = document.createElement('button');
+    zoomOut.className = 'minimap-button';
+    zoomOut.textContent = '−';
+    zoomOut.title = 'Zoom out';
+    zoomOut.addEventListener('click', () => this.changeZoom(-1));
+    const zoomIn = document.createElement('button');
+    zoomIn.className = 'minimap-button';
+    zoomIn.textContent = '+';
+    zoomIn.title = 'Zoom in';
+    zoomIn.addEventListener('click', () => this.changeZoom(1));
+    this.zoomLabel = document.createElement('span');
+    this.zoomLabel.className = 'minimap-zoom-label';
+    controls.appendChild(zoomOut);
+    controls.appendChild(this.zoomLabel);
+    controls.appendChild(zoomIn);
+
+    this.element.appendChild(this.canvas);
+    this.element.appendChild(controls);
+    this.updateZoomLabel();
+
+    // Wheel over the minimap zooms it (and must not zoom the game camera)
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.changeZoom(e.deltaY > 0 ? -1 : 1);
+    }, { passive: false });
+
+    // Left or right click sets a move target at the clicked world position
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 && e.button !== 2) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const rect = this.canvas.getBoundingClientRect();
+      const world = this.minimapToWorld(e.clientX - rect.left, e.clientY - rect.top);
+      if (this.onSetMoveTarget) this.onSetMoveTarget(world.x, world.y);
+    });
+    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    this.addStyles();
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * AI: Add CSS styles for the minimap
+   */
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .minimap {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        z-index: 50;
+        display: flex;
+        flex-direction: column;
+        align-items: stretch;
+        gap: 4px;
+        padding: 4px;
+        background: rgba(0, 0, 0, 0.85);
+        border: 1px solid rgba(96, 165, 250, 0.3);
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        user-select: none;
+      }
+
+      .minimap.hidden {
+        display: none;
+      }
+
+      .minimap-canvas {
+        display: block;
+        border-radius: 4px;
+        cursor: crosshair;
+        image-rendering: pixelated;
+      }
+
+      .minimap-controls {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        font-family: 'Arial', sans-serif;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.8);
+      }
+
+      .minimap-button {
+        width: 20px;
+        height: 18px;
+        line-height: 16px;
+        padding: 0;
+        border: 1px solid rgba(96, 165, 250, 0.3);
+        border-radius: 4px;
+        background: rgba(30, 41, 59, 0.9);
+        color: white;
+        cursor: pointer;
+      }
+
+      .minimap-button:hover {
+        background: rgba(51, 65, 85, 0.9);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * AI: Show/hide the minimap (bound to minimapConfig.toggleKey)
+   */
+  toggle() {
+    this.isVisible = !this.isVisible;
+    localStorage.setItem('minimapVisible', this.isVisible ? 'true' : 'false');
+    this.applyVisibility();
+  }
+
+  applyVisibility() {
+    if (!this.element) return;
+    this.element.classList.toggle('hidden', !this.isVisible);
+    // Redraw immediately when reopened instead of waiting for the throttle
+    if (this.isVisible) this.lastRender = 0;
+  }
+
+  /**
+   * AI: Step through the configured zoom levels
+   * @param {number} dir - +1 to zoom in, -1 to zoom out
+   */
+  changeZoom(dir) {
+    const levels = minimapConfig.zoomLevels;
+    this.zoomIndex = Math.max(0, Math.min(levels.length - 1, this.zoomIndex + dir));
+    this.updateZoomLabel();
+    this.lastRender = 0;
+  }
+
+  updateZoomLabel() {
+    if (this.zoomLabel) this.zoomLabel.textContent = `${minimapConfig.zoomLevels[this.zoomIndex]}x`;
+  }
+
+  /**
+   * AI: Convert a minimap-local CSS pixel position to world coordinates
+   * @returns {{x: number, y: number}}
+   */
+  minimapToWorld(mx, my) {
+    const scale = minimapConfig.size / this.view.w;
+    return {
+      x: Math.max(0, Math.min(WORLD_WIDTH, this.view.x + mx / scale)),
+      y: Math.max(0, Math.min(WORLD_HEIGHT, this.view.y + my / scale))
+    };
+  }
+
+  // Recompute the world rect shown at the current zoom, centered on the
+  // player and clamped to the world edges
+  updateView() {
+    const zoom = minimapConfig.zoomLevels[this.zoomIndex];
+    const w = WORLD_WIDTH / zoom;
+    const h = WORLD_HEIGHT / zoom;
+    const p = this.game.player;
+    this.view.w = w;
+    this.view.h = h;
+    this.view.x = Math.max(0, Math.min(WORLD_WIDTH - w, p.x - w / 2));
+    this.view.y = Math.max(0, Math.min(WORLD_HEIGHT - h, p.y - h / 2));
+  }
+
+  /**
+   * AI: Redraw the minimap; call once per frame (internally throttled)
+   */
+  render() {
+    if (!this.isVisible || !this.ctx || !this.game || !this.game.player) return;
+    const now = performance.now();
+    if (now - this.lastRender < minimapConfig.refreshMs) return;
+    this.lastRender = now;
+
+    const { ctx } = this;
+    const { size } = minimapConfig;
+    const game = this.game;
+    this.updateView();
+    const { view } = this;
+    const scale = size / view.w;
+    const toMap = (x, y) => ({ x: (x - view.x) * scale, y: (y - view.y) * scale });
+    const inView = (x, y) => x >= view.x && x <= view.x + view.w && y >= view.y && y <= view.y + view.h;
+
+    ctx.clearRect(0, 0, size, size);
+
+    // --- Terrain: crop the overview canvas to the visible world rect ---
+    const terrain = game.terrain;
+    if (terrain && terrain.map && terrain.overviewCellSize) {
+      const cell = terrain.overviewCellSize;
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(terrain.map, view.x / cell, view.y / cell, view.w / cell, view.h / cell, 0, 0, size, size);
+    } else {
+      ctx.fillStyle = '#1f2937';
+      ctx.fillRect(0, 0, size, size);
+    }
+
+    // --- Camera viewport outline ---
+    const vp = toMap(camera.x, camera.y);
+    ctx.strokeStyle = minimapConfig.viewportColor;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(vp.x + 0.5, vp.y + 0.5, camera.width * scale, camera.height * scale);
+
+    // --- Resource nodes (by type; dimmed while on cooldown) ---
+    const nowMs = Date.now();
+    for (const node of game.resourceNodes || []) {
+      if (!inView(node.x, node.y)) continue;
+      const m = toMap(node.x, node.y);
+      ctx.globalAlpha = node.cooldownUntil && nowMs < node.cooldownUntil ? 0.4 : 1;
+      ctx.fillStyle = minimapConfig.nodeColors[node.type] || minimapConfig.nodeColors.default;
+      ctx.fillRect(Math.round(m.x) - 1, Math.round(m.y) - 1, 3, 3);
+    }
+    ctx.globalAlpha = 1;
+
+    // --- Ground items ---
+    ctx.fillStyle = minimapConfig.groundItemColor;
+    for (const item of game.groundItems || []) {
+      if (!inView(item.x, item.y)) continue;
+      const m = toMap(item.x, item.y);
+      ctx.fillRect(Math.round(m.x) - 1, Math.round(m.y) - 1, 2, 2);
+    }
+
+    // --- Remote players (UID colors; pinned to the edge when off-map) ---
+    for (const remote of multiplayerManager.getRemotePlayers()) {
+      if (typeof remote.x !== 'number' || typeof remote.y !== 'number') continue;
+      const m = toMap(remote.x, remote.y);
+      const offMap = !inView(remote.x, remote.y);
+      const mx = Math.max(3, Math.min(size - 3, m.x));
+      const my = Math.max(3, Math.min(size - 3, m.y));
+      ctx.beginPath();
+      ctx.arc(mx, my, offMap ? 2 : 3, 0, Math.PI * 2);
+      ctx.fillStyle = remote.color || getColorFromUID(remote.uid);
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+      ctx.stroke();
+    }
+
+    // --- Local player: arrow pointing where the drone is facing ---
+    const p = game.player;
+    const pm = toMap(p.x, p.y);
+    ctx.save();
+    ctx.translate(pm.x, pm.y);
+    ctx.rotate(p.angle || 0);
+    ctx.beginPath();
+    ctx.moveTo(5, 0);
+    ctx.lineTo(-3, -3.5);
+    ctx.lineTo(-1.5, 0);
+    ctx.lineTo(-3, 3.5);
+    ctx.closePath();
+    ctx.fillStyle = minimapConfig.localPlayerColor;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.stroke();
+    ctx.restore();
+
+    // --- Move target ---
+    if (p.target) {
+      const tm = toMap(p.target.x, p.target.y);
+      ctx.strokeStyle = 'rgba(34, 211, 238, 0.9)'; // Cyan color matching the target marker
+      ctx.beginPath();
+      ctx.arc(tm.x, tm.y, 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+}
+
+// AI: Export singleton instance
+export const minimap = new Minimap();
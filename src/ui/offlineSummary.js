@@ -0,0 +1,108 @@
+// Module: "While you were away" panel
+// Purpose: Claim offline progression on login and show what was earned.
+//
+// - The server records what the player was harvesting when they disconnected
+//   (recordOfflineActivity in functions/index.js) and, when asked here,
+//   claims that record once and credits the items and experience
+//   (handleOfflineRequest). The rules live in the `offline` section of
+//   resourceConfigs.json.
+// - The gains are already saved when the result arrives; they are mirrored
+//   locally like harvest results. The claim is only sent once the inventory
+//   has loaded (main.js), so the grant lands on top of what the client holds.
+
+import { makeDraggable } from '../utils/draggable.js';
+import { sendActionRequest } from '../services/actionService.js';
+import { experienceManager } from '../game/experienceManager.js';
+import { resourceConfigs, harvestRules, offlineRules } from '../data/resourceConfigs.js';
+import { itemsById } from '../data/content.js';
+import { createPixelIconForItem } from '../data/pixelIcons.js';
+import { applyGrantedItem } from './inventory.js';
+
+// "2h 15m" / "14m" style durations
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function hidePanel() {
+  document.getElementById('away-panel')?.classList.add('hidden');
+}
+
+export function initOfflineSummaryPanel() {
+  const panel = document.getElementById('away-panel');
+  const header = document.getElementById('away-header');
+  const closeButton = document.getElementById('away-close');
+  const okButton = document.getElementById('away-ok');
+  if (!panel || !header || !closeButton || !okButton) return;
+
+  makeDraggable(panel, header);
+  closeButton.addEventListener('click', hidePanel);
+  okButton.addEventListener('click', hidePanel);
+}
+
+/**
+ * Fill and open the panel for a claimed offline summary.
+ * @param {{nodeType: string, skill: string, awayMs: number, creditedMs: number, drops: number, items?: Array<{type: string, count: number, instances?: object[]|null}>, inventoryFull: boolean, xp: number}} summary
+ */
+function showSummary(summary) {
+  const panel = document.getElementById('away-panel');
+  const activityEl = document.getElementById('away-activity');
+  const itemsEl = document.getElementById('away-items');
+  const xpEl = document.getElementById('away-xp');
+  const noteEl = document.getElementById('away-note');
+  if (!panel || !activityEl || !itemsEl || !xpEl || !noteEl) return;
+
+  const nodeName = resourceConfigs[summary.nodeType]?.name || summary.nodeType;
+  activityEl.textContent = `Your drone kept harvesting ${nodeName} for ${formatDuration(summary.creditedMs)}.`;
+
+  itemsEl.innerHTML = '';
+  for (const item of summary.items || []) {
+    const def = itemsById[item.type];
+    const row = document.createElement('li');
+    row.className = 'flex items-center gap-2';
+    const iconEl = document.createElement('div');
+    iconEl.className = 'w-4 h-4 flex-shrink-0';
+    if (def) iconEl.appendChild(createPixelIconForItem(def, { cssSize: 16, scale: 1 }));
+    const textEl = document.createElement('span');
+    textEl.textContent = `${item.count} × ${def?.name || item.type}`;
+    row.appendChild(iconEl);
+    row.appendChild(textEl);
+    itemsEl.appendChild(row);
+  }
+
+  const skillName = summary.skill ? summary.skill.charAt(0).toUpperCase() + summary.skill.slice(1) : 'Experience';
+  xpEl.textContent = summary.xp > 0 ? `+${summary.xp} ${skillName} XP` : '';
+
+  const notes = [];
+  if (summary.inventoryFull) notes.push('Your inventory filled up, so some items were left behind.');
+  if (summary.awayMs > offlineRules.maxAwayMs) notes.push(`Offline gains are capped at ${formatDuration(offlineRules.maxAwayMs)}.`);
+  noteEl.textContent = notes.join(' ');
+
+  panel.classList.remove('hidden');
+}
+
+/**
+ * Claim offline gains for the signed-in player and show the summary panel
+ * when anything was earned. Safe to call on every login: without a recorded
+ * activity the server answers with an empty summary.
+ * @param {string} uid
+ * @param {string} areaId - Area the player is logging into (routes the request)
+ * @returns {Promise<void>}
+ */
+export async function claimOfflineProgress(uid, areaId) {
+  if (!uid) return;
+  try {
+    const res = await sendActionRequest('offline', areaId, { uid }, harvestRules.resultTimeoutMs);
+    const summary = res && res.success ? res.summary : null;
+    if (!summary || !(summary.drops > 0)) return;
+
+    for (const item of summary.items || []) {
+      if (item.count > 0) applyGrantedItem(item.type, item.count, item.instances || null);
+    }
+    if (summary.xp > 0 && summary.skill) experienceManager.applyGrantedExp(summary.skill, summary.xp);
+    showSummary(summary);
+  } catch (error) {
+    console.warn('Offline progress claim failed:', error?.message || error);
+  }
+}
@@ -0,0 +1,293 @@
+// Module: world map tab
+// Purpose: Render the current area's world map inside the main panel with a
+// per-player fog of war and named pins.
+//
+// - Terrain comes from the same overview canvas the game draws beneath the
+//   streamed chunks (`game.terrain.map`), so the map always matches the
+//   current seed without generating anything extra.
+// - Fog is drawn from `explorationManager`'s bitset: one pixel per fog cell
+//   on a small offscreen canvas, scaled up with smoothing so explored areas
+//   get soft edges instead of hard squares.
+// - Fog and pins belong to the current area: `explorationManager` swaps them
+//   on area changes and persists them under players/{uid}/exploration/{areaId}
+//   and players/{uid}/mapPins/{areaId}.
+// - Pins are owned by `explorationManager`; this module only renders them and
+//   forwards add/remove actions.
+// - The map only redraws while its tab is visible.
+
+import { game } from '../game/core.js';
+import { explorationManager } from '../game/explorationManager.js';
+import { worldMapConfig } from '../data/worldMapConfig.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../utils/worldConstants.js';
+
+// Map canvas size in CSS pixels (fits the main panel's content height)
+const MAP_SIZE = 500;
+const PIN_HIT_RADIUS = 6; // CSS pixels
+
+let canvas = null;
+let ctx = null;
+let fogCanvas = null;
+let fogCtx = null;
+let fogDirty = true;
+let selection = null; // { x, y } world position chosen for the next pin
+let refreshTimer = null;
+
+// Helper: safe DOM query with a descriptive warning when missing
+function q(id) {
+  const el = document.getElementById(id);
+  if (!el) {
+    console.warn(`[worldMap] Missing DOM element: ${id}`);
+  }
+  return el;
+}
+
+function isMapVisible() {
+  const panel = document.getElementById('worldmap-panel');
+  const container = document.getElementById('main-panel-container');
+  return !!panel && !panel.classList.contains('hidden') &&
+    !!container && !container.classList.contains('hidden');
+}
+
+const worldToMap = (x, y) => ({ x: (x / WORLD_WIDTH) * MAP_SIZE, y: (y / WORLD_HEIGHT) * MAP_SIZE });
+const mapToWorld = (mx, my) => ({ x: (mx / MAP_SIZE) * WORLD_WIDTH, y: (my / MAP_SIZE) * WORLD_HEIGHT });
+
+function isWorldPositionExplored(x, y) {
+  const { fogCellSize } = worldMapConfig;
+  return explorationManager.isExplored(Math.floor(x / fogCellSize), Math.floor(y / fogCellSize));
+}
+
+// Rebuild the fog mask (opaque where unexplored) from the exploration bitset
+function rebuildFog() {
+  const { cols, rows } = explorationManager;
+  if (!fogCanvas || fogCanvas.width !== cols || fogCanvas.height !== rows) {
+    fogCanvas = document.createElement('canvas');
+    fogCanvas.width = cols;
+    fogCanvas.height = rows;
+    fogCtx = fogCanvas.getContext('2d');
+  }
+  const image = fogCtx.createImageData(cols, rows);
+  // Parse fogColor (#rrggbb) once per rebuild
+  const hex = worldMapConfig.fogColor.replace('#', '');
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const o = (cy * cols + cx) * 4;
+      image.data[o] = r;
+      image.data[o + 1] = g;
+      image.data[o + 2] = b;
+      image.data[o + 3] = explorationManager.isExplored(cx, cy) ? 0 : 255;
+    }
+  }
+  fogCtx.putImageData(image, 0, 0);
+  fogDirty = false;
+}
+
+function render() {
+  if (!ctx) return;
+  if (fogDirty) rebuildFog();
+
+  ctx.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+
+  // Terrain overview
+  const terrain = game.terrain;
+  if (terrain && terrain.map) {
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(terrain.map, 0, 0, MAP_SIZE, MAP_SIZE);
+  } else {
+    ctx.fillStyle = '#1f2937';
+    ctx.fillRect(0, 0, MAP_SIZE, MAP_SIZE);
+  }
+
+  // Fog of war (smoothed for soft edges)
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(fogCanvas, 0, 0, MAP_SIZE, MAP_SIZE);
+
+  // Pins with labels
+  ctx.font = '11px Arial, sans-serif';
+  ctx.textBaseline = 'bottom';
+  for (const pin of explorationManager.getPins()) {
+    const m = worldToMap(pin.x, pin.y);
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, 4, 0, Math.PI * 2);
+    ctx.fillStyle = worldMapConfig.pinColor;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillText(pin.name, m.x + 7, m.y - 3);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(pin.name, m.x + 6, m.y - 4);
+  }
+
+  // Pending pin location
+  if (selection) {
+    const m = worldToMap(selection.x, selection.y);
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, 5, 0, Math.PI * 2);
+    ctx.strokeStyle = worldMapConfig.pinColor;
+    ctx.setLineDash([2, 2]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // Local player
+  const p = game.player;
+  if (p && typeof p.x === 'number') {
+    const m = worldToMap(p.x, p.y);
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, 3, 0, Math.PI * 2);
+    ctx.fillStyle = worldMapConfig.playerColor;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.stroke();
+  }
+}
+
+function renderPinList() {
+  const list = q('worldmap-pin-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const pins = explorationManager.getPins();
+  if (pins.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-slate-500';
+    empty.textContent = 'No pins yet.';
+    list.appendChild(empty);
+  }
+  for (const pin of pins) {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between gap-2 px-2 py-1 rounded-lg bg-slate-900/50 border border-slate-700/40';
+    const label = document.createElement('span');
+    label.className = 'truncate text-slate-200';
+    label.textContent = pin.name;
+    label.title = `${pin.name} (${pin.x}, ${pin.y})`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-red-400 hover:text-red-300 leading-none';
+    remove.textContent = '×';
+    remove.title = 'Remove pin';
+    remove.addEventListener('click', () => explorationManager.removePin(pin.id));
+    li.appendChild(label);
+    li.appendChild(remove);
+    list.appendChild(li);
+  }
+}
+
+function renderExploredSummary() {
+  const el = q('worldmap-explored');
+  if (!el) return;
+  const { cols, rows } = explorationManager;
+  let explored = 0;
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      if (explorationManager.isExplored(cx, cy)) explored++;
+    }
+  }
+  el.textContent = `Explored: ${((explored / (cols * rows)) * 100).toFixed(1)}%`;
+}
+
+function setSelection(world) {
+  selection = world;
+  const label = q('worldmap-selection');
+  const addBtn = q('worldmap-pin-add');
+  if (label) {
+    label.textContent = world
+      ? `Selected (${Math.round(world.x)}, ${Math.round(world.y)}). Name it to place a pin.`
+      : 'Click an explored spot on the map to place a pin.';
+  }
+  if (addBtn) addBtn.disabled = !world;
+}
+
+function handleMapClick(e) {
+  const rect = canvas.getBoundingClientRect();
+  const mx = e.clientX - rect.left;
+  const my = e.clientY - rect.top;
+
+  // Right-click on a pin removes it
+  if (e.button === 2) {
+    e.preventDefault();
+    for (const pin of explorationManager.getPins()) {
+      const m = worldToMap(pin.x, pin.y);
+      if (Math.hypot(m.x - mx, m.y - my) <= PIN_HIT_RADIUS) {
+        explorationManager.removePin(pin.id);
+        return;
+      }
+    }
+    return;
+  }
+
+  const world = mapToWorld(mx, my);
+  if (!isWorldPositionExplored(world.x, world.y)) {
+    const label = q('worldmap-selection');
+    if (label) label.textContent = 'That area is still unexplored.';
+    setSelection(null);
+  } else {
+    setSelection(world);
+    const input = q('worldmap-pin-name');
+    if (input) input.focus();
+  }
+  render();
+}
+
+// Initialize world map tab
+export function initWorldMapPanel() {
+  canvas = q('worldmap-canvas');
+  if (!canvas) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(MAP_SIZE * dpr);
+  canvas.height = Math.round(MAP_SIZE * dpr);
+  canvas.style.width = `${MAP_SIZE}px`;
+  canvas.style.height = `${MAP_SIZE}px`;
+  ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+
+  canvas.addEventListener('mousedown', handleMapClick);
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  const form = q('worldmap-pin-form');
+  const input = q('worldmap-pin-name');
+  if (input) input.maxLength = worldMapConfig.maxPinNameLength;
+  if (form) {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!selection || !input) return;
+      const added = await explorationManager.addPin(input.value, selection.x, selection.y);
+      if (added) {
+        input.value = '';
+        setSelection(null);
+      } else {
+        const label = q('worldmap-selection');
+        if (label) label.textContent = `Could not add pin (name required, max ${worldMapConfig.maxPins} pins).`;
+      }
+    });
+  }
+
+  explorationManager.subscribe((event) => {
+    if (event.type === 'explored') fogDirty = true;
+    if (event.type === 'pins') renderPinList();
+    if (isMapVisible()) {
+      if (event.type === 'explored') renderExploredSummary();
+      render();
+    }
+  });
+
+  // Redraw while the tab is open (player marker moves, terrain may regenerate)
+  const tabButton = q('tab-button-worldmap');
+  if (tabButton) {
+    tabButton.addEventListener('click', () => {
+      renderExploredSummary();
+      render();
+    });
+  }
+  if (refreshTimer) clearInterval(refreshTimer);
+  refreshTimer = setInterval(() => {
+    if (isMapVisible()) render();
+  }, worldMapConfig.refreshMs);
+
+  renderPinList();
+  setSelection(null);
+}
@@ -1,5 +1,6 @@
 import { database } from './firebaseClient.js';
 import { ref, onChildAdded, onChildChanged, onChildRemoved, runTransaction, set, get, serverTimestamp } from 'firebase/database';
+import { getAreaResourceLayout } from '../game/nodePlacement.js';
 
 function nodesRef(areaId) {
   return ref(database, `areas/${areaId}/nodes`);
@@ -22,7 +23,8 @@ export function subscribeResourceNodes(areaId, onEvent) {
   return () => { try { a(); } catch(_){} try { c(); } catch(_){} try { r(); } catch(_){} };
 }
 
-export async function ensureAreaSeeded(areaId, generator) {
+// Without a generator the layout comes from the area's placement rules (areaData.js)
+export async function ensureAreaSeeded(areaId, generator = () => getAreaResourceLayout(areaId)) {
   // If nodes already exist, do nothing
   const existing = await get(nodesRef(areaId));
   if (existing.exists()) return;
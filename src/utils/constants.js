@@ -14,6 +14,15 @@ export const INTERACTION_RADIUS = 100; // pixels - precise interaction range (in
 export const ATTACK_RANGE = 200; // pixels (increased for faster movement)
 export const MUZZLE_OFFSET = 12; // pixels
 export const DRONE_HEIGHT_OFFSET = 12; // pixels
+export const DRONE_COLLISION_RADIUS = 6; // pixels - drone body radius for terrain/obstacle collision
+
+// === Pathfinding (click-to-move) ===
+export const PATH_CELL_SIZE = 16; // pixels - A* grid resolution (half a terrain tile)
+export const PATH_SEARCH_MARGIN = 24; // cells searched beyond the start/goal bounding box
+export const PATH_MAX_EXPANDED = 8000; // A* node budget per search
+export const PATH_WAYPOINT_RADIUS = 10; // pixels - distance at which a waypoint counts as reached
+export const PATH_RECHECK_INTERVAL = 0.5; // seconds between checks that the route is still clear
+export const PATH_STUCK_TIME = 1.0; // seconds without progress before the route is recomputed
 
 export const POSITION_UPDATE_RATE = 33; // legacy
 export const INTERPOLATION_DURATION = 900; // ms
@@ -68,8 +77,7 @@ export function onVolumeChange(cb) {
 
 // === Loot System Constants ===
 export const DEFAULT_LOOT_CHANCE = 0.3; // 30% base chance for item drops
-export const RARE_LOOT_CHANCE = 0.1; // 10% chance for rare items
-export const EPIC_LOOT_CHANCE = 0.05; // 5% chance for epic items
+// Rare/epic equipment odds are per rarity tier in src/data/affixes.json
 export const MIN_ITEM_DROP_COUNT = 1;
 export const MAX_ITEM_DROP_COUNT = 3;
 
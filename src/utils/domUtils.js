@@ -2,6 +2,17 @@
  * Utility functions for DOM manipulation and common UI tasks.
  */
 
+import { equipmentById } from '../data/content.js';
+import { raritiesById, affixesById } from '../data/affixConfig.js';
+
+// Stat names as on the Equipment tab's stat sheet
+const STAT_LABELS = { atk: 'Attack', miningSpeed: 'Mining Speed', moveSpeed: 'Move Speed' };
+
+function formatStatBonus(stat, value) {
+  const amount = stat === 'miningSpeed' ? `${Math.round(value * 100)}%` : String(value);
+  return `+${amount} ${STAT_LABELS[stat] || stat}`;
+}
+
 /**
  * Waits for a canvas element to be ready and properly rendered in the DOM.
  * This is crucial for ensuring that canvas dimensions are correctly calculated
@@ -81,11 +92,14 @@ export function hideInventoryTooltip() {
 
 /**
  * Displays a tooltip for an inventory item.
+ * Equipment instances also list their rarity, base stats and rolled affixes,
+ * colored by rarity.
  * @param {object} item - The item object to display the tooltip for.
  * @param {number} clientX - The clientX coordinate of the mouse event.
  * @param {number} clientY - The clientY coordinate of the mouse event.
+ * @param {{rarity?: string, affixes?: Array<{id: string, stat: string, value: number}>}|null} [instance] - Slot entry of an equipment instance
  */
-export function showInventoryTooltip(item, clientX, clientY) {
+export function showInventoryTooltip(item, clientX, clientY, instance = null) {
   const desktopScreen = document.getElementById('desktop-screen');
   const overlay = ensureTooltipOverlay(desktopScreen);
   if (!overlay || !desktopScreen) return;
@@ -99,7 +113,12 @@ export function showInventoryTooltip(item, clientX, clientY) {
   }
 
   // Set content
-  let content = `<b>${item.name}</b>`;
+  const rarity = instance && raritiesById[instance.rarity];
+  const nameStyle = rarity ? ` style="color: ${rarity.color}"` : '';
+  let content = `<b${nameStyle}>${item.name}</b>`;
+  if (rarity) {
+    content += ` <span${nameStyle}>${rarity.name}</span>`;
+  }
   if (item.description) {
     content += `<br/><span class="text-slate-400">${item.description}</span>`;
   }
@@ -107,6 +126,16 @@ export function showInventoryTooltip(item, clientX, clientY) {
     content += `<br/>Stats: `;
     content += Object.entries(item.stats).map(([key, value]) => `${key}: ${value}`).join(', ');
   }
+  const gear = equipmentById[item.id];
+  if (gear) {
+    for (const [stat, value] of Object.entries(gear.stats || {})) {
+      content += `<br/>${formatStatBonus(stat, value)}`;
+    }
+    for (const affix of (instance && instance.affixes) || []) {
+      const name = affixesById[affix.id]?.name || affix.id;
+      content += `<br/><span${nameStyle}>${formatStatBonus(affix.stat, affix.value)} (${name})</span>`;
+    }
+  }
   tooltip.innerHTML = content;
 
   // Convert global coordinates to desktop-screen relative coordinates
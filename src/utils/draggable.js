@@ -118,7 +118,16 @@ function findDropTargetFromEvent(event) {
   // Check for inventory slot first (higher priority)
   const slot = elementBelow.closest('.inventory-slot');
   if (slot) return slot;
-  // Desktop is no longer a valid drop target for items
+  // Equipment tab slots accept gear from the inventory
+  const equipmentSlot = elementBelow.closest('.equipment-slot');
+  if (equipmentSlot) return equipmentSlot;
+  // Bank window slots accept items from the inventory and the bank
+  const bankSlot = elementBelow.closest('.bank-slot');
+  if (bankSlot) return bankSlot;
+  // The game canvas accepts inventory items to drop on the ground
+  const canvas = elementBelow.closest('#area-canvas');
+  if (canvas) return canvas;
+  // The rest of the desktop is not a valid drop target for items
   return null;
 }
 
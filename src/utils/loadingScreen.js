@@ -30,6 +30,8 @@ class LoadingScreen {
   init() {
     this.screen = document.getElementById('loading-screen');
     this.messageElement = document.getElementById('loading-message');
+    // Optional progress bar element (visual progress for terrain/asset loading)
+    this.progressElement = document.getElementById('loading-progress');
 
     if (!this.screen) {
       console.warn('Loading screen element not found');
@@ -38,8 +40,6 @@ class LoadingScreen {
 
     // Initially show loading screen
     this.show('Initializing game...');
-    // Optional progress bar element (visual progress for terrain/asset loading)
-    this.progressElement = document.getElementById('loading-progress');
 
     // Setup tab focus/blur handlers
     this.setupTabHandlers();
@@ -79,6 +79,16 @@ class LoadingScreen {
     }
   }
 
+  /**
+   * Update the progress bar.
+   * @param {number} percent - Progress from 0 to 100
+   */
+  updateProgress(percent) {
+    if (!this.progressElement) return;
+    const clamped = Math.max(0, Math.min(100, Number(percent) || 0));
+    this.progressElement.style.width = `${clamped}%`;
+  }
+
   setupTabHandlers() {
     // Handle window focus/blur for loading screen
     window.addEventListener('blur', () => {
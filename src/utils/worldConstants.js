@@ -1,42 +1,85 @@
 // src/utils/worldConstants.js
 // Fixed world dimensions for deterministic terrain generation
 
-// Fixed world dimensions - small manageable world for focused gameplay
-// Changed to smaller size for better performance and focused experience
-// Increase world size for testing (4x area)
-// Set smaller world dimensions per user request
-export const WORLD_WIDTH = 1600; // smaller world width
-export const WORLD_HEIGHT = 800; // smaller world height
-
-// How close to the world edge players and camera are allowed to go.
-// Set to 0 to allow touching the exact world boundary.
-export const WORLD_PADDING = 0;
-
 // Tile / chunk sizing for chunked tile-based world generation
 // TILE_PIXEL_SIZE: size of a single tile in pixels (matches pixel-art grid)
 export const TILE_PIXEL_SIZE = 32;
 // CHUNK_TILE_SIZE: number of tiles per chunk (square)
 export const CHUNK_TILE_SIZE = 32;
-// CHUNK_PIXEL_SIZE: pixel size of a chunk canvas
+// CHUNK_PIXEL_SIZE: pixel size of a chunk in world space
 export const CHUNK_PIXEL_SIZE = CHUNK_TILE_SIZE * TILE_PIXEL_SIZE; // 1024
 
+// World dimensions expressed in chunks. Terrain is streamed chunk-by-chunk
+// around the camera (see WorldGenerator), so the world size no longer bounds
+// memory use - only the number of chunks kept around the viewport does.
+export const WORLD_CHUNKS_X = 16;
+export const WORLD_CHUNKS_Y = 16;
+export const WORLD_WIDTH = WORLD_CHUNKS_X * CHUNK_PIXEL_SIZE; // 16384
+export const WORLD_HEIGHT = WORLD_CHUNKS_Y * CHUNK_PIXEL_SIZE; // 16384
+
+// How close to the world edge players and camera are allowed to go.
+// Set to 0 to allow touching the exact world boundary.
+export const WORLD_PADDING = 0;
+
+// Terrain cell size in world pixels. Noise is sampled once per cell and each
+// cell becomes one pixel of a chunk canvas (scaled up without smoothing).
+export const TERRAIN_CELL_SIZE = 4;
+// Number of terrain cells along one side of a chunk
+export const CHUNK_CELL_SIZE = CHUNK_PIXEL_SIZE / TERRAIN_CELL_SIZE; // 256
+
+// World pixels per pixel of the whole-world overview map (game.terrain.map).
+// The overview is generated once at load and is used as a low-detail
+// placeholder while chunks stream in, and by map UIs.
+export const OVERVIEW_CELL_SIZE = 64;
+
+// Chunk streaming around the camera.
+// marginChunks: extra ring of chunks kept (and prefetched) beyond the viewport
+// maxInFlight: chunk requests allowed in the terrain worker at once; keeps
+//              the queue short so fast camera moves are not stuck behind
+//              chunks that are already out of view
+export const CHUNK_STREAMING = {
+  marginChunks: 1,
+  maxInFlight: 2
+};
+
 // Permanent terrain seed for deterministic world generation
 export const PERMANENT_TERRAIN_SEED = 1766955619;
 
 // Oasis configuration - defines the location and shape of the central oasis
+// Coordinates are absolute world pixels near the starting area so the oasis
+// stays put regardless of the overall world size.
 export const OASIS_CONFIG = {
-  centerX: WORLD_WIDTH * 0.6,  // Position oasis in upper right area
-  centerY: WORLD_HEIGHT * 0.35,
+  centerX: 960,
+  centerY: 280,
   radius: 120,  // Size of the oasis area
   pondRadius: 25  // Size of the central pond
 };
 
-// Biome definitions with color and noise thresholds
+// Biome definitions with color and noise thresholds.
+// `id` is the compact value stored in terrain biome grids (Uint8Array) and
+// `isWater` marks biomes that count as water for isInWater() queries.
 export const BIOMES = {
-  DEEP_WATER: { threshold: 0.0, color: '#1e3a8a', name: 'deep_water' },
-  WATER: { threshold: 0.2, color: '#3b82f6', name: 'water' },
+  DEEP_WATER: { id: 0, threshold: 0.0, color: '#1e3a8a', name: 'deep_water', isWater: true },
+  WATER: { id: 1, threshold: 0.2, color: '#3b82f6', name: 'water', isWater: true },
   // Darkened sand tones for a more grounded, slightly desaturated beach look
-  WET_SAND: { threshold: 0.35, color: '#b88b5a', name: 'wet_sand' },
-  DRY_SAND: { threshold: 0.6, color: '#c9b98a', name: 'dry_sand' },
-  VEGETATION: { threshold: 0.8, color: '#22c55e', name: 'vegetation' }
+  WET_SAND: { id: 2, threshold: 0.35, color: '#b88b5a', name: 'wet_sand', isWater: false },
+  DRY_SAND: { id: 3, threshold: 0.6, color: '#c9b98a', name: 'dry_sand', isWater: false },
+  VEGETATION: { id: 4, threshold: 0.8, color: '#22c55e', name: 'vegetation', isWater: false }
+};
+
+// Lookup table from biome id (as stored in biome grids) to biome definition
+export const BIOMES_BY_ID = Object.values(BIOMES).reduce((acc, biome) => {
+  acc[biome.id] = biome;
+  return acc;
+}, []);
+
+// Noise parameters for the terrain height field. Scale is expressed per
+// terrain cell (one cell = TERRAIN_CELL_SIZE world pixels), so 0.02 yields
+// features roughly 50 cells (200px) across. grainStrength is the maximum
+// +/- brightness jitter applied per cell for a subtle sand texture.
+export const TERRAIN_NOISE = {
+  octaves: 4,
+  persistence: 0.5,
+  scale: 0.02,
+  grainStrength: 10
 };
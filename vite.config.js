@@ -29,6 +29,10 @@ export default defineConfig({
     global: {},
   },
   plugins: [moveHtmlPlugin()],
+  // Module workers (terrainWorker.js) share ES modules with the main bundle
+  worker: {
+    format: 'es',
+  },
   build: {
     outDir: resolve(__dirname, 'dist'),
     rollupOptions: {